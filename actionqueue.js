@@ -0,0 +1,273 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const log = require('winston');
+
+
+// Priority levels; any number will do, higher numbers running first.
+const Priority = Object.freeze({
+  HIGH: 10,
+  NORMAL: 0,
+  LOW: -10,
+});
+
+const DefaultActionOptions = {
+  priority: Priority.NORMAL,
+  // Name of the group of actions this one belongs to, for cancelling them together.
+  group: null,
+  // Actions and sequences added while another with the same key is waiting to run are
+  // coalesced into it: they are not added, sharing its result instead.
+  key: null,
+  // Shown by pending(), e.g. the op of an Elko message.
+  description: null,
+  // Sequence the action is part of, set on the actions of a sequence by the HabiBot.
+  sequence: null,
+};
+
+
+/**
+ * Runs a HabiBot's actions, such as Elko requests and waits, one at a time: highest
+ * priority first, then in the order they were added.
+ *
+ * Sequences are chains of actions, such as a whole greeting, which must not be mixed up
+ * with one another. A sequence waits its turn like any action; once it starts, no other
+ * sequence starts until it is done. Its steps run as if added when the sequence was,
+ * though actions of a higher priority may run between them, e.g. to answer a question
+ * in the middle of a greeting.
+ *
+ * Actions and sequences may belong to a named group, all of which can be cancelled at
+ * once: waiting actions are rejected, and a running sequence is rejected at its next step.
+ */
+class ActionQueue {
+
+  constructor() {
+    // Actions and sequences waiting to run.
+    this.waiting = [];
+    // Action currently running, if any.
+    this.running = null;
+    // Sequence currently running, if any.
+    this.sequence = null;
+    this.nextId = 1;
+    this.drainScheduled = false;
+  }
+
+  /**
+   * Adds an action to the queue.
+   * @param {function} action function returning a Promise, called when it is its turn
+   * @param {Object} options optional settings overriding DefaultActionOptions
+   * @returns {Promise} settled with the result of the action
+   */
+  add(action, options) {
+    var opts = Object.assign({}, DefaultActionOptions, options);
+    if (opts.sequence !== null && opts.sequence.cancelled !== null) {
+      return Promise.reject(opts.sequence.cancelled);
+    }
+    return this.enqueue('action', action, opts);
+  }
+
+  /**
+   * Adds a sequence to the queue.
+   * @param {function} start <tt>function(sequence)</tt> called when it is the sequence's
+   *   turn, returning a Promise settled once the sequence is done; actions added with
+   *   <tt>options.sequence</tt> set to <tt>sequence</tt> are its steps
+   * @param {Object} options optional settings overriding DefaultActionOptions
+   * @returns {Promise} settled with the result of the sequence
+   */
+  addSequence(start, options) {
+    return this.enqueue('sequence', start, Object.assign({}, DefaultActionOptions, options));
+  }
+
+  /**
+   * Cancels every action and sequence in a group.
+   * @param {string} group group name
+   * @param {string} reason why, which cancelled actions are rejected with
+   * @returns {int} how many actions and sequences were cancelled
+   */
+  cancel(group, reason) {
+    var cancelled = this.reject((entry) => {
+      return entry.group === group || (entry.sequence !== null && entry.sequence.group === group);
+    }, reason || `Cancelled ${group}`);
+    if (this.sequence !== null && this.sequence.group === group) {
+      this.finishSequence(this.sequence, reason || `Cancelled ${group}`);
+      cancelled++;
+    }
+    return cancelled;
+  }
+
+  /**
+   * Rejects every waiting action and sequence.
+   * @param {string} reason why, which the actions are rejected with
+   * @returns {int} how many were rejected
+   */
+  clear(reason) {
+    return this.reject(() => true, reason);
+  }
+
+  /**
+   * Describes the running and waiting actions and sequences, next to run first.
+   * @returns {Object[]} each with its <tt>id</tt>, <tt>kind</tt> (<tt>action</tt> or
+   *   <tt>sequence</tt>), <tt>priority</tt>, <tt>group</tt>, <tt>key</tt>,
+   *   <tt>description</tt>, whether it is <tt>running</tt> and <tt>waitMillis</tt>
+   */
+  pending() {
+    var now = Date.now();
+    var describe = (entry, running) => {
+      return {
+        id: entry.id,
+        kind: entry.kind,
+        priority: entry.priority,
+        group: entry.group,
+        key: entry.key,
+        description: entry.description,
+        running: running,
+        waitMillis: (entry.startedAt !== undefined ? entry.startedAt : now) - entry.queuedAt,
+      };
+    };
+    var running = [this.sequence, this.running].filter((entry) => entry !== null);
+    return running.map((entry) => describe(entry, true))
+      .concat(this.waiting.slice().sort(compareEntries).map((entry) => describe(entry, false)));
+  }
+
+  /**
+   * Returns how many actions are running or waiting, sequences not included.
+   * @returns {int}
+   */
+  size() {
+    return this.waiting.filter((entry) => entry.kind === 'action').length +
+        (this.running !== null ? 1 : 0);
+  }
+
+  // Private methods:
+
+  enqueue(kind, run, opts) {
+    if (opts.key !== null) {
+      var same = this.waiting.filter((entry) => entry.key === opts.key)[0];
+      if (same !== undefined) {
+        log.debug('Coalescing %s into waiting %s %d', opts.key, same.kind, same.id);
+        return same.promise;
+      }
+    }
+    var entry = Object.assign({}, opts, {
+      id: this.nextId++,
+      kind: kind,
+      run: run,
+      queuedAt: Date.now(),
+      // Set on sequences: whether they have finished and why they were cancelled.
+      done: false,
+      cancelled: null,
+    });
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    this.waiting.push(entry);
+    this.scheduleDrain();
+    return entry.promise;
+  }
+
+  reject(predicate, reason) {
+    var rejected = this.waiting.filter(predicate);
+    this.waiting = this.waiting.filter((entry) => rejected.indexOf(entry) === -1);
+    rejected.forEach((entry) => entry.reject(reason));
+    return rejected.length;
+  }
+
+  // Drains on a later turn, so that a sequence's next step can be added before another
+  // action takes its place.
+  scheduleDrain() {
+    var scope = this;
+    if (this.drainScheduled) {
+      return;
+    }
+    this.drainScheduled = true;
+    setImmediate(() => {
+      scope.drainScheduled = false;
+      scope.drain();
+    });
+  }
+
+  drain() {
+    var scope = this;
+    if (this.running !== null) {
+      return;
+    }
+    var entry = this.next();
+    if (entry === null) {
+      return;
+    }
+    this.waiting.splice(this.waiting.indexOf(entry), 1);
+    entry.startedAt = Date.now();
+
+    if (entry.kind === 'sequence') {
+      this.sequence = entry;
+      Promise.resolve()
+        .then(() => entry.run(entry))
+        .then((result) => {
+          entry.resolve(result);
+          scope.finishSequence(entry, null);
+        }, (reason) => {
+          entry.reject(reason);
+          scope.finishSequence(entry, reason);
+        });
+      this.scheduleDrain();
+      return;
+    }
+
+    this.running = entry;
+    var finish = (settle) => {
+      return (value) => {
+        scope.running = null;
+        settle(value);
+        scope.scheduleDrain();
+      };
+    };
+    Promise.resolve()
+      .then(() => entry.run())
+      .then(finish(entry.resolve), finish(entry.reject));
+  }
+
+  // Returns the action or sequence to run next, null if none may run yet.
+  next() {
+    var scope = this;
+    var runnable = this.waiting.filter((entry) => {
+      if (entry.kind === 'sequence') {
+        return scope.sequence === null;
+      }
+      return entry.sequence === null || entry.sequence === scope.sequence ||
+          entry.sequence.done;
+    });
+    return (runnable.length > 0) ? runnable.sort(compareEntries)[0] : null;
+  }
+
+  finishSequence(entry, reason) {
+    if (entry.done) {
+      return;
+    }
+    entry.done = true;
+    if (reason !== null) {
+      entry.cancelled = reason;
+      entry.reject(reason);
+      // Steps already added will not be run.
+      this.reject((waiting) => waiting.sequence === entry, reason);
+    }
+    if (this.sequence === entry) {
+      this.sequence = null;
+    }
+    this.scheduleDrain();
+  }
+
+}
+
+
+// Orders by priority, then by when added; the steps of a sequence count as added when
+// the sequence was.
+function compareEntries(a, b) {
+  var order = (entry) => (entry.sequence !== null) ? entry.sequence.id : entry.id;
+  return (b.priority - a.priority) || (order(a) - order(b)) || (a.id - b.id);
+}
+
+
+module.exports = ActionQueue;
+module.exports.Priority = Priority;
@@ -0,0 +1,188 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+// Settings of the announcer, besides those of every bot; see config.js.
+const Settings = {
+  lineDelay: {
+    type: 'number',
+    default: 2000,
+    describe: 'Milliseconds before each line an event says.',
+  },
+  scheduleFile: {
+    type: 'string',
+    default: null,
+    alias: 's',
+    required: true,
+    describe: 'YAML or JSON file listing the events to announce; see scheduler.js.',
+  },
+  // The schedule file's own timezone takes precedence.
+  timezone: {
+    type: 'string',
+    default: null,
+    alias: 't',
+    describe: 'Timezone of the schedule, such as America/Los_Angeles; the host\'s if unset.',
+  },
+  watch: {
+    type: 'boolean',
+    default: true,
+    describe: 'Whether the schedule and config files are reloaded when they change.',
+  },
+  watchInterval: {
+    type: 'number',
+    default: 1000,
+    describe: 'Milliseconds between checks of watched files for changes.',
+  },
+  whenAway: {
+    type: 'string',
+    default: 'defer',
+    choices: ['defer', 'skip'],
+    describe: 'What to do with events falling due while disconnected.',
+  },
+};
+
+// Settings applied as soon as the config file changes; the rest need a restart.
+const LiveSettings = ['lineDelay', 'scheduleFile', 'timezone', 'whenAway'];
+
+var log = require('winston');
+
+const config = require('./config');
+const HabiBot = require('./habibot');
+const Scheduler = require('./scheduler');
+
+
+/**
+ * Constructs the announcer HabiBot, which stays in its region running the events in
+ * <tt>scheduleFile</tt> as they fall due, such as announcing in-world events.
+ *
+ * Options override the announcer's config file and environment; see config.js. Unless
+ * <tt>watch</tt> is off, the schedule is reloaded whenever it changes, and so is the
+ * config file, applying its new LiveSettings while staying connected.
+ * @param {Object} options announcer options, as accepted on the command line, plus an
+ *   optional <tt>botConfig</tt> merged into the HabiBot's config
+ * @returns {HabiBot} the announcer, ready to connect()
+ * @throws {Error} if any setting is invalid or the schedule cannot be loaded
+ */
+function createAnnouncer(options) {
+  const Argv = config.load(Settings, { options: options });
+  log.debug('Announcer settings: %j', config.redact(Argv, Settings));
+
+  const AnnouncerBot = HabiBot.newWithConfig(Argv.host, Argv.port, Argv.username,
+    Object.assign({ shouldReconnect: Argv.reconnect, metricsPort: Argv.metricsPort },
+        Argv.botConfig));
+
+  // Loads the schedule into a new Scheduler, throwing if it is not valid.
+  const newScheduler = (settings) => {
+    var schedule = Scheduler.loadFile(settings.scheduleFile);
+    return new Scheduler(AnnouncerBot, schedule.events, {
+      lineDelay: settings.lineDelay,
+      timezone: schedule.timezone || settings.timezone,
+      whenAway: settings.whenAway,
+    });
+  };
+  let Events = newScheduler(Argv);
+  const Watchers = { schedule: null, settings: null };
+
+  const logUpcoming = () => {
+    Events.upcoming().forEach((event) => {
+      log.info('Scheduled %s for %s', event.name, event.at.toISOString());
+    });
+  };
+
+  // Stops the current Scheduler, dropping any events it deferred, and starts the next.
+  const replaceScheduler = (events) => {
+    Events.stop();
+    Events = events;
+    Events.start();
+    logUpcoming();
+  };
+
+  const reloadSchedule = () => {
+    replaceScheduler(newScheduler(Argv));
+    log.info('Reloaded schedule from %s', Argv.scheduleFile);
+  };
+
+  const warnUnapplied = config.restartWarnings('announcer');
+
+  // Reloads the config file, applying the LiveSettings which changed. Nothing is applied
+  // unless the settings and any new schedule are all valid.
+  const reloadSettings = () => {
+    var settings = config.load(Settings, { options: options });
+    var changed = config.changes(Argv, settings);
+    var live = changed.filter((key) => LiveSettings.indexOf(key) !== -1);
+    var next = Object.assign({}, Argv);
+    live.forEach((key) => {
+      next[key] = settings[key];
+    });
+    var events = (live.length > 0) ? newScheduler(next) : null;
+
+    warnUnapplied(changed.filter((key) => LiveSettings.indexOf(key) === -1), settings);
+
+    live.forEach((key) => {
+      log.info('Applying new %s', key);
+      Argv[key] = settings[key];
+    });
+    if (events !== null) {
+      replaceScheduler(events);
+      if (Argv.watch && live.indexOf('scheduleFile') !== -1) {
+        watchSchedule();
+      }
+    }
+  };
+
+  // Keeps the current schedule or settings if the changed file is not valid.
+  const watch = (file, reload) => config.watchReload(file, reload, Argv.watchInterval);
+
+  const watchSchedule = () => {
+    if (Watchers.schedule !== null) {
+      Watchers.schedule.close();
+    }
+    Watchers.schedule = watch(Argv.scheduleFile, reloadSchedule);
+  };
+
+  if (Argv.watch) {
+    watchSchedule();
+    if (Argv.configFile) {
+      Watchers.settings = watch(Argv.configFile, reloadSettings);
+    }
+  }
+
+  AnnouncerBot.on('connected', (bot) => {
+    log.debug('AnnouncerBot connected.');
+    if (!bot.isReentering()) {
+      bot.gotoContext(bot.lastContext || Argv.context);
+    }
+  });
+
+  AnnouncerBot.once('enteredRegion', (bot) => {
+    return bot.ensureCorporated().then(logUpcoming);
+  });
+
+  AnnouncerBot.on('disconnected', (bot) => {
+    if (bot.stopping) {
+      Events.stop();
+      Object.keys(Watchers)
+        .filter((key) => Watchers[key] !== null)
+        .forEach((key) => Watchers[key].close());
+    }
+  });
+
+  // Started right away, so that events falling due before the announcer has entered
+  // its region are deferred or skipped rather than missed.
+  Events.start();
+
+  return AnnouncerBot;
+}
+
+
+if (require.main === module) {
+  config.runBehavior(Settings, createAnnouncer);
+}
+
+
+module.exports = Object.freeze({
+  // Behavior entry point used by the orchestrator.
+  create: createAnnouncer,
+  createAnnouncer: createAnnouncer,
+});
@@ -0,0 +1,219 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const fs = require('fs');
+
+var log = require('winston');
+
+const util = require('./util');
+
+
+const DefaultMemoryConfig = {
+  // Milliseconds to batch up visits before writing them to disk.
+  saveDelay: 1000,
+};
+
+
+/**
+ * Remembers every Avatar a bot has met, persisted to a JSON file so that returning
+ * visitors are recognized across restarts. Each Avatar's record, keyed by lowercased
+ * name, holds:
+ * <ul>
+ *   <li><b>name</b> - The Avatar's name as last seen</li>
+ *   <li><b>firstSeen</b> - When the Avatar was first met, in epoch milliseconds</li>
+ *   <li><b>lastSeen</b> - When the Avatar was last met, in epoch milliseconds</li>
+ *   <li><b>visits</b> - How many times the Avatar has been met</li>
+ *   <li><b>regions</b> - Contexts the Avatar has been met in</li>
+ * </ul>
+ *
+ * Without a file path, records are kept in memory only.
+ */
+class AvatarMemory {
+
+  /**
+   * @param {string} filePath JSON file to persist records to, or null
+   * @param {Object} config optional settings: <tt>saveDelay</tt>
+   */
+  constructor(filePath, config) {
+    this.filePath = filePath || null;
+    this.config = Object.assign(util.clone(DefaultMemoryConfig), config);
+    this.records = {};
+    this.saveTimer = null;
+    this.load();
+  }
+
+  /**
+   * Reads records from the memory file, if it exists.
+   * @throws {Error} if the file exists but cannot be parsed
+   */
+  load() {
+    if (this.filePath === null || !fs.existsSync(this.filePath)) {
+      return;
+    }
+    try {
+      var doc = JSON.parse(fs.readFileSync(this.filePath).toString());
+      this.records = doc.avatars || {};
+    } catch (e) {
+      throw new Error(`Could not parse avatar memory ${this.filePath}: ${e.message}`);
+    }
+    log.debug('Loaded %d remembered Avatars from %s',
+        Object.keys(this.records).length, this.filePath);
+  }
+
+  /**
+   * Returns a copy of the record of the Avatar with the provided name.
+   * @param {string} name Avatar name
+   * @returns {Object} the Avatar's record, null if they have never been met
+   */
+  get(name) {
+    var record = this.records[name.toLowerCase()];
+    return (record !== undefined) ? util.clone(record) : null;
+  }
+
+  /**
+   * Returns whether the Avatar with the provided name has been met before.
+   * @param {string} name Avatar name
+   * @returns {boolean}
+   */
+  hasMet(name) {
+    return name.toLowerCase() in this.records;
+  }
+
+  /**
+   * Returns whether the Avatar with the provided name was last met within the window.
+   * @param {string} name Avatar name
+   * @param {int} windowMillis window in milliseconds
+   * @param {int} now optional current time in epoch milliseconds
+   * @returns {boolean}
+   */
+  seenWithin(name, windowMillis, now) {
+    var record = this.records[name.toLowerCase()];
+    if (record === undefined) {
+      return false;
+    }
+    return ((now || Date.now()) - record.lastSeen) < windowMillis;
+  }
+
+  /**
+   * Returns copies of all records, most recently seen first.
+   * @returns {Object[]}
+   */
+  all() {
+    var scope = this;
+    return Object.keys(this.records)
+      .map((key) => util.clone(scope.records[key]))
+      .sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
+  /**
+   * Records meeting an Avatar.
+   * @param {string} name Avatar name
+   * @param {string} context context the Avatar was met in
+   * @param {int} now optional current time in epoch milliseconds
+   * @returns {Object} a copy of the Avatar's record before this visit, null if this is
+   *   the first time they have been met
+   */
+  recordVisit(name, context, now) {
+    var key = name.toLowerCase();
+    var when = now || Date.now();
+    var previous = this.get(name);
+    var record = this.records[key];
+    if (record === undefined) {
+      record = this.records[key] = {
+        name: name,
+        firstSeen: when,
+        lastSeen: when,
+        visits: 0,
+        regions: [],
+      };
+    }
+    record.name = name;
+    record.lastSeen = when;
+    record.visits++;
+    if (context && record.regions.indexOf(context) === -1) {
+      record.regions.push(context);
+    }
+    this.scheduleSave();
+    return previous;
+  }
+
+  /**
+   * Forgets the Avatar with the provided name.
+   * @param {string} name Avatar name
+   * @returns {boolean} whether the Avatar had been remembered
+   */
+  forget(name) {
+    var key = name.toLowerCase();
+    if (!(key in this.records)) {
+      return false;
+    }
+    delete this.records[key];
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * Records Avatar visits seen by a HabiBot: Avatars arriving in its region, and those
+   * already present whenever it enters a region.
+   * @param {HabiBot} bot HabiBot to track visits for
+   * @param {function} onArrival optional <tt>function(bot, avatar, previous)</tt> called
+   *   for each arriving Avatar with their record before the visit, null if they have
+   *   never been met; may return a Promise
+   */
+  track(bot, onArrival) {
+    var scope = this;
+    bot.on('enteredRegion', (bot, me) => {
+      bot.region.getAvatars()
+        .filter((avatar) => avatar.ref !== me.obj.ref)
+        .forEach((avatar) => scope.recordVisit(avatar.name, bot.region.context));
+    });
+    bot.on('APPEARING_$', (bot, msg) => {
+      var avatar = bot.getNoid(msg.appearing);
+      if (avatar == null) {
+        log.error('No avatar found at noid: %s', msg.appearing);
+        return;
+      }
+      var previous = scope.recordVisit(avatar.name, bot.region.context);
+      if (onArrival) {
+        return onArrival(bot, avatar, previous);
+      }
+    });
+    bot.on('disconnected', () => scope.save());
+  }
+
+  /**
+   * Writes all records to the memory file immediately.
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (this.filePath === null) {
+      return;
+    }
+    // Writes to a temporary file first so a crash never leaves a truncated file behind.
+    var tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify({ avatars: this.records }, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (e) {
+      log.error('Could not save avatar memory to %s: %s', this.filePath, e.message);
+    }
+  }
+
+  // Private methods:
+
+  scheduleSave() {
+    var scope = this;
+    if (this.filePath === null || this.saveTimer !== null) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => scope.save(), this.config.saveDelay);
+    this.saveTimer.unref();
+  }
+
+}
+
+
+module.exports = AvatarMemory;
@@ -0,0 +1,97 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+/**
+ * Child process which runs a single bot on behalf of the orchestrator, so that a bot
+ * which crashes takes down only its own process.
+ *
+ * The orchestrator sends <tt>{op: 'start', bot: {...}}</tt> with the bot's resolved
+ * settings and <tt>{op: 'stop'}</tt> to shut it down; the worker answers with
+ * <tt>{op: 'started'}</tt> and reports its connection state as <tt>{op: 'status'}</tt>.
+ */
+
+const path = require('path');
+
+var log = require('winston');
+
+const StopGraceMillis = 2000;
+
+var Bot = null;
+
+
+function report(msg) {
+  if (process.connected) {
+    process.send(msg);
+  }
+}
+
+
+/**
+ * Loads a bot's behavior module and starts the bot it creates.
+ * @param {Object} settings bot settings from the orchestrator's config file
+ */
+function start(settings) {
+  log.remove(log.transports.Console);
+  log.add(log.transports.Console, { timestamp: true, label: settings.name });
+  log.level = settings.loglevel || 'info';
+
+  var modulePath = settings.behavior;
+  if (modulePath.indexOf('/') === -1) {
+    // Bare names refer to the behaviors shipped with habibots, e.g. "greeter".
+    modulePath = path.join(__dirname, modulePath);
+  }
+  const behavior = require(modulePath);
+  if (typeof behavior.create !== 'function') {
+    throw new Error(`Behavior module ${settings.behavior} does not export create()`);
+  }
+
+  Bot = behavior.create(settings);
+  Bot.on('connected', () => report({ op: 'status', connected: true }));
+  Bot.on('disconnected', () => report({ op: 'status', connected: false }));
+  Bot.on('enteredRegion', () => report({ op: 'status', context: Bot.lastContext }));
+  Bot.connect();
+  report({ op: 'started' });
+}
+
+
+function stop() {
+  if (Bot !== null) {
+    Bot.disconnect();
+  }
+  // Gives the socket a moment to close cleanly.
+  setTimeout(() => process.exit(0), StopGraceMillis).unref();
+  if (Bot === null || Bot.server === null) {
+    process.exit(0);
+  }
+  Bot.on('disconnected', () => process.exit(0));
+}
+
+
+process.on('message', (msg) => {
+  switch (msg.op) {
+    case 'start':
+      start(msg.bot);
+      break;
+    case 'stop':
+      stop();
+      break;
+    default:
+      log.warn('Unknown orchestrator message: %j', msg);
+  }
+});
+
+process.on('disconnect', () => {
+  // The orchestrator has gone away; don't linger as an orphan.
+  stop();
+});
+
+process.on('uncaughtException', (err) => {
+  log.error('Bot crashed: %s', err.stack);
+  process.exit(1);
+});
+
+process.on('unhandledRejection', (reason) => {
+  log.warn('Unhandled rejection: %s', (reason && reason.stack) ? reason.stack : reason);
+});
@@ -0,0 +1,210 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+var log = require('winston');
+
+const HabiBot = require('./habibot');
+const Metrics = require('./metrics').Metrics;
+const RateLimiter = require('./ratelimiter');
+const util = require('./util');
+
+
+const DefaultBridgeConfig = {
+  // Only relays while the HabiBot is in this context; null relays from any region.
+  context: null,
+  // Habitat Avatar names mapped to chat user names; chat names are mapped back in reverse.
+  nameMap: {},
+  chatMaxLength: 4000,
+  toChatRate: { maxEvents: 5, perMillis: 5000, maxQueue: 50 },
+  // Chat messages matching text relayed to chat within this window are ignored as echoes.
+  echoWindow: 10000,
+  // Whether ESP sent to the HabiBot is relayed to chat, e.g. for helpers answering
+  // new players; chat messages starting TO:name are always sent to that Avatar over ESP.
+  relayPrivate: false,
+};
+
+// Chat messages to be sent privately: "to:randy Hi there!"
+const PrivateChatPattern = /^to:\s*(\S+)\s+([\s\S]+)$/i;
+
+
+/**
+ * Relays speech between the region a HabiBot is in and a chat channel, in both
+ * directions. The chat side is provided by an adapter, such as a SlackAdapter or a
+ * WebhookAdapter, which implements:
+ * <ul>
+ *   <li><b>start(receive)</b> - Connects to the chat service, calling
+ *       <tt>receive({user, text, self})</tt> for each chat message, where <tt>self</tt>
+ *       marks messages the adapter itself posted; returns a Promise</li>
+ *   <li><b>send(text)</b> - Posts text to the chat channel; returns a Promise</li>
+ *   <li><b>stop()</b> - Disconnects from the chat service</li>
+ * </ul>
+ *
+ * Messages are never relayed back to where they came from: the HabiBot's own speech
+ * and messages the adapter posted are ignored. ESP to the HabiBot stays private unless
+ * <tt>relayPrivate</tt> is set, and chat starting with <tt>TO:name</tt> is sent only to
+ * that Avatar, over ESP, so help conversations stay out of the public region chat. Long
+ * messages are split to fit the chat channel and rate limited; chat relayed to the
+ * region is split and paced by the HabiBot's say(), as all its speech is.
+ */
+class ChatBridge {
+
+  /**
+   * @param {HabiBot} bot HabiBot whose region is bridged
+   * @param {Object} adapter chat adapter
+   * @param {Object} config optional settings overriding DefaultBridgeConfig
+   */
+  constructor(bot, adapter, config) {
+    this.bot = bot;
+    this.adapter = adapter;
+    this.config = Object.assign(util.clone(DefaultBridgeConfig), config);
+    this.toChatLimiter = new RateLimiter(this.config.toChatRate);
+    // Text recently relayed to chat, used to spot echoes.
+    this.relayed = [];
+    this.speakListener = this.onSpeak.bind(this);
+    this.privateListener = this.onPrivateMessage.bind(this);
+    this.started = false;
+  }
+
+  /**
+   * Starts relaying messages.
+   * @returns {Promise} resolved once the adapter has connected
+   */
+  start() {
+    if (this.started) {
+      return Promise.resolve();
+    }
+    this.started = true;
+    this.bot.on('SPEAK$', this.speakListener);
+    this.bot.on('privateMessage', this.privateListener);
+    return this.adapter.start(this.onChatMessage.bind(this));
+  }
+
+  /**
+   * Stops relaying messages, dropping any waiting to be relayed.
+   */
+  stop() {
+    if (!this.started) {
+      return;
+    }
+    this.started = false;
+    this.bot.off('SPEAK$', this.speakListener);
+    this.bot.off('privateMessage', this.privateListener);
+    this.toChatLimiter.clear('Bridge stopped');
+    this.adapter.stop();
+  }
+
+  /**
+   * Posts a notice, such as an Avatar's arrival, to the chat channel.
+   * @param {string} text text to post
+   * @returns {Promise}
+   */
+  announce(text) {
+    return this.sendToChat(text);
+  }
+
+  /**
+   * Returns the chat user name of the Avatar with the provided name.
+   * @param {string} name Avatar name
+   * @returns {string}
+   */
+  toChatName(name) {
+    return this.config.nameMap[name] || name;
+  }
+
+  /**
+   * Returns the Avatar name of the chat user with the provided name.
+   * @param {string} name chat user name
+   * @returns {string}
+   */
+  toHabitatName(name) {
+    var nameMap = this.config.nameMap;
+    var avatarNames = Object.keys(nameMap).filter((avatarName) => nameMap[avatarName] === name);
+    return (avatarNames.length > 0) ? avatarNames[0] : name;
+  }
+
+  // Private methods:
+
+  inBridgedRegion() {
+    return this.config.context === null || this.bot.region.context === this.config.context;
+  }
+
+  onSpeak(bot, msg) {
+    // Don't echo out anything the bot itself says, nor anything said privately.
+    if (msg.noid === bot.getAvatarNoid() || HabiBot.isPrivate(msg) || !this.inBridgedRegion()) {
+      return;
+    }
+    var avatar = bot.getNoid(msg.noid);
+    if (avatar == null) {
+      return;
+    }
+    this.sendToChat(`${this.toChatName(avatar.name)}: ${msg.text}`)
+      .catch((reason) => {
+        Metrics.chatRelayFailures.inc({ bot: bot.username, direction: 'toChat' });
+        log.warn('Not relaying to chat: %s', reason);
+      });
+  }
+
+  onPrivateMessage(bot, message) {
+    if (!this.config.relayPrivate) {
+      return;
+    }
+    var name = this.toChatName(message.name || `noid ${message.noid}`);
+    this.sendToChat(`[ESP] ${name}: ${message.text}`)
+      .catch((reason) => {
+        Metrics.chatRelayFailures.inc({ bot: bot.username, direction: 'toChat' });
+        log.warn('Not relaying ESP to chat: %s', reason);
+      });
+  }
+
+  onChatMessage(message) {
+    if (!this.started || message.self || this.isEcho(message.text)) {
+      return;
+    }
+    if (!this.bot.connected || !this.inBridgedRegion()) {
+      log.debug('Not in the bridged region, dropping chat from %s', message.user);
+      return;
+    }
+    var text = message.text;
+    var recipient = null;
+    var match = PrivateChatPattern.exec(text);
+    if (match !== null) {
+      recipient = this.toHabitatName(match[1]);
+      text = match[2];
+    }
+    this.sendToRegion(`@${this.toHabitatName(message.user)}: ${text}`, recipient)
+      .catch((reason) => {
+        Metrics.chatRelayFailures.inc({ bot: this.bot.username, direction: 'toRegion' });
+        log.warn('Not relaying to the region: %s', reason);
+      });
+  }
+
+  sendToChat(text) {
+    var scope = this;
+    return Promise.all(util.splitText(text, this.config.chatMaxLength).map((chunk) => {
+      scope.rememberRelayed(chunk);
+      return scope.toChatLimiter.schedule(() => scope.adapter.send(chunk));
+    }));
+  }
+
+  sendToRegion(text, recipient) {
+    return recipient ? this.bot.sayPrivately(recipient, text) : this.bot.say(text);
+  }
+
+  rememberRelayed(text) {
+    var now = Date.now();
+    var windowStart = now - this.config.echoWindow;
+    this.relayed = this.relayed.filter((item) => item.time > windowStart);
+    this.relayed.push({ text: text, time: now });
+  }
+
+  isEcho(text) {
+    var windowStart = Date.now() - this.config.echoWindow;
+    return this.relayed.some((item) => item.time > windowStart && item.text === text);
+  }
+
+}
+
+
+module.exports = ChatBridge;
@@ -0,0 +1,276 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const DefaultCartographerConfig = {
+  // Stops crawling after mapping this many regions.
+  maxRegions: 100,
+  // Habitat classes of the objects worth putting on the map.
+  notableTypes: ['ATM', 'Teleport', 'Vendo_front'],
+  // How long to wait after entering a region for its objects to arrive.
+  settleDelay: 1000,
+};
+
+// Settings of the cartographer, besides those of every bot; see config.js.
+const Settings = {
+  // Where the map is written once the crawl is done; not written if unset.
+  dotFile: {
+    type: 'string',
+    default: null,
+    alias: 'd',
+    describe: 'File to write the map to as a Graphviz DOT graph.',
+  },
+  jsonFile: {
+    type: 'string',
+    default: null,
+    alias: 'j',
+    describe: 'File to write the map to as JSON.',
+  },
+  maxRegions: {
+    type: 'number',
+    default: DefaultCartographerConfig.maxRegions,
+    describe: 'Stops crawling after mapping this many regions.',
+  },
+  notableTypes: {
+    type: 'list',
+    default: DefaultCartographerConfig.notableTypes,
+    describe: 'Comma-separated Habitat classes of the objects to put on the map.',
+  },
+  settleDelay: {
+    type: 'number',
+    default: DefaultCartographerConfig.settleDelay,
+    describe: 'Milliseconds to wait in each region for its objects to arrive.',
+  },
+};
+
+const fs = require('fs');
+
+var log = require('winston');
+
+const config = require('./config');
+const HabiBot = require('./habibot');
+const util = require('./util');
+
+
+/**
+ * Crawls the Habitat world with a HabiBot: starting from the region the HabiBot is in,
+ * it travels through every region it can reach across region edges and doors, recording
+ * each region's name, neighbors and notable objects, such as Vendos, Teleports and ATMs,
+ * with their coordinates. The map is available as JSON and as a Graphviz DOT graph:
+ *
+ * <pre>
+ * const map = new Cartographer(bot);
+ * bot.on('enteredRegion', () => {
+ *   map.crawl().then(() => fs.writeFileSync('habitat.dot', map.toDot()));
+ * });
+ * </pre>
+ */
+class Cartographer {
+
+  /**
+   * @param {HabiBot} bot HabiBot doing the crawling
+   * @param {Object} config optional settings overriding DefaultCartographerConfig
+   */
+  constructor(bot, config) {
+    this.bot = bot;
+    this.config = Object.assign(util.clone(DefaultCartographerConfig), config);
+    // Mapped regions, keyed by context.
+    this.regions = {};
+    // Contexts which could not be reached, mapped to why not.
+    this.unreachable = {};
+    this.start = null;
+  }
+
+  /**
+   * Maps every region reachable from the HabiBot's current region.
+   * @returns {Promise} resolved with the map, as returned by toJSON(), once every
+   *   reachable region has been mapped
+   */
+  crawl() {
+    var scope = this;
+    this.start = this.bot.region.context;
+    log.info('Mapping the regions reachable from %s', this.start);
+
+    var step = () => {
+      return scope.bot.wait(scope.config.settleDelay)
+        .then(() => {
+          scope.record();
+          var next = scope.nextUnmapped();
+          if (next === null || Object.keys(scope.regions).length >= scope.config.maxRegions) {
+            return scope.toJSON();
+          }
+          return scope.bot.travelTo(next)
+            .catch((reason) => {
+              log.warn('Could not reach %s: %s', next, reason);
+              scope.unreachable[next] = String(reason);
+            })
+            .then(step);
+        });
+    };
+    return step();
+  }
+
+  /**
+   * Returns the map: each region's context, name, neighbors by compass direction, exits
+   * and notable objects, keyed by context, plus the contexts which could not be reached.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      start: this.start,
+      regions: util.clone(this.regions),
+      unreachable: util.clone(this.unreachable),
+    };
+  }
+
+  /**
+   * Returns the map as a Graphviz DOT graph, with a node per region and an edge per exit.
+   * @returns {string}
+   */
+  toDot() {
+    var scope = this;
+    var lines = ['digraph habitat {', '  node [shape=box];'];
+    var contexts = Object.keys(this.regions).sort();
+    contexts.forEach((context) => {
+      var region = scope.regions[context];
+      var label = [region.name || context].concat(region.objects.map((obj) => {
+        return `${obj.type} (${obj.x}, ${obj.y})`;
+      })).join('\n');
+      lines.push(`  ${quote(context)} [label=${quote(label)}];`);
+    });
+    contexts.forEach((context) => {
+      scope.regions[context].exits.forEach((exit) => {
+        var label = (exit.direction !== null) ? exit.direction : `door ${exit.noid}`;
+        lines.push(`  ${quote(context)} -> ${quote(exit.context)} [label=${quote(label)}];`);
+      });
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  // Private methods:
+
+  record() {
+    var scope = this;
+    var region = this.bot.region;
+    if (region.context === null) {
+      return;
+    }
+    var exits = region.getExits();
+    var neighbors = {};
+    exits.filter((exit) => exit.direction !== null).forEach((exit) => {
+      neighbors[exit.direction] = exit.context;
+    });
+    var objects = [];
+    this.config.notableTypes.forEach((type) => {
+      region.getObjectsOfType(type)
+        .filter((obj) => region.isInRegion(obj.mods[0].noid))
+        .forEach((obj) => {
+          var mod = obj.mods[0];
+          objects.push({ type: type, name: obj.name, ref: obj.ref, x: mod.x, y: mod.y });
+        });
+    });
+    this.regions[region.context] = {
+      context: region.context,
+      name: region.name,
+      neighbors: neighbors,
+      exits: exits.map((exit) => {
+        return { context: exit.context, direction: exit.direction, noid: exit.noid };
+      }),
+      objects: objects,
+    };
+    this.bot.regionMap.learn(region);
+    log.info('Mapped %s (%s): %d exits, %d notable objects', region.name, region.context,
+        exits.length, objects.length);
+  }
+
+  // Returns the unmapped region nearest the HabiBot, null once none can be reached.
+  nextUnmapped() {
+    var scope = this;
+    var here = this.bot.region.context;
+    var best = null;
+    var bestHops = Infinity;
+    Object.keys(this.regions).forEach((context) => {
+      scope.regions[context].exits.forEach((exit) => {
+        if (exit.context in scope.regions || exit.context in scope.unreachable) {
+          return;
+        }
+        var route = scope.bot.regionMap.route(here, exit.context);
+        if (route !== null && route.length < bestHops) {
+          best = exit.context;
+          bestHops = route.length;
+        }
+      });
+    });
+    return best;
+  }
+
+}
+
+
+// Quotes a DOT identifier, keeping line breaks within labels.
+function quote(text) {
+  var escaped = String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  return `"${escaped.replace(/\n/g, '\\n')}"`;
+}
+
+
+/**
+ * Constructs a cartographer HabiBot, which enters its context, maps every region it can
+ * reach from there, writes the map to <tt>jsonFile</tt> and <tt>dotFile</tt>, then
+ * disconnects.
+ *
+ * Options override the cartographer's config file and environment; see config.js.
+ * @param {Object} options cartographer options, as accepted on the command line, plus
+ *   an optional <tt>botConfig</tt> merged into the HabiBot's config
+ * @returns {HabiBot} the cartographer, ready to connect()
+ * @throws {Error} if any setting is invalid
+ */
+function createCartographer(options) {
+  const Argv = config.load(Settings, { options: options });
+  log.debug('Cartographer settings: %j', config.redact(Argv, Settings));
+
+  const CartographerBot = HabiBot.newWithConfig(Argv.host, Argv.port, Argv.username,
+    Object.assign({ shouldReconnect: false, metricsPort: Argv.metricsPort }, Argv.botConfig));
+  const Mapper = new Cartographer(CartographerBot, {
+    maxRegions: Argv.maxRegions,
+    notableTypes: Argv.notableTypes,
+    settleDelay: Argv.settleDelay,
+  });
+
+  CartographerBot.on('connected', (bot) => {
+    bot.gotoContext(Argv.context);
+  });
+
+  CartographerBot.once('enteredRegion', (bot) => {
+    return Mapper.crawl()
+      .then((map) => {
+        if (Argv.jsonFile) {
+          fs.writeFileSync(Argv.jsonFile, JSON.stringify(map, null, 2) + '\n');
+          log.info('Wrote map of %d regions to %s', Object.keys(map.regions).length,
+              Argv.jsonFile);
+        }
+        if (Argv.dotFile) {
+          fs.writeFileSync(Argv.dotFile, Mapper.toDot());
+          log.info('Wrote map graph to %s', Argv.dotFile);
+        }
+        bot.disconnect();
+      });
+  });
+
+  return CartographerBot;
+}
+
+
+if (require.main === module) {
+  config.runBehavior(Settings, createCartographer);
+}
+
+
+module.exports = Object.freeze({
+  Cartographer: Cartographer,
+  // Behavior entry point used by the orchestrator.
+  create: createCartographer,
+  createCartographer: createCartographer,
+});
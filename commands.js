@@ -0,0 +1,369 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const log = require('winston');
+
+const ActionQueue = require('./actionqueue');
+const HabiBot = require('./habibot');
+const util = require('./util');
+
+
+const DefaultCommandRouterConfig = {
+  // Names of Avatars allowed to run admin commands.
+  admins: [],
+  // Other names, besides the HabiBot's username, the HabiBot answers to.
+  aliases: [],
+  // Default per-Avatar cooldown between uses of a command, in milliseconds.
+  cooldown: 0,
+  prefix: '!',
+  // Whether to reply to unknown commands when addressed by name or over ESP; chat
+  // merely starting with the prefix, such as "!wow", is never answered.
+  replyUnknown: true,
+  // Replies jump ahead of queued actions, such as greetings, at this priority.
+  replyPriority: ActionQueue.Priority.HIGH,
+};
+
+const PermissionLevels = {
+  user: 0,
+  admin: 1,
+};
+
+
+/**
+ * Routes chat commands aimed at a HabiBot to registered handlers.
+ *
+ * A message is a command if it starts with the command prefix (<tt>!help</tt>), if it
+ * addresses the HabiBot by name (<tt>phil, where is the fountain?</tt> or
+ * <tt>@phil help</tt>), or if it was sent to the HabiBot over ESP. The first word is the
+ * command name and the rest its arguments:
+ *
+ * <pre>
+ * const commands = new CommandRouter(bot, { admins: ['randy'] });
+ * commands.command('where', {
+ *   description: 'Tells you where to find a place.',
+ *   args: [{ name: 'place', type: 'rest' }],
+ *   cooldown: 5000,
+ *   handler: (ctx) => ctx.reply(`The ${ctx.args.place} is to the left.`),
+ * });
+ * </pre>
+ *
+ * Handlers receive a context holding the <tt>bot</tt>, the <tt>avatar</tt> object,
+ * <tt>noid</tt> and <tt>speaker</tt> name of the speaker, the command <tt>name</tt>,
+ * the parsed <tt>args</tt>, the <tt>raw</tt> argument text, whether the command arrived
+ * <tt>privately</tt>, a <tt>reply(text)</tt> function, which answers over ESP if the
+ * command arrived over ESP, and a <tt>replyPrivately(text)</tt> function, which always
+ * answers over ESP. Handlers may return a Promise.
+ */
+class CommandRouter {
+
+  /**
+   * @param {HabiBot} bot HabiBot to route commands for
+   * @param {Object} config optional settings overriding DefaultCommandRouterConfig
+   */
+  constructor(bot, config) {
+    this.bot = bot;
+    this.config = Object.assign(util.clone(DefaultCommandRouterConfig), config);
+    this.commands = {};
+    this.aliases = {};
+    // Last time each Avatar used each command, keyed by "command:avatar".
+    this.lastUsed = {};
+
+    this.command('help', {
+      description: 'Lists commands, or explains one.',
+      args: [{ name: 'command', optional: true }],
+      handler: this.onHelp.bind(this),
+    });
+
+    bot.on('SPEAK$', this.onSpeak.bind(this));
+    bot.on('privateMessage', this.onPrivateMessage.bind(this));
+  }
+
+  /**
+   * Registers a command.
+   * @param {string} name command name, matched case-insensitively
+   * @param {Object} spec command specification:
+   *   <tt>handler</tt> - <tt>function(ctx)</tt> run for the command,
+   *   <tt>description</tt> - one-line help text,
+   *   <tt>args</tt> - list of <tt>{name, type, optional}</tt>, where type is one of
+   *     <tt>string</tt> (default), <tt>int</tt> or <tt>rest</tt> (all remaining text),
+   *   <tt>aliases</tt> - other names for the command,
+   *   <tt>cooldown</tt> - milliseconds each Avatar must wait between uses,
+   *   <tt>permission</tt> - <tt>user</tt> (default) or <tt>admin</tt>
+   */
+  command(name, spec) {
+    var scope = this;
+    var lowerName = name.toLowerCase();
+    if (!((spec.permission || 'user') in PermissionLevels)) {
+      throw new Error(`Invalid permission for command ${name}: ${spec.permission}`);
+    }
+    this.commands[lowerName] = Object.assign({
+      args: [],
+      aliases: [],
+      cooldown: this.config.cooldown,
+      description: '',
+      permission: 'user',
+    }, spec, { name: lowerName });
+    this.commands[lowerName].aliases.forEach((alias) => {
+      scope.aliases[alias.toLowerCase()] = lowerName;
+    });
+  }
+
+  /**
+   * Returns the command with the provided name or alias, null if there is none.
+   * @param {string} name command name or alias
+   * @returns {Object}
+   */
+  getCommand(name) {
+    var lowerName = name.toLowerCase();
+    if (lowerName in this.aliases) {
+      lowerName = this.aliases[lowerName];
+    }
+    return this.commands[lowerName] || null;
+  }
+
+  /**
+   * Returns true if the Avatar with the provided name may run admin commands.
+   * @param {string} name Avatar name
+   * @returns {boolean}
+   */
+  isAdmin(name) {
+    var lowerName = (name || '').toLowerCase();
+    return this.config.admins.some((admin) => admin.toLowerCase() === lowerName);
+  }
+
+  /**
+   * Returns the usage line of a command, e.g. <tt>!where &lt;place...&gt;</tt>.
+   * @param {Object} command registered command
+   * @returns {string}
+   */
+  usage(command) {
+    var args = command.args.map((arg) => {
+      var label = (arg.type === 'rest') ? `${arg.name}...` : arg.name;
+      return arg.optional ? `[${label}]` : `<${label}>`;
+    });
+    return [`${this.config.prefix}${command.name}`].concat(args).join(' ');
+  }
+
+  /**
+   * Extracts a command from chat text, if the text is aimed at the HabiBot.
+   * @param {string} text chat text
+   * @param {boolean} addressed true if the text was sent privately to the HabiBot
+   * @returns {Object} <tt>{name, raw, addressed}</tt>, where addressed is true if the
+   *   text named the HabiBot or was sent privately, or null if the text is not a command
+   */
+  parse(text, addressed) {
+    var body = text.trim();
+    var named = addressed === true;
+    if (body.indexOf(this.config.prefix) === 0) {
+      body = body.substring(this.config.prefix.length);
+    } else {
+      var rest = this.stripAddress(body);
+      if (rest === null && !addressed) {
+        return null;
+      }
+      named = true;
+      body = (rest !== null) ? rest : body;
+      if (body.indexOf(this.config.prefix) === 0) {
+        body = body.substring(this.config.prefix.length);
+      }
+    }
+    var match = /^(\S+)\s*([\s\S]*)$/.exec(body.trim());
+    if (match === null) {
+      return null;
+    }
+    return { name: match[1].replace(/[?!.,]+$/, ''), raw: match[2], addressed: named };
+  }
+
+  /**
+   * Parses a command's arguments from its raw text.
+   * @param {Object} command registered command
+   * @param {string} raw argument text
+   * @returns {Object} arguments keyed by name
+   * @throws {Error} if required arguments are missing or malformed
+   */
+  parseArgs(command, raw) {
+    var tokens = tokenize(raw);
+    var args = {};
+    for (var i = 0; i < command.args.length; i++) {
+      var arg = command.args[i];
+      if (arg.type === 'rest') {
+        var restText = (tokens.length > 0) ? raw.substring(tokens[0].index).trim() : '';
+        tokens = [];
+        if (restText === '' && !arg.optional) {
+          throw new Error(`Missing ${arg.name}`);
+        }
+        args[arg.name] = (restText === '') ? undefined : restText;
+        continue;
+      }
+      var token = tokens.shift();
+      if (token === undefined) {
+        if (!arg.optional) {
+          throw new Error(`Missing ${arg.name}`);
+        }
+        continue;
+      }
+      if (arg.type === 'int') {
+        if (!/^-?\d+$/.test(token.text)) {
+          throw new Error(`${arg.name} must be a number`);
+        }
+        args[arg.name] = parseInt(token.text, 10);
+      } else {
+        args[arg.name] = token.text;
+      }
+    }
+    return args;
+  }
+
+  /**
+   * Runs the command in a piece of chat, if there is one.
+   * @param {string} text chat text
+   * @param {int} noid noid of the speaker
+   * @param {boolean} privately true if the text was sent to the HabiBot over ESP
+   * @param {string} senderName optional name of the speaker, for ESP from Avatars
+   *   outside the HabiBot's region
+   * @returns {Promise} resolved once the command has run; resolved with null if the
+   *   text held no command
+   */
+  dispatch(text, noid, privately, senderName) {
+    var scope = this;
+    var parsed = this.parse(text, privately);
+    if (parsed === null) {
+      return Promise.resolve(null);
+    }
+    var avatar = this.bot.region.get(noid);
+    var avatarName = (avatar !== null) ? avatar.name : (senderName || null);
+    var ctx = {
+      bot: this.bot,
+      router: this,
+      avatar: avatar,
+      noid: noid,
+      speaker: avatarName,
+      name: parsed.name.toLowerCase(),
+      raw: parsed.raw,
+      args: {},
+      privately: privately === true,
+      reply: (replyText) => scope.reply(ctx, replyText),
+      replyPrivately: (replyText) => scope.replyPrivately(ctx, replyText),
+    };
+
+    var command = this.getCommand(parsed.name);
+    if (command === null) {
+      if (this.config.replyUnknown && parsed.addressed) {
+        return ctx.reply(`I don't know "${parsed.name}". Say ${this.config.prefix}help for commands.`);
+      }
+      return Promise.resolve(null);
+    }
+    ctx.name = command.name;
+
+    if (PermissionLevels[command.permission] > PermissionLevels.user && !this.isAdmin(avatarName)) {
+      log.info('Avatar %s denied admin command: %s', avatarName, command.name);
+      return ctx.reply(`Sorry, only admins may use ${this.config.prefix}${command.name}.`);
+    }
+
+    var cooldownKey = `${command.name}:${avatarName || noid}`;
+    var now = Date.now();
+    if (command.cooldown > 0 && cooldownKey in this.lastUsed) {
+      var remaining = this.lastUsed[cooldownKey] + command.cooldown - now;
+      if (remaining > 0) {
+        return ctx.reply(
+          `Please wait ${Math.ceil(remaining / 1000)}s to use ${this.config.prefix}${command.name} again.`);
+      }
+    }
+
+    try {
+      ctx.args = this.parseArgs(command, parsed.raw);
+    } catch (err) {
+      return ctx.reply(`${err.message}. Usage: ${this.usage(command)}`);
+    }
+
+    this.lastUsed[cooldownKey] = now;
+    log.debug('Avatar %s running command: %s %j', avatarName, command.name, ctx.args);
+    return Promise.resolve()
+      .then(() => command.handler(ctx));
+  }
+
+  // Private methods:
+
+  onHelp(ctx) {
+    var scope = this;
+    if (ctx.args.command !== undefined) {
+      var command = this.getCommand(ctx.args.command.replace(this.config.prefix, ''));
+      if (command === null) {
+        return ctx.reply(`There is no ${this.config.prefix}${ctx.args.command} command.`);
+      }
+      return ctx.reply(`${this.usage(command)} - ${command.description}`);
+    }
+    var isAdmin = this.isAdmin(ctx.avatar !== null ? ctx.avatar.name : null);
+    var names = Object.keys(this.commands)
+      .filter((name) => isAdmin || scope.commands[name].permission === 'user')
+      .sort()
+      .map((name) => `${scope.config.prefix}${name}`);
+    return ctx.reply(`Commands: ${names.join(', ')}. Say ${this.config.prefix}help <command> for more.`);
+  }
+
+  onPrivateMessage(bot, message) {
+    if (typeof message.text !== 'string') {
+      return;
+    }
+    return this.dispatch(message.text, message.noid, true, message.name);
+  }
+
+  onSpeak(bot, msg) {
+    // Never answers the HabiBot itself; ESP arrives as a privateMessage.
+    if (msg.noid === bot.getAvatarNoid() || typeof msg.text !== 'string' ||
+        HabiBot.isPrivate(msg)) {
+      return;
+    }
+    return this.dispatch(msg.text, msg.noid, false);
+  }
+
+  reply(ctx, text) {
+    if (ctx.privately) {
+      return this.replyPrivately(ctx, text);
+    }
+    return this.bot.actions({ priority: this.config.replyPriority }).say(text);
+  }
+
+  replyPrivately(ctx, text) {
+    return this.bot.actions({ priority: this.config.replyPriority })
+      .sayPrivately(ctx.speaker !== null ? ctx.speaker : ctx.noid, text);
+  }
+
+  /**
+   * Returns the text following the HabiBot's name if the text addresses the HabiBot,
+   * e.g. "phil, where is the fountain?" or "@phil help", otherwise null.
+   */
+  stripAddress(text) {
+    var names = [this.bot.username].concat(this.config.aliases)
+      .filter((name) => name)
+      .map((name) => name.toLowerCase());
+    var match = /^(?:@([^\s,:]+)[,:]?|([^\s,:]+)[,:])\s*([\s\S]+)$/.exec(text);
+    if (match !== null && names.indexOf((match[1] || match[2]).toLowerCase()) !== -1) {
+      return match[3];
+    }
+    return null;
+  }
+
+}
+
+
+/**
+ * Splits argument text on whitespace, keeping double-quoted strings together.
+ */
+function tokenize(text) {
+  var tokens = [];
+  var regex = /"([^"]*)"|(\S+)/g;
+  var match;
+  while ((match = regex.exec(text)) !== null) {
+    tokens.push({
+      text: (match[1] !== undefined) ? match[1] : match[2],
+      index: match.index,
+    });
+  }
+  return tokens;
+}
+
+
+module.exports = CommandRouter;
@@ -0,0 +1,448 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const log = require('winston');
+const yaml = require('js-yaml');
+
+const util = require('./util');
+
+
+// Environment variables setting bot settings start with this, e.g. HABIBOTS_SLACK_TOKEN.
+const EnvPrefix = 'HABIBOTS_';
+
+// Shown in place of secrets.
+const Redacted = '********';
+
+// How often watched files are checked for changes, in milliseconds.
+const DefaultWatchInterval = 1000;
+
+// Settings every bot accepts.
+const CommonSettings = {
+  behavior: {
+    type: 'string',
+    default: null,
+    describe: 'Behavior module running the bot, as set by the orchestrator.',
+  },
+  botConfig: {
+    type: 'object',
+    default: {},
+    describe: 'Settings merged into the HabiBot\'s config.',
+  },
+  configFile: {
+    type: 'string',
+    default: null,
+    alias: 'f',
+    describe: 'JSON or YAML file of settings, reloaded when it changes.',
+  },
+  context: {
+    type: 'string',
+    default: null,
+    alias: 'c',
+    describe: 'Context to enter.',
+  },
+  host: {
+    type: 'string',
+    default: '127.0.0.1',
+    alias: 'h',
+    describe: 'Host name or address of the Elko server.',
+  },
+  loglevel: {
+    type: 'string',
+    default: 'debug',
+    alias: ';',
+    describe: 'Log level name. (see: npm winston)',
+  },
+  metricsPort: {
+    type: 'number',
+    default: null,
+    describe: 'Port to serve Prometheus metrics on; off unless set.',
+  },
+  name: {
+    type: 'string',
+    default: null,
+    describe: 'Name of the bot, as set by the orchestrator.',
+  },
+  port: {
+    type: 'number',
+    default: 1337,
+    alias: 'p',
+    describe: 'Port number for the Elko server.',
+  },
+  reconnect: {
+    type: 'boolean',
+    default: true,
+    alias: 'r',
+    describe: 'Whether the bot should reconnect on disconnection.',
+  },
+  username: {
+    type: 'string',
+    default: null,
+    alias: 'u',
+    describe: 'Username of this bot.',
+  },
+};
+
+
+/**
+ * Loads a bot's settings in layers, each overriding the last:
+ * <ol>
+ *   <li>the defaults in the schema</li>
+ *   <li><tt>configFile</tt>, a JSON or YAML file of settings</li>
+ *   <li>the environment: <tt>HABIBOTS_</tt> followed by the setting's name in capitals,
+ *       with words split by underscores, e.g. <tt>HABIBOTS_SLACK_TOKEN</tt></li>
+ *   <li>options, from the command line or the orchestrator</li>
+ * </ol>
+ *
+ * Unknown settings in the config file are reported as errors, as they are most likely
+ * typos; unknown options are ignored, as the orchestrator shares its settings with bots
+ * of every behavior.
+ *
+ * A schema describes each setting a bot accepts:
+ *
+ * <pre>
+ * const Settings = {
+ *   port: { type: 'number', default: 1337, alias: 'p', describe: 'Elko server port.' },
+ *   slackToken: { type: 'string', default: '', secret: true, describe: 'Slack token.' },
+ * };
+ * </pre>
+ *
+ * Types are <tt>string</tt>, <tt>number</tt>, <tt>boolean</tt>, <tt>list</tt>, a
+ * list of strings which may also be given comma-separated, and <tt>object</tt>, which
+ * may be given as JSON. Settings may also be <tt>required</tt>, limited to
+ * <tt>choices</tt>, or <tt>secret</tt>, which keeps their values out of logs and
+ * error messages. Any setting may be null, leaving it unset.
+ * @param {Object} schema settings the bot accepts, besides CommonSettings
+ * @param {Object} sources optional <tt>options</tt>, the settings given explicitly;
+ *   <tt>env</tt>, the environment, process.env by default; and <tt>file</tt>, the config
+ *   file, <tt>options.configFile</tt> or <tt>HABIBOTS_CONFIG_FILE</tt> by default
+ * @returns {Object} settings
+ * @throws {Error} listing every invalid setting and where it came from
+ */
+function load(schema, sources) {
+  var full = Object.assign({}, CommonSettings, schema);
+  var opts = Object.assign({ options: {}, env: process.env }, sources);
+  var settings = {};
+  var problems = [];
+
+  Object.keys(full).forEach((key) => {
+    settings[key] = util.clone(full[key].default);
+  });
+  var apply = (key, value, origin) => {
+    if (!(key in full)) {
+      problems.push(`Unknown setting "${key}" (from ${origin})`);
+      return;
+    }
+    try {
+      settings[key] = coerce(value, full[key]);
+    } catch (message) {
+      var shown = full[key].secret ? '' : `, not ${JSON.stringify(value)}`;
+      problems.push(`${key}: ${message}${shown} (from ${origin})`);
+    }
+  };
+
+  var file = opts.file || opts.options.configFile || opts.env[`${EnvPrefix}CONFIG_FILE`] || null;
+  if (file) {
+    var doc = readFile(file);
+    Object.keys(doc).forEach((key) => apply(key, doc[key], file));
+    settings.configFile = file;
+  }
+  Object.keys(full).forEach((key) => {
+    var name = envName(key);
+    if (opts.env[name] !== undefined && opts.env[name] !== '') {
+      apply(key, opts.env[name], `environment ${name}`);
+    }
+  });
+  Object.keys(opts.options).forEach((key) => {
+    if (key in full && opts.options[key] !== undefined) {
+      apply(key, opts.options[key], 'options');
+    }
+  });
+
+  Object.keys(full).forEach((key) => {
+    var spec = full[key];
+    var value = settings[key];
+    if (spec.required && (value === null || value === undefined || value === '')) {
+      problems.push(`${key}: required; set it in a config file, as ${envName(key)} or as --${key}`);
+    } else if (spec.choices !== undefined && value !== null && spec.choices.indexOf(value) === -1) {
+      problems.push(`${key}: must be one of ${spec.choices.join(', ')}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid settings:\n  ${problems.join('\n  ')}`);
+  }
+  return settings;
+}
+
+
+/**
+ * Returns a copy of settings fit for logging, with secrets hidden.
+ * @param {Object} settings settings returned by load()
+ * @param {Object} schema schema they were loaded with
+ * @returns {Object}
+ */
+function redact(settings, schema) {
+  var full = Object.assign({}, CommonSettings, schema);
+  var copy = util.clone(settings);
+  Object.keys(copy).forEach((key) => {
+    if (full[key] !== undefined && full[key].secret && copy[key]) {
+      copy[key] = Redacted;
+    }
+  });
+  return copy;
+}
+
+
+/**
+ * Returns the names of the settings whose values differ.
+ * @param {Object} before settings
+ * @param {Object} after settings
+ * @returns {string[]}
+ */
+function changes(before, after) {
+  var keys = Object.keys(Object.assign({}, before, after));
+  return keys.filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+
+/**
+ * Adds a schema's settings to a yargs parser as command line options. Defaults are
+ * only described, not set, so that options left out do not override the config file or
+ * environment; see cliOptions() for picking out the options given.
+ * @param {Object} yargs yargs parser
+ * @param {Object} schema settings the bot accepts, besides CommonSettings
+ * @returns {Object} the yargs parser
+ */
+function addOptions(yargs, schema) {
+  var full = Object.assign({}, CommonSettings, schema);
+  Object.keys(full).sort().forEach((key) => {
+    var spec = full[key];
+    var describe = spec.describe || '';
+    if (spec.default !== null && spec.default !== '' && !spec.secret &&
+        typeof spec.default !== 'object') {
+      describe += ` (default: ${spec.default})`;
+    }
+    var option = { describe: `${describe} [env ${envName(key)}]`.trim() };
+    if (spec.alias !== undefined) {
+      option.alias = spec.alias;
+    }
+    if (spec.choices !== undefined) {
+      option.choices = spec.choices;
+    }
+    yargs.option(key, option);
+  });
+  return yargs;
+}
+
+
+/**
+ * Picks the settings given on the command line out of parsed yargs arguments.
+ * @param {Object} argv arguments parsed by a yargs parser set up with addOptions()
+ * @param {Object} schema settings the bot accepts, besides CommonSettings
+ * @returns {Object} options for load()
+ */
+function cliOptions(argv, schema) {
+  var options = {};
+  Object.keys(Object.assign({}, CommonSettings, schema)).forEach((key) => {
+    if (argv[key] !== undefined) {
+      options[key] = argv[key];
+    }
+  });
+  return options;
+}
+
+
+/**
+ * Calls onChange whenever a file is changed or replaced, such as by an editor saving it.
+ * Watching does not keep the process running.
+ * @param {string} filePath file to watch
+ * @param {function} onChange function called after each change
+ * @param {int} intervalMillis how often to check the file (default 1000)
+ * @returns {Object} watcher, with a <tt>close()</tt> method to stop watching
+ */
+function watchFile(filePath, onChange, intervalMillis) {
+  var listener = (current, previous) => {
+    if (current.mtime.getTime() !== previous.mtime.getTime() || current.size !== previous.size) {
+      onChange(filePath);
+    }
+  };
+  fs.watchFile(filePath, {
+    interval: intervalMillis || DefaultWatchInterval,
+    persistent: false,
+  }, listener);
+  return {
+    close: () => fs.unwatchFile(filePath, listener),
+  };
+}
+
+
+/**
+ * Calls reload whenever a file changes, as watchFile() does. Errors reload throws are
+ * logged, so that whatever was loaded from the file before is kept.
+ * @param {string} filePath file to watch
+ * @param {function} reload function loading the file again, throwing if it is invalid
+ * @param {int} intervalMillis how often to check the file (default 1000)
+ * @returns {Object} watcher, with a <tt>close()</tt> method to stop watching
+ */
+function watchReload(filePath, reload, intervalMillis) {
+  return watchFile(filePath, () => {
+    try {
+      reload();
+    } catch (e) {
+      log.error('Not reloading %s: %s', filePath, e.message);
+    }
+  }, intervalMillis);
+}
+
+
+/**
+ * Returns a function warning about settings changed in a reloaded config file which
+ * only apply after a restart. Each new value is warned about once, however often the
+ * file is reloaded.
+ * @param {string} behavior name of the behavior, as shown in warnings
+ * @returns {function} <tt>function(keys, settings)</tt>, given the names of the changed
+ *   settings needing a restart and the settings just loaded
+ */
+function restartWarnings(behavior) {
+  // Values already warned about, as JSON, keyed by setting.
+  var unapplied = {};
+  return (keys, settings) => {
+    Object.keys(unapplied)
+      .filter((key) => keys.indexOf(key) === -1)
+      .forEach((key) => delete unapplied[key]);
+    keys.forEach((key) => {
+      var value = JSON.stringify(settings[key]);
+      if (unapplied[key] !== value) {
+        unapplied[key] = value;
+        log.warn('Restart the %s to apply its new %s', behavior, key);
+      }
+    });
+  };
+}
+
+
+/**
+ * Runs a behavior from the command line: loads its settings from the command line, the
+ * environment and its config file, then creates its HabiBot and connects it. Invalid
+ * settings are logged and end the process.
+ * @param {Object} schema settings the behavior accepts, besides CommonSettings
+ * @param {function} create the behavior's <tt>create(options)</tt>
+ */
+function runBehavior(schema, create) {
+  log.remove(log.transports.Console);
+  log.add(log.transports.Console, { 'timestamp': true });
+
+  const Yargs = require('yargs')
+    .usage('Usage: $0 [options]')
+    .help('help')
+    .option('help', { alias: '?', describe: 'Get this usage/help information.' });
+  const Options = cliOptions(addOptions(Yargs, schema).argv, schema);
+
+  try {
+    log.level = load(schema, { options: Options }).loglevel;
+    create(Options).connect();
+  } catch (e) {
+    log.error(e.message);
+    process.exit(1);
+  }
+}
+
+
+// Private functions:
+
+// Converts a setting's name to its environment variable: slackToken to HABIBOTS_SLACK_TOKEN.
+function envName(key) {
+  return EnvPrefix + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function readFile(filePath) {
+  var doc;
+  try {
+    var text = fs.readFileSync(filePath).toString();
+    var ext = path.extname(filePath).toLowerCase();
+    doc = (ext === '.yml' || ext === '.yaml') ? yaml.safeLoad(text) : JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Could not load settings from ${filePath}: ${e.message}`);
+  }
+  if (doc === null || doc === undefined) {
+    return {};
+  }
+  if (typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error(`Settings in ${filePath} must be an object of setting names and values`);
+  }
+  return doc;
+}
+
+// Converts a value to a setting's type, throwing a description of the problem if it can't.
+function coerce(value, spec) {
+  if (value === null) {
+    return null;
+  }
+  switch (spec.type) {
+    case 'string':
+      if (typeof value === 'object') {
+        throw 'expected text';
+      }
+      return String(value);
+
+    case 'number':
+      var number = (typeof value === 'number') ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || isNaN(number)) {
+        throw 'expected a number';
+      }
+      return number;
+
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      var word = String(value).trim().toLowerCase();
+      if (['true', 'yes', 'on', '1'].indexOf(word) !== -1) {
+        return true;
+      }
+      if (['false', 'no', 'off', '0'].indexOf(word) !== -1) {
+        return false;
+      }
+      throw 'expected true or false';
+
+    case 'list':
+      var items = Array.isArray(value) ? value : String(value).split(',');
+      return items.map((item) => String(item).trim()).filter((item) => item !== '');
+
+    case 'object':
+      var obj = value;
+      if (typeof value === 'string') {
+        try {
+          obj = JSON.parse(value);
+        } catch (e) {
+          throw 'expected a JSON object';
+        }
+      }
+      if (obj === null || typeof obj !== 'object' || Array.isArray(obj)) {
+        throw 'expected an object';
+      }
+      return obj;
+
+    default:
+      return value;
+  }
+}
+
+
+module.exports = Object.freeze({
+  CommonSettings: CommonSettings,
+  addOptions: addOptions,
+  changes: changes,
+  cliOptions: cliOptions,
+  load: load,
+  redact: redact,
+  restartWarnings: restartWarnings,
+  runBehavior: runBehavior,
+  watchFile: watchFile,
+  watchReload: watchReload,
+});
@@ -5,6 +5,12 @@ module.exports = Object.freeze({
   FORWARD: 'FORWARD',
   BEHIND: 'BEHIND',
   UNKNOWN: 'UNKNOWN',
+
+  // Compass constants, in the order of a region's neighbors:
+  NORTH: 'NORTH',
+  EAST: 'EAST',
+  SOUTH: 'SOUTH',
+  WEST: 'WEST',
   
   // Posture constants:
   WAVE: 'WAVE',
@@ -15,4 +21,7 @@ module.exports = Object.freeze({
   STAND_UP: 'STAND_UP',
   PUNCH: 'PUNCH',
   FROWN: 'FROWN',
+
+  // Slot within an Avatar's contents holding what the Avatar carries in its hands:
+  HANDS: 5,
 });
@@ -0,0 +1,259 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+
+var log = require('winston');
+
+const util = require('./util');
+
+
+const DefaultControlConfig = {
+  host: '127.0.0.1',
+  // 0 picks any free port.
+  port: 0,
+  // Shared secret every request must carry as "Authorization: Bearer <token>".
+  token: null,
+  maxBodyBytes: 16384,
+};
+
+
+/**
+ * Actions which may be POSTed to <tt>/bots/:name/:action</tt>, each taking the bot,
+ * the JSON request body and the bot's hooks and returning a Promise.
+ */
+const Actions = {
+  'say': (bot, body) => {
+    requireFields(body, { text: 'string' });
+    return bot.say(body.text);
+  },
+  'walk': (bot, body) => {
+    requireFields(body, { x: 'number', y: 'number' });
+    return bot.walkTo(body.x, body.y);
+  },
+  'face': (bot, body) => {
+    requireFields(body, { direction: 'string' });
+    return bot.faceDirection(body.direction);
+  },
+  'posture': (bot, body) => {
+    requireFields(body, { posture: 'string' });
+    return bot.doPosture(body.posture);
+  },
+  'goto': (bot, body) => {
+    requireFields(body, { context: 'string' });
+    return bot.gotoContext(body.context);
+  },
+  'reload': (bot, body, hooks) => {
+    if (typeof hooks.reload !== 'function') {
+      throw new ControlError(404, 'This bot has nothing to reload');
+    }
+    return Promise.resolve(hooks.reload());
+  },
+};
+
+
+class ControlError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+
+/**
+ * Embedded HTTP server for inspecting and steering the HabiBots running in a process.
+ * Every request must carry the configured token as <tt>Authorization: Bearer
+ * &lt;token&gt;</tt>. Endpoints, all answering with JSON:
+ * <ul>
+ *   <li><b>GET /status</b> - Status of every bot, see HabiBot.status()</li>
+ *   <li><b>GET /bots/:name</b> - Status of a single bot</li>
+ *   <li><b>POST /bots/:name/say</b> - Speaks <tt>{"text": ...}</tt></li>
+ *   <li><b>POST /bots/:name/walk</b> - Walks to <tt>{"x": ..., "y": ...}</tt></li>
+ *   <li><b>POST /bots/:name/face</b> - Faces <tt>{"direction": ...}</tt></li>
+ *   <li><b>POST /bots/:name/posture</b> - Runs <tt>{"posture": ...}</tt></li>
+ *   <li><b>POST /bots/:name/goto</b> - Enters <tt>{"context": ...}</tt></li>
+ *   <li><b>POST /bots/:name/reload</b> - Reloads the bot's files, such as its greeting</li>
+ * </ul>
+ * Actions answer once the bot has carried them out.
+ */
+class ControlServer {
+
+  /**
+   * @param {Object} config <tt>token</tt>, plus optional <tt>host</tt> and <tt>port</tt>
+   */
+  constructor(config) {
+    this.config = Object.assign(util.clone(DefaultControlConfig), config);
+    if (!this.config.token) {
+      throw new Error('The control server needs a token');
+    }
+    this.bots = {};
+    this.server = null;
+  }
+
+  /**
+   * Makes a HabiBot available through the server.
+   * @param {string} name name the bot is addressed by
+   * @param {HabiBot} bot the bot
+   * @param {Object} hooks optional behavior hooks: <tt>reload()</tt>, which may return a
+   *   Promise
+   */
+  addBot(name, bot, hooks) {
+    this.bots[name] = { bot: bot, hooks: hooks || {} };
+  }
+
+  /**
+   * Starts listening.
+   * @returns {Promise} resolved with the port listened on
+   */
+  start() {
+    var scope = this;
+    this.server = http.createServer(this.onRequest.bind(this));
+    return new Promise((resolve, reject) => {
+      scope.server.once('error', reject);
+      scope.server.listen(scope.config.port, scope.config.host, () => {
+        log.info('Control server listening on http://%s:%d', scope.config.host, scope.port());
+        resolve(scope.port());
+      });
+    });
+  }
+
+  /**
+   * Returns the port listened on, null if not listening.
+   * @returns {int}
+   */
+  port() {
+    return (this.server !== null && this.server.address() !== null) ?
+        this.server.address().port : null;
+  }
+
+  /**
+   * Stops listening.
+   */
+  stop() {
+    if (this.server !== null) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  // Private methods:
+
+  isAuthorized(req) {
+    var expected = Buffer.from(`Bearer ${this.config.token}`);
+    var actual = Buffer.from(req.headers.authorization || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  onRequest(req, res) {
+    var scope = this;
+    var respond = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    var fail = (err) => {
+      if (err instanceof ControlError) {
+        return respond(err.status, { error: err.message });
+      }
+      // HabiBot actions reject with strings, such as an invalid posture or a timeout.
+      log.warn('Control request %s %s failed: %s', req.method, req.url, err);
+      respond(500, { error: (err instanceof Error) ? err.message : String(err) });
+    };
+
+    if (!this.isAuthorized(req)) {
+      return respond(401, { error: 'Bad or missing token' });
+    }
+
+    var parts = req.url.split('?')[0].split('/').filter((part) => part !== '');
+    if (req.method === 'GET' && parts.length === 1 && parts[0] === 'status') {
+      return respond(200, {
+        bots: Object.keys(this.bots).map((name) => scope.botStatus(name)),
+      });
+    }
+    if (parts[0] !== 'bots' || parts.length < 2 || parts.length > 3) {
+      return respond(404, { error: 'Not found' });
+    }
+    var name;
+    try {
+      name = decodeURIComponent(parts[1]);
+    } catch (e) {
+      return respond(400, { error: 'Bad bot name' });
+    }
+    if (!(name in this.bots)) {
+      return respond(404, { error: `No bot named ${name}` });
+    }
+    if (parts.length === 2) {
+      if (req.method !== 'GET') {
+        return respond(405, { error: 'Use GET' });
+      }
+      return respond(200, this.botStatus(name));
+    }
+
+    var action = Actions[parts[2]];
+    if (action === undefined) {
+      return respond(404, { error: `Unknown action ${parts[2]}` });
+    }
+    if (req.method !== 'POST') {
+      return respond(405, { error: 'Use POST' });
+    }
+    var entry = this.bots[name];
+    this.readBody(req)
+      .then((body) => {
+        log.info('Control request: %s %j', req.url, body);
+        return action(entry.bot, body, entry.hooks);
+      })
+      .then(() => respond(200, { ok: true }))
+      .catch(fail);
+  }
+
+  botStatus(name) {
+    return Object.assign({ name: name }, this.bots[name].bot.status());
+  }
+
+  readBody(req) {
+    var scope = this;
+    return new Promise((resolve, reject) => {
+      var chunks = [];
+      var size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > scope.config.maxBodyBytes) {
+          reject(new ControlError(413, 'Request too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        var text = Buffer.concat(chunks).toString();
+        if (text.trim() === '') {
+          return resolve({});
+        }
+        try {
+          var body = JSON.parse(text);
+          if (body === null || typeof body !== 'object') {
+            throw new Error('not an object');
+          }
+          resolve(body);
+        } catch (e) {
+          reject(new ControlError(400, 'Body must be a JSON object'));
+        }
+      });
+    });
+  }
+
+}
+
+
+function requireFields(body, fields) {
+  Object.keys(fields).forEach((field) => {
+    if (typeof body[field] !== fields[field]) {
+      throw new ControlError(400, `"${field}" must be a ${fields[field]}`);
+    }
+  });
+}
+
+
+module.exports = ControlServer;
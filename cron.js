@@ -0,0 +1,242 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+// Fields of a cron expression, in order, with their ranges and names.
+const Fields = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12,
+    names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  // 7 is Sunday as well as 0.
+  { name: 'weekday', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+const Aliases = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MinuteMillis = 60000;
+
+// Gives up looking for the next time after searching this far ahead, e.g. for Feb 30.
+const MaxSearchMillis = 5 * 366 * 24 * 60 * MinuteMillis;
+
+// Formatters reading a time's fields in a timezone, keyed by timezone.
+const Formatters = {};
+
+
+/**
+ * Parses a cron expression: five fields, for the minute, hour, day of the month, month
+ * and day of the week, each <tt>*</tt> or a list of values, ranges and steps, such as
+ * <tt>0,30</tt>, <tt>9-17</tt> or <tt>*&#47;15</tt>. Months and days of the week may be
+ * named, as in <tt>JAN</tt> or <tt>FRI</tt>. As with cron, when both the day of the
+ * month and day of the week are restricted, either may match. <tt>@hourly</tt>,
+ * <tt>@daily</tt>, <tt>@weekly</tt>, <tt>@monthly</tt> and <tt>@yearly</tt> are also
+ * accepted.
+ * @param {string} expression cron expression
+ * @returns {Object} parsed expression, for next()
+ * @throws {Error} describing what is wrong with the expression
+ */
+function parse(expression) {
+  var source = String(expression).trim();
+  var fields = (Aliases[source.toLowerCase()] || source).split(/\s+/);
+  if (fields.length !== Fields.length) {
+    throw new Error(`Cron expression "${source}" needs ${Fields.length} fields, not ${fields.length}`);
+  }
+  var parsed = { source: source };
+  Fields.forEach((field, i) => {
+    parsed[field.name] = parseField(fields[i], field, source);
+    parsed[`${field.name}Restricted`] = fields[i] !== '*';
+  });
+  // Sunday may be written as 7.
+  if (parsed.weekday.has(7)) {
+    parsed.weekday.add(0);
+  }
+  return parsed;
+}
+
+
+/**
+ * Returns the first time after the provided one matching a cron expression.
+ * @param {Object} cron expression returned by parse()
+ * @param {Date} after time to start from; the result is always later
+ * @param {string} timezone IANA timezone the expression is in, such as
+ *   <tt>America/Los_Angeles</tt>; local time if unset
+ * @returns {Date} next matching time, or null if there is none within five years
+ */
+function next(cron, after, timezone) {
+  var time = (Math.floor(after.getTime() / MinuteMillis) + 1) * MinuteMillis;
+  var limit = time + MaxSearchMillis;
+  while (time < limit) {
+    var fields = fieldsOf(new Date(time), timezone);
+    if (!cron.month.has(fields.month) || !dayMatches(cron, fields)) {
+      // Whole hours at a time, so that daylight saving changes are not skipped over.
+      time += (60 - fields.minute) * MinuteMillis;
+    } else if (!cron.hour.has(fields.hour)) {
+      time += (60 - fields.minute) * MinuteMillis;
+    } else if (!cron.minute.has(fields.minute)) {
+      time += MinuteMillis;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
+
+
+/**
+ * Returns the time at which a clock in a timezone shows the provided date and time.
+ * @param {Object} local <tt>year</tt>, <tt>month</tt> (1-12), <tt>day</tt>,
+ *   <tt>hour</tt>, <tt>minute</tt> and optional <tt>second</tt>
+ * @param {string} timezone IANA timezone; local time if unset
+ * @returns {Date}
+ */
+function zonedTime(local, timezone) {
+  var wanted = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute,
+      local.second || 0);
+  if (!timezone) {
+    return new Date(local.year, local.month - 1, local.day, local.hour, local.minute,
+        local.second || 0);
+  }
+  // Corrects a first guess by the timezone's offset, twice in case it crosses a change.
+  var time = wanted;
+  for (var i = 0; i < 2; i++) {
+    var shown = fieldsOf(new Date(time), timezone);
+    var shownTime = Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute,
+        new Date(time).getUTCSeconds());
+    time += wanted - shownTime;
+  }
+  return new Date(time);
+}
+
+
+/**
+ * Checks that a timezone is known.
+ * @param {string} timezone IANA timezone
+ * @throws {Error} if it is not
+ */
+function checkTimezone(timezone) {
+  try {
+    formatter(timezone);
+  } catch (e) {
+    throw new Error(`Unknown timezone "${timezone}"`);
+  }
+}
+
+
+// Private functions:
+
+function parseField(text, field, source) {
+  var values = new Set();
+  var fail = (message) => {
+    throw new Error(`Cron expression "${source}": ${field.name} ${message}`);
+  };
+  text.split(',').forEach((item) => {
+    var match = /^(\*|[\w]+(?:-[\w]+)?)(?:\/(\d+))?$/.exec(item);
+    if (match === null) {
+      fail(`"${item}" is not a value, range or step`);
+    }
+    var step = (match[2] !== undefined) ? parseInt(match[2], 10) : 1;
+    if (step < 1) {
+      fail(`step must be at least 1`);
+    }
+    var low = field.min;
+    var high = (field.name === 'weekday') ? 6 : field.max;
+    if (match[1] !== '*') {
+      var bounds = match[1].split('-').map((value) => parseValue(value, field, fail));
+      low = bounds[0];
+      high = (bounds.length > 1) ? bounds[1] : ((match[2] !== undefined) ? high : low);
+    }
+    if (low > high) {
+      fail(`range "${item}" runs backwards`);
+    }
+    for (var value = low; value <= high; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+function parseValue(text, field, fail) {
+  var value;
+  if (/^\d+$/.test(text)) {
+    value = parseInt(text, 10);
+  } else {
+    value = (field.names !== undefined) ? field.names.indexOf(text.toUpperCase()) : -1;
+    if (value === -1) {
+      fail(`"${text}" is not a number${field.names !== undefined ? ' or name' : ''}`);
+    }
+    value += (field.name === 'month') ? 1 : 0;
+  }
+  if (value < field.min || value > field.max) {
+    fail(`${value} is not within ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function dayMatches(cron, fields) {
+  var day = cron.day.has(fields.day);
+  var weekday = cron.weekday.has(fields.weekday);
+  if (cron.dayRestricted && cron.weekdayRestricted) {
+    return day || weekday;
+  }
+  return day && weekday;
+}
+
+function formatter(timezone) {
+  if (!(timezone in Formatters)) {
+    Formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    });
+  }
+  return Formatters[timezone];
+}
+
+// Returns the clock fields of a time, as shown in a timezone.
+function fieldsOf(date, timezone) {
+  if (!timezone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      weekday: date.getDay(),
+    };
+  }
+  var parts = {};
+  formatter(timezone).formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    weekday: Fields[4].names.indexOf(parts.weekday.toUpperCase()),
+  };
+}
+
+
+module.exports = Object.freeze({
+  checkTimezone: checkTimezone,
+  next: next,
+  parse: parse,
+  zonedTime: zonedTime,
+});
@@ -0,0 +1,109 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const log = require('winston');
+const StringDecoder = require('string_decoder').StringDecoder;
+
+const Metrics = require('./metrics').Metrics;
+
+
+/**
+ * Incrementally decodes a stream of Elko JSON messages.
+ *
+ * Elko frames each message as a JSON object followed by a blank line, but a single
+ * socket <tt>data</tt> event may carry a partial message, several messages, or a
+ * multi-byte UTF-8 character split across two chunks. The decoder keeps its state
+ * between calls to <tt>push</tt> and only emits a frame once its closing brace has
+ * arrived, so no message is ever parsed in pieces.
+ *
+ * A blank line arriving before a frame's closing brace means the frame is malformed,
+ * as JSON never holds a raw newline inside a string: the partial frame is dropped and
+ * decoding starts afresh, so one bad frame cannot swallow the messages after it.
+ */
+class ElkoDecoder {
+
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Feeds a chunk of socket data into the decoder.
+   * @param {Buffer|string} chunk data received from the Elko server
+   * @returns {string[]} every complete JSON frame found so far, in arrival order
+   */
+  push(chunk) {
+    var text = (typeof chunk === 'string') ? chunk : this.utf8.write(chunk);
+    var frames = [];
+
+    for (var i = 0; i < text.length; i++) {
+      var c = text.charAt(i);
+
+      if (this.depth === 0) {
+        if (c === '{') {
+          this.frame = '{';
+          this.depth = 1;
+          this.inString = false;
+          this.escaped = false;
+        } else if (c.trim() !== '') {
+          log.debug('IGNORED: %s', text.charCodeAt(i));
+        }
+        continue;
+      }
+
+      if (c === '\n' && this.frame.endsWith('\n')) {
+        log.warn('Dropped incomplete frame: %s', this.frame.trim());
+        Metrics.parseFailures.inc();
+        this.frame = '';
+        this.depth = 0;
+        continue;
+      }
+      this.frame += c;
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (c === '\\') {
+          this.escaped = true;
+        } else if (c === '"') {
+          this.inString = false;
+        }
+      } else if (c === '"') {
+        this.inString = true;
+      } else if (c === '{' || c === '[') {
+        this.depth++;
+      } else if (c === '}' || c === ']') {
+        this.depth--;
+        if (this.depth === 0) {
+          frames.push(this.frame);
+          this.frame = '';
+        }
+      }
+    }
+
+    return frames;
+  }
+
+  /**
+   * Returns true if the decoder is holding the beginning of an incomplete frame.
+   * @returns {boolean}
+   */
+  hasPartialFrame() {
+    return this.depth > 0;
+  }
+
+  /**
+   * Discards any buffered data, e.g. when a new connection is established.
+   */
+  reset() {
+    this.utf8 = new StringDecoder('utf8');
+    this.frame = '';
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+  }
+
+}
+
+
+module.exports = ElkoDecoder;
@@ -3,145 +3,397 @@
 
 'use strict';
 
-const Defaults = {
-  host:         '127.0.0.1',
-  loglevel:     'debug',
-  port:         1337,
-  reconnect:    true,
-  slackChannel: 'newavatars',
-  slackToken:   ''
+// Settings of the greeter, besides those of every bot; see config.js.
+const Settings = {
+  admins: {
+    type: 'list',
+    default: [],
+    alias: 'a',
+    describe: 'Comma-separated names of Avatars allowed to run admin commands.',
+  },
+  // Avatar names mapped to chat user names on the bridge.
+  bridgeNames: {
+    type: 'object',
+    default: {},
+    describe: 'Avatar names mapped to chat user names, as JSON.',
+  },
+  bridgePrivate: {
+    type: 'boolean',
+    default: false,
+    describe: 'Whether ESP sent to the greeter is relayed to chat.',
+  },
+  controlPort: {
+    type: 'number',
+    default: null,
+    describe: 'Port for the HTTP control and status API; off unless set.',
+  },
+  controlToken: {
+    type: 'string',
+    default: '',
+    secret: true,
+    describe: 'Shared secret required by the HTTP control API.',
+  },
+  greetingFile: {
+    type: 'string',
+    default: null,
+    alias: 'g',
+    required: true,
+    describe: 'Greeting script, or plain-text .txt file, to be played as a greeting.',
+  },
+  lineDelay: {
+    type: 'number',
+    default: 2000,
+    describe: 'Milliseconds before each line of the greeting.',
+  },
+  memoryFile: {
+    type: 'string',
+    default: '',
+    alias: 'm',
+    describe: 'JSON file remembering the Avatars the greeter has met.',
+  },
+  // Avatars seen again within this many milliseconds are not greeted again.
+  regreetAfter: {
+    type: 'number',
+    default: 600000,
+    describe: 'Milliseconds before an Avatar who returns is greeted again.',
+  },
+  slackChannel: {
+    type: 'string',
+    default: 'newavatars',
+    alias: 'l',
+    describe: 'Default Slack channel to use for notifications.',
+  },
+  slackToken: {
+    type: 'string',
+    default: '',
+    alias: 's',
+    secret: true,
+    describe: 'Token for sending user notifications to Slack.',
+  },
+  watch: {
+    type: 'boolean',
+    default: true,
+    describe: 'Whether the greeting and config files are reloaded when they change.',
+  },
+  watchInterval: {
+    type: 'number',
+    default: 1000,
+    describe: 'Milliseconds between checks of watched files for changes.',
+  },
+  webhookPort: {
+    type: 'number',
+    default: null,
+    describe: 'Port to accept chat for the region on, when not using Slack.',
+  },
+  webhookToken: {
+    type: 'string',
+    default: '',
+    secret: true,
+    describe: 'Shared secret chat sent to webhookPort must carry as X-Bridge-Token.',
+  },
+  // Secret, as webhook URLs such as Slack's carry their credentials.
+  webhookUrl: {
+    type: 'string',
+    default: null,
+    secret: true,
+    describe: 'URL to POST region chat to, when not using Slack.',
+  },
 };
 
-const fs = require('fs');
+// Settings applied as soon as the config file changes; the rest need a restart.
+const LiveSettings = ['admins', 'greetingFile', 'lineDelay', 'regreetAfter'];
 
 var log = require('winston');
-log.remove(log.transports.Console);
-log.add(log.transports.Console, { 'timestamp': true });
-
-const RtmClient = require('@slack/client').RtmClient;
-const CLIENT_EVENTS = require('@slack/client').CLIENT_EVENTS;
-const RTM_EVENTS = require('@slack/client').RTM_EVENTS;
-const MemoryDataStore = require('@slack/client').MemoryDataStore;
 
+const AvatarMemory = require('./avatarmemory');
+const ChatBridge = require('./bridge');
+const CommandRouter = require('./commands');
+const config = require('./config');
 const constants = require('./constants');
+const ControlServer = require('./controlserver');
+const greetscript = require('./greetscript');
 const HabiBot = require('./habibot');
+const Metrics = require('./metrics').Metrics;
+const SlackAdapter = require('./slackadapter');
+const WebhookAdapter = require('./webhookadapter');
 
-const Argv = require('yargs')
-  .usage('Usage: $0 [options]')
-  .help('help')
-  .option('help', { alias: '?', describe: 'Get this usage/help information.' })
-  .option('host', { alias: 'h', default: Defaults.host, describe: 'Host name or address of the Elko server.' })
-  .option('loglevel',  { alias: ';', default: Defaults.loglevel, describe: 'Log level name. (see: npm winston)'})
-  .option('port', { alias: 'p', default: Defaults.port, describe: 'Port number for the Elko server.' })
-  .option('context', { alias: 'c', describe: 'Context to enter.' })
-  .option('greetingFile', { alias: 'g', describe: 'File to be played as a greeting.' })
-  .option('reconnect', { alias: 'r', default: Defaults.reconnect, describe: 'Whether the bot should reconnect on disconnection.' })
-  .option('slackToken', { alias: 's', default: Defaults.slackToken, describe: 'Token for sending user notifications to Slack.' })
-  .option('slackChannel', { alias: 'l', default: Defaults.slackChannel, describe: 'Default Slack channel to use for notifications.' })
-  .option('username', { alias: 'u', describe: 'Username of this bot.' })
-  .argv;
-
-log.level = Argv.loglevel;
-
-const GreeterBot = HabiBot.newWithConfig(Argv.host, Argv.port, Argv.username);
-const GreetingText = fs.readFileSync(Argv.greetingFile).toString().split('\n');
-
-const SlackEnabled = Argv.slackToken !== '';
-const SlackClient = new RtmClient(Argv.slackToken, {
-  logLevel: 'error', 
-  dataStore: new MemoryDataStore(),
-  autoReconnect: true,
-  autoMark: true 
-});
 
+/**
+ * Constructs the greeter HabiBot, which waves at and welcomes every Avatar arriving in
+ * its region and relays region chat to and from Slack or a webhook.
+ *
+ * Options override the greeter's config file and environment; see config.js. Unless
+ * <tt>watch</tt> is off, the greeting file is reloaded whenever it changes, and so is
+ * the config file, applying its new LiveSettings while staying connected.
+ * @param {Object} options greeter options, as accepted on the command line, plus an
+ *   optional <tt>botConfig</tt> merged into the HabiBot's config
+ * @returns {HabiBot} the greeter, ready to connect()
+ * @throws {Error} if any setting is invalid or the greeting cannot be loaded
+ */
+function createGreeter(options) {
+  const Argv = config.load(Settings, { options: options });
+  log.debug('Greeter settings: %j', config.redact(Argv, Settings));
 
-let SlackChannelId;
-SlackClient.on(CLIENT_EVENTS.RTM.AUTHENTICATED, (rtmStartData) => {
-  for (const c of rtmStartData.channels) {
-    if (c.is_member && c.name === Argv.slackChannel) { SlackChannelId = c.id }
-  }
-});
+  const GreeterBot = HabiBot.newWithConfig(Argv.host, Argv.port, Argv.username,
+    Object.assign({ shouldReconnect: Argv.reconnect, metricsPort: Argv.metricsPort },
+        Argv.botConfig));
+  let Greeting = greetscript.load(Argv.greetingFile);
+  const Memory = new AvatarMemory(Argv.memoryFile);
+  // Avatars waiting to be greeted; those arriving together are greeted as one crowd.
+  const Arrivals = [];
 
-SlackClient.on(RTM_EVENTS.MESSAGE, (message) => {
-  var username = SlackClient.dataStore.getUserById(message.user).name;
-  GreeterBot.say(`@${username}: ${message.text}`);
-});
+  const Bridge = createBridge(GreeterBot, Argv);
 
+  const Commands = new CommandRouter(GreeterBot, {
+    admins: Argv.admins,
+    cooldown: 10000,
+  });
+  const Watchers = { greeting: null, settings: null };
 
-GreeterBot.on('APPEARING_$', (bot, msg) => {
-  var avatar = bot.getNoid(msg.appearing);
-  if (avatar == null) {
-    log.error('No avatar found at noid: %s', msg.appearing);
-    return;
-  }
+  const reloadGreeting = () => {
+    Greeting = greetscript.load(Argv.greetingFile);
+    log.info('Reloaded greeting from %s', Argv.greetingFile);
+  };
 
-  // Announces new user to Slack.
-  if (SlackEnabled) {
-    SlackClient.sendMessage(`New Avatar arrived: ${avatar.name}`, SlackChannelId);
-  }
+  const warnUnapplied = config.restartWarnings('greeter');
+
+  // Reloads the config file, applying the LiveSettings which changed. Nothing is applied
+  // unless the settings and any new greeting are all valid.
+  const reloadSettings = () => {
+    var settings = config.load(Settings, { options: options });
+    var changed = config.changes(Argv, settings);
+    var live = changed.filter((key) => LiveSettings.indexOf(key) !== -1);
+    var greeting = (live.indexOf('greetingFile') !== -1) ?
+        greetscript.load(settings.greetingFile) : null;
+
+    warnUnapplied(changed.filter((key) => LiveSettings.indexOf(key) === -1), settings);
 
-  // Faces the Avatar, waves to them, faces forward again, and says the greeting text.
-  bot.faceDirection(bot.getDirection(avatar))
-    .then(() => {
-      return bot.doPosture(constants.WAVE);
-    })
-    .then(() => {
-      return bot.faceDirection(constants.FORWARD);
-    })
-    .then(() => {
-      return Promise.all(GreetingText.map((line) => {
-        return bot.sendWithDelay({
-          op: 'SPEAK',
-          to: 'ME',
-          esp: 0,
-          text: line
-        }, 2000);
-      }));
+    live.forEach((key) => {
+      log.info('Applying new %s', key);
+      Argv[key] = settings[key];
     });
-});
+    Commands.config.admins = Argv.admins;
+    if (greeting !== null) {
+      Greeting = greeting;
+      if (Argv.watch) {
+        watchGreeting();
+      }
+    }
+  };
+
+  // Keeps the current greeting or settings if the changed file is not valid.
+  const watch = (file, reload) => config.watchReload(file, reload, Argv.watchInterval);
+
+  const watchGreeting = () => {
+    if (Watchers.greeting !== null) {
+      Watchers.greeting.close();
+    }
+    Watchers.greeting = watch(Argv.greetingFile, reloadGreeting);
+  };
+
+  if (Argv.watch) {
+    watchGreeting();
+    if (Argv.configFile) {
+      Watchers.settings = watch(Argv.configFile, reloadSettings);
+    }
+    GreeterBot.on('disconnected', (bot) => {
+      if (bot.stopping) {
+        Object.keys(Watchers)
+          .filter((key) => Watchers[key] !== null)
+          .forEach((key) => Watchers[key].close());
+      }
+    });
+  }
+
+  Commands.command('greet', {
+    description: 'Recites the welcome greeting again.',
+    handler: (ctx) => {
+      return greetscript.run(ctx.bot, Greeting, { avatar: ctx.avatar, firstVisit: true },
+          { lineDelay: Argv.lineDelay });
+    },
+  });
+
+  Commands.command('say', {
+    description: 'Has the greeter say something.',
+    args: [{ name: 'text', type: 'rest' }],
+    cooldown: 0,
+    permission: 'admin',
+    handler: (ctx) => ctx.bot.say(ctx.args.text),
+  });
+
+  Commands.command('hush', {
+    description: 'Stops the greetings under way.',
+    cooldown: 0,
+    permission: 'admin',
+    handler: (ctx) => {
+      Arrivals.splice(0);
+      var cancelled = ctx.bot.cancelActions('greeting', 'Hushed');
+      return ctx.reply((cancelled > 0) ? 'OK, I will stop.' : 'I am not greeting anyone.');
+    },
+  });
+
+  Commands.command('seen', {
+    description: 'Tells when the greeter last saw an Avatar.',
+    args: [{ name: 'name', type: 'rest' }],
+    handler: (ctx) => {
+      var record = Memory.get(ctx.args.name);
+      if (record === null) {
+        return ctx.reply(`I have never met ${ctx.args.name}.`);
+      }
+      var visits = (record.visits === 1) ? '1 visit' : `${record.visits} visits`;
+      return ctx.reply(`I last saw ${record.name} ${new Date(record.lastSeen).toUTCString()}` +
+          ` (${visits}).`);
+    },
+  });
+
 
-GreeterBot.on('SPEAK$', (bot, msg) => {
-  if (SlackEnabled) {
-    // Don't echo out anything the bot itself says.
-    if (msg.noid === bot.getAvatarNoid()) {
+  Memory.track(GreeterBot, (bot, avatar, previous) => {
+    // Announces new user to chat.
+    if (Bridge !== null) {
+      Bridge.announce(`New Avatar arrived: ${avatar.name}`)
+        .catch((reason) => {
+          Metrics.chatRelayFailures.inc({ bot: bot.username, direction: 'toChat' });
+          log.warn('Could not announce %s: %s', avatar.name, reason);
+        });
+    }
+
+    if (previous !== null && Date.now() - previous.lastSeen < Argv.regreetAfter) {
+      log.debug('Not greeting %s, last seen %dms ago', avatar.name,
+          Date.now() - previous.lastSeen);
       return;
     }
+    Metrics.avatarsGreeted.inc({ bot: bot.username });
+    Arrivals.push({ avatar: avatar, firstVisit: previous === null });
+    // Coalesces with a greeting which has not started yet, which greets this Avatar too.
+    return bot.sequence({ group: 'greeting', key: 'greeting', description: 'greeting' },
+      (actions) => {
+        var crowd = Arrivals.splice(0);
+        if (crowd.length === 0) {
+          // Everyone was hushed.
+          return null;
+        }
+        return greetscript.run(actions, Greeting, greetingVars(crowd),
+            { lineDelay: Argv.lineDelay });
+      });
+  });
 
-    var avatar = bot.getNoid(msg.noid);
-    if (avatar != null) {
-      SlackClient.sendMessage(`${avatar.name}: ${msg.text}`, SlackChannelId);
+  GreeterBot.on('connected', (bot) => {
+    log.debug('GreeterBot connected.');
+    if (!bot.isReentering()) {
+      bot.gotoContext(bot.lastContext || Argv.context);
     }
+  });
+
+
+  GreeterBot.on('enteredRegion', (bot, me) => {
+    return bot.ensureCorporated()
+      .then(() => {
+        return bot.walkTo(84, 131);
+      })
+      .then(() => {
+        return bot.faceDirection(constants.LEFT);
+      })
+      .then(() => {
+        return bot.doPosture(constants.WAVE);
+      })
+      .then(() => {
+        return bot.faceDirection(constants.FORWARD);
+      })
+      .then(() => {
+        return bot.say("Hey there! I'm Phil, the greeting bot!");
+      });
+  });
+
+  if (Argv.controlPort !== null) {
+    const Control = new ControlServer({ port: Argv.controlPort, token: Argv.controlToken });
+    Control.addBot(Argv.name || Argv.username, GreeterBot, {
+      reload: () => {
+        if (Argv.configFile) {
+          reloadSettings();
+        }
+        reloadGreeting();
+      },
+    });
+    Control.start().catch((err) => log.error('Could not start control server: %s', err));
+    GreeterBot.on('disconnected', (bot) => {
+      if (bot.stopping) {
+        Control.stop();
+      }
+    });
   }
-});
 
+  if (Bridge !== null) {
+    Bridge.start().catch((err) => log.error('Could not start chat bridge: %s', err));
+    GreeterBot.on('disconnected', (bot) => {
+      if (bot.stopping) {
+        Bridge.stop();
+      }
+    });
+  }
 
-GreeterBot.on('connected', (bot) => {
-  log.debug('GreeterBot connected.');
-  bot.gotoContext(Argv.context);
-});
+  return GreeterBot;
+}
 
 
-GreeterBot.on('enteredRegion', (bot, me) => {
-  bot.ensureCorporated()
-    .then(() => {
-      return bot.walkTo(84, 131);
-    })
-    .then(() => {
-      return bot.faceDirection(constants.LEFT);
-    })
-    .then(() => {
-      return bot.doPosture(constants.WAVE);
-    })
-    .then(() => {
-      return bot.faceDirection(constants.FORWARD);
-    })
-    .then(() => {
-      return bot.say("Hey there! I'm Phil, the greeting bot!");
+/**
+ * Returns the greeting variables for a crowd of arriving Avatars, greeted together as if
+ * they were the first of them, e.g. "randy, sue and bob". Crowds including any first
+ * visitor are greeted as first visitors.
+ * @param {Object[]} crowd arrivals, each with the <tt>avatar</tt> and whether it is its
+ *   <tt>firstVisit</tt>
+ * @returns {Object} greeting variables
+ */
+function greetingVars(crowd) {
+  if (crowd.length === 1) {
+    return crowd[0];
+  }
+  var names = crowd.map((arrival) => arrival.avatar.name);
+  return {
+    avatar: Object.assign({}, crowd[0].avatar, {
+      name: `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`,
+    }),
+    firstVisit: crowd.some((arrival) => arrival.firstVisit),
+  };
+}
+
+
+/**
+ * Constructs the bridge relaying the greeter's region to Slack, if a Slack token is
+ * provided, or else to a webhook, if a webhook URL or port is provided.
+ * @returns {ChatBridge} the bridge, or null if neither is configured
+ */
+function createBridge(bot, Argv) {
+  var adapter;
+  if (Argv.slackToken) {
+    adapter = new SlackAdapter({ token: Argv.slackToken, channel: Argv.slackChannel });
+  } else if (Argv.webhookUrl || Argv.webhookPort !== null) {
+    if (Argv.webhookPort !== null && !Argv.webhookToken) {
+      log.warn('Anyone reaching webhook port %d can speak in the region; set webhookToken',
+          Argv.webhookPort);
+    }
+    adapter = new WebhookAdapter({
+      url: Argv.webhookUrl || null,
+      port: (Argv.webhookPort !== null) ? Argv.webhookPort : null,
+      token: Argv.webhookToken || null,
     });
-});
+  } else {
+    return null;
+  }
+  return new ChatBridge(bot, adapter, {
+    context: Argv.context,
+    nameMap: Argv.bridgeNames,
+    relayPrivate: Argv.bridgePrivate,
+  });
+}
 
-GreeterBot.connect();
 
-if (SlackEnabled) {
-  SlackClient.start();
+if (require.main === module) {
+  config.runBehavior(Settings, createGreeter);
 }
+
+
+module.exports = Object.freeze({
+  // Behavior entry point used by the orchestrator.
+  create: createGreeter,
+  createGreeter: createGreeter,
+});
@@ -0,0 +1,336 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+/**
+ * Interpreter for greeting scripts, a small line-based language for scripting what a
+ * bot says and does when greeting an Avatar:
+ *
+ * <pre>
+ * # Lines starting with # are comments.
+ * face avatar
+ * posture wave
+ * face forward
+ * if first-visit
+ *   say Hey there {avatar.name}, welcome to Habitat!
+ *   say Visit tiny.cc/newtohabitat to get started.
+ * else
+ *   say Welcome back, {avatar.name}!
+ * end
+ * wait 2
+ * walk 84 131
+ * </pre>
+ *
+ * <b>Commands:</b>
+ * <ul>
+ *   <li><b>say</b> <i>text</i> - Speaks text; <tt>{avatar.name}</tt>-style placeholders
+ *       are filled in from the greeting's variables</li>
+ *   <li><b>face</b> <i>direction</i> - Faces LEFT, RIGHT, FORWARD, BEHIND, or the
+ *       <tt>avatar</tt> being greeted</li>
+ *   <li><b>posture</b> <i>posture</i> - Runs a posture animation, such as <tt>wave</tt></li>
+ *   <li><b>walk</b> <i>x y</i> - Walks to the provided coordinates</li>
+ *   <li><b>wait</b> <i>seconds</i> - Pauses, e.g. <tt>wait 1.5</tt></li>
+ *   <li><b>if</b> <i>condition</i> ... [<b>else</b> ...] <b>end</b> - Runs commands only
+ *       if the condition holds; conditions are <tt>first-visit</tt> and
+ *       <tt>returning</tt>, optionally preceded by <tt>not</tt></li>
+ * </ul>
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const log = require('winston');
+
+const constants = require('./constants');
+
+
+const Directions = [
+  constants.LEFT,
+  constants.RIGHT,
+  constants.FORWARD,
+  constants.BEHIND,
+];
+
+const Postures = [
+  constants.WAVE,
+  constants.POINT,
+  constants.EXTEND_HAND,
+  constants.JUMP,
+  constants.BEND_OVER,
+  constants.STAND_UP,
+  constants.PUNCH,
+  constants.FROWN,
+];
+
+const Conditions = {
+  'first-visit': (vars) => vars.firstVisit === true,
+  'returning': (vars) => vars.firstVisit !== true,
+};
+
+const PlaceholderPattern = /\{([\w.]+)\}/g;
+
+// Milliseconds between consecutive say commands, which keeps C64 clients readable.
+const DefaultLineDelay = 2000;
+
+
+/**
+ * Parses a greeting script.
+ * @param {string} text script source
+ * @param {string} filename optional name of the script, used in error messages
+ * @returns {Object[]} parsed commands
+ * @throws {Error} naming the file and line of the first syntax error
+ */
+function parse(text, filename) {
+  var source = filename || 'greeting';
+  var commands = [];
+  // Open if-blocks, innermost last, with the command list each was found in.
+  var stack = [];
+  var current = commands;
+
+  text.split('\n').forEach((rawLine, i) => {
+    var line = rawLine.trim();
+    var lineNumber = i + 1;
+    var fail = (message) => {
+      throw new Error(`${source}:${lineNumber}: ${message}`);
+    };
+    if (line === '' || line.charAt(0) === '#') {
+      return;
+    }
+
+    var match = /^(\S+)\s*(.*)$/.exec(line);
+    var keyword = match[1].toLowerCase();
+    var arg = match[2].trim();
+
+    switch (keyword) {
+      case 'say':
+        if (arg === '') {
+          fail('say needs something to say');
+        }
+        current.push({ op: 'say', text: arg, line: lineNumber });
+        break;
+
+      case 'face':
+        var direction = arg.toUpperCase();
+        if (direction !== 'AVATAR' && Directions.indexOf(direction) === -1) {
+          fail(`Cannot face "${arg}"; use avatar, ${Directions.join(', ').toLowerCase()}`);
+        }
+        current.push({ op: 'face', direction: direction, line: lineNumber });
+        break;
+
+      case 'posture':
+        var posture = arg.toUpperCase().replace(/[\s-]+/g, '_');
+        if (Postures.indexOf(posture) === -1) {
+          fail(`Unknown posture "${arg}"; use ${Postures.join(', ').toLowerCase()}`);
+        }
+        current.push({ op: 'posture', posture: posture, line: lineNumber });
+        break;
+
+      case 'walk':
+        var coords = /^(\d+)\s+(\d+)$/.exec(arg);
+        if (coords === null) {
+          fail('walk needs x and y coordinates, e.g. "walk 84 131"');
+        }
+        current.push({
+          op: 'walk',
+          x: parseInt(coords[1], 10),
+          y: parseInt(coords[2], 10),
+          line: lineNumber,
+        });
+        break;
+
+      case 'wait':
+        var seconds = parseFloat(arg);
+        if (!/^\d+(\.\d+)?$/.test(arg) || isNaN(seconds)) {
+          fail('wait needs a number of seconds, e.g. "wait 2"');
+        }
+        current.push({ op: 'wait', millis: Math.round(seconds * 1000), line: lineNumber });
+        break;
+
+      case 'if':
+        var negated = /^not\s+/i.test(arg);
+        var condition = arg.replace(/^not\s+/i, '').toLowerCase();
+        if (!(condition in Conditions)) {
+          fail(`Unknown condition "${condition}"; use ${Object.keys(Conditions).join(', ')}`);
+        }
+        var block = {
+          op: 'if',
+          condition: condition,
+          negated: negated,
+          then: [],
+          otherwise: [],
+          line: lineNumber,
+        };
+        current.push(block);
+        stack.push({ block: block, parent: current, inElse: false });
+        current = block.then;
+        break;
+
+      case 'else':
+        if (stack.length === 0 || stack[stack.length - 1].inElse) {
+          fail('else without a matching if');
+        }
+        stack[stack.length - 1].inElse = true;
+        current = stack[stack.length - 1].block.otherwise;
+        break;
+
+      case 'end':
+        if (stack.length === 0) {
+          fail('end without a matching if');
+        }
+        current = stack.pop().parent;
+        break;
+
+      default:
+        fail(`Unknown command "${match[1]}"`);
+    }
+  });
+
+  if (stack.length > 0) {
+    throw new Error(`${source}:${stack[stack.length - 1].block.line}: if without a matching end`);
+  }
+  return commands;
+}
+
+
+/**
+ * Converts a plain-text greeting, one line spoken per line, into a script which faces
+ * the Avatar, waves, faces forward and speaks each line, as the greeter always has.
+ * @param {string} text plain-text greeting
+ * @returns {Object[]} parsed commands
+ */
+function fromLines(text) {
+  return parse(['face avatar', 'posture wave', 'face forward']
+    .concat(text.split('\n')
+      .filter((line) => line.trim() !== '')
+      .map((line) => `say ${line}`))
+    .join('\n'));
+}
+
+
+/**
+ * Reads a greeting file: a greeting script, or for files ending in .txt, plain lines
+ * which are spoken after facing and waving at the Avatar.
+ * @param {string} greetingFile path to the greeting file
+ * @returns {Object[]} parsed greeting script
+ */
+function load(greetingFile) {
+  var text = fs.readFileSync(greetingFile).toString();
+  if (path.extname(greetingFile).toLowerCase() === '.txt') {
+    return fromLines(text);
+  }
+  return parse(text, path.basename(greetingFile));
+}
+
+
+/**
+ * Fills in <tt>{path.to.value}</tt> placeholders from the provided variables.
+ * Placeholders which cannot be resolved, most likely typos such as
+ * <tt>{avatar.nmae}</tt>, are replaced with nothing and logged.
+ * @param {string} text text containing placeholders
+ * @param {Object} vars variables to resolve placeholders from
+ * @returns {string}
+ */
+function fillTemplate(text, vars) {
+  unresolved(text, vars).forEach((placeholder) => {
+    log.warn('Unresolved placeholder %s in "%s"', placeholder, text);
+  });
+  return text.replace(PlaceholderPattern, (placeholder, path) => {
+    var value = resolve(path, vars);
+    return (value === undefined || value === null) ? '' : String(value);
+  });
+}
+
+
+/**
+ * Lists the placeholders in text which cannot be resolved from the provided variables.
+ * @param {string} text text containing placeholders
+ * @param {Object} vars variables to resolve placeholders from
+ * @returns {string[]} the unresolved placeholders, such as <tt>{avatar.nmae}</tt>
+ */
+function unresolved(text, vars) {
+  var found = [];
+  text.replace(PlaceholderPattern, (placeholder, path) => {
+    var value = resolve(path, vars);
+    if ((value === undefined || value === null) && found.indexOf(placeholder) === -1) {
+      found.push(placeholder);
+    }
+    return placeholder;
+  });
+  return found;
+}
+
+
+// Looks up a dotted path, such as avatar.name, in the variables.
+function resolve(path, vars) {
+  return path.split('.').reduce((obj, key) => {
+    return (obj !== undefined && obj !== null) ? obj[key] : undefined;
+  }, vars);
+}
+
+
+/**
+ * Runs a parsed greeting script.
+ * @param {HabiBot} bot HabiBot performing the greeting
+ * @param {Object[]} commands parsed script
+ * @param {Object} vars greeting variables: <tt>avatar</tt>, the Habitat object of the
+ *   Avatar being greeted; <tt>firstVisit</tt>; and anything else used in placeholders
+ * @param {Object} options optional settings: <tt>lineDelay</tt>, the milliseconds
+ *   before each say command
+ * @returns {Promise} resolved once the whole script has run
+ */
+function run(bot, commands, vars, options) {
+  var opts = Object.assign({ lineDelay: DefaultLineDelay }, options);
+  var templateVars = Object.assign({
+    bot: { name: bot.username },
+    region: { name: bot.region.name, context: bot.region.context },
+  }, vars);
+
+  return commands.reduce((chain, command) => {
+    return chain.then(() => runCommand(bot, command, templateVars, opts));
+  }, Promise.resolve());
+}
+
+
+// Private functions:
+
+function runCommand(bot, command, vars, opts) {
+  switch (command.op) {
+    case 'say':
+      return bot.say(fillTemplate(command.text, vars), { delay: opts.lineDelay });
+
+    case 'face':
+      var direction = command.direction;
+      if (direction === 'AVATAR') {
+        direction = bot.getDirection(vars.avatar);
+        if (direction === constants.UNKNOWN) {
+          return Promise.resolve();
+        }
+      }
+      return bot.faceDirection(direction);
+
+    case 'posture':
+      return bot.doPosture(command.posture);
+
+    case 'walk':
+      return bot.walkTo(command.x, command.y);
+
+    case 'wait':
+      return bot.wait(command.millis);
+
+    case 'if':
+      var holds = Conditions[command.condition](vars) !== command.negated;
+      return run(bot, holds ? command.then : command.otherwise, vars, opts);
+  }
+  return Promise.reject(`Unknown greeting command: ${command.op}`);
+}
+
+
+module.exports = Object.freeze({
+  fillTemplate: fillTemplate,
+  fromLines: fromLines,
+  load: load,
+  parse: parse,
+  run: run,
+  unresolved: unresolved,
+});
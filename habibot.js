@@ -6,9 +6,16 @@
 const log = require('winston');
 const net = require('net');
 
-const Queue = require('promise-queue');
-
+const ActionQueue = require('./actionqueue');
 const constants = require('./constants');
+const ElkoDecoder = require('./decoder');
+const metrics = require('./metrics');
+const RateLimiter = require('./ratelimiter');
+const Region = require('./region');
+const RegionMap = require('./regionmap');
+const SessionRecorder = require('./recorder').SessionRecorder;
+const speech = require('./speech');
+const Template = require('./template');
 const util = require('./util');
 
 
@@ -31,7 +38,73 @@ const AvatarPostures = {
 }
 
 const DefaultHabiBotConfig = {
+  // Pacing, in milliseconds, which gives C64 clients time to keep up with the HabiBot.
+  corporateRetryDelay: 2000,
+  corporateWait: 10000,
+  postureWait: 2000,
+  sendDelay: 500,
+  walkDelay: 10000,
+
+  // What happens to queued actions on disconnect: 'fail' rejects them, 'keep' holds them
+  // until the HabiBot has reconnected and re-entered its last context.
+  queuePolicy: 'fail',
+  reconnectBaseDelay: 1000,
+  reconnectJitter: 0.25,
+  // 0 retries forever.
+  reconnectMaxAttempts: 0,
+  reconnectMaxDelay: 60000,
+  reenterContext: true,
+  replyTimeout: 10000,
   shouldReconnect: true,
+
+  // Speech balloons on C64 clients hold at most this many characters; longer text is
+  // split between words into several utterances, spoken utteranceDelay apart.
+  maxSpeechLength: 114,
+  utteranceDelay: 2000,
+  // At most maxEvents utterances are spoken within any perMillis window, with up to
+  // maxQueue more waiting their turn; null lets the HabiBot speak as fast as it likes.
+  speechRate: { maxEvents: 5, perMillis: 10000, maxQueue: 20 },
+
+  // How close, in region coordinates, the HabiBot walks to objects before handling them.
+  reachDistance: 16,
+
+  // Where the HabiBot walks to leave a region by each screen edge; coordinates left out
+  // keep the HabiBot's own.
+  exitPositions: {
+    LEFT:    { x: 0 },
+    RIGHT:   { x: 156 },
+    BEHIND:  { y: 159 },
+    FORWARD: { y: 128 },
+  },
+  // How long to wait for the next region after leaving one.
+  regionChangeTimeout: 30000,
+  // Gives up on travelTo() after crossing this many regions.
+  maxTravelHops: 50,
+
+  // Serves Prometheus metrics at http://metricsHost:metricsPort/metrics when set.
+  metricsHost: '127.0.0.1',
+  metricsPort: null,
+
+  // Records every Elko message sent and received to this JSONL file when set; see
+  // recorder.js for replaying recordings.
+  recordFile: null,
+};
+
+const Metrics = metrics.Metrics;
+
+// Starts the text of an ESP message, followed by the recipient's name.
+const EspPrefix = 'TO:';
+
+
+// Requests whose success is signalled by something other than a reply of the same op.
+const ReplyMatchers = {
+  entercontext: (request, msg) => {
+    return msg.op === 'make' && msg.you === true;
+  },
+  // Refused with a reply, or else answered by the changeContext naming the region beyond.
+  NEWREGION: (request, msg) => {
+    return msg.op === 'changeContext' || (msg.op === 'NEWREGION' && msg.type !== 'broadcast');
+  },
 };
 
 
@@ -45,20 +118,68 @@ class HabiBot {
     this.server = null;
     this.connected = false;
 
+    // Reconnection state; lastContext is re-entered after a dropped connection.
+    this.lastContext = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.reconnecting = false;
+    this.reconnectWaiters = [];
+    this.stopping = false;
+
+    // Port the HabiBot asked the metrics registry to serve, if any.
+    this.metricsPort = null;
+
+    // Records the session when config.recordFile is set.
+    this.recorder = null;
+
+    // Paces speech to config.speechRate.
+    this.speechLimiter = null;
+    this.speechLimiterRate = null;
+
+    // Reassembles Elko messages which arrive split across or packed into socket reads.
+    this.decoder = new ElkoDecoder();
+
     // Ensures that only 1 Elko request is in flight at any given time.
     // We're talking to the 80's after all...
-    this.actionQueue = new Queue(1, Infinity);
+    this.actionQueue = new ActionQueue();
+
+    // Options of the actions queued through this HabiBot, as set by actions().
+    this.queueOptions = {};
 
     this.config = util.clone(DefaultHabiBotConfig);
 
+    // Requests sent via request() which are still waiting on their server reply.
+    this.pendingReplies = [];
+
     this.callbacks = {
+      avatarArrived: [],
+      avatarLeft: [],
+      avatarMoved: [],
       connected: [],
       delete: [],
       disconnected: [],
       enteredRegion: [],
+      error: [],
       msg: [],
+      objectAdded: [],
+      objectChanged: [],
+      objectRemoved: [],
+      privateMessage: [],
+      reconnectFailed: [],
+      reconnecting: [],
+      travelArrived: [],
+      travelProgress: [],
     };
 
+    // Callbacks registered for wildcard or RegExp op patterns.
+    this.patternCallbacks = [];
+
+    // Live model of every object in the HabiBot's current region.
+    this.region = new Region(this.runCallbacks.bind(this));
+
+    // Every region the HabiBot has been in, with their exits, for planning routes.
+    this.regionMap = new RegionMap();
+
     this.clearState();
 
     log.debug('Constructed HabiBot @%s:%d: %j', this.host, this.port, this.config);
@@ -75,23 +196,66 @@ class HabiBot {
    */
   connect() {
     if (this.host === undefined || this.port === undefined) {
-      log.error('No host or port specified: %s:%d', this.host. this.port);
+      log.error('No host or port specified: %s:%d', this.host, this.port);
       return;
     }
 
-    if (!this.connected) {
+    if (this.config.metricsPort !== null && this.metricsPort === null) {
+      this.metricsPort = this.config.metricsPort;
+      metrics.registry.serve(this.metricsPort, this.config.metricsHost);
+    }
+
+    if (!this.connected && this.server === null) {
       var scope = this;
       scope.clearState();
-      this.server = net.connect(this.port, this.host, () => {
+      scope.decoder.reset();
+      scope.stopping = false;
+      clearTimeout(scope.reconnectTimer);
+      scope.reconnectTimer = null;
+
+      var server = net.connect(this.port, this.host, () => {
         scope.connected = true;
         log.info('Connected to server @%s:%d', scope.host, scope.port);
-        log.debug('Running callbacks for connect @%s:%d', scope.host, scope.port);
-        for (var i in scope.callbacks.connected) {
-          scope.callbacks.connected[i](scope);
+        var reconnected = scope.reconnecting;
+        scope.reconnectAttempts = 0;
+        if (reconnected && scope.config.reenterContext && scope.lastContext !== null) {
+          // Bypasses the actionQueue, which may be holding actions until we're back.
+          log.info('Re-entering context %s @%s:%d', scope.lastContext, scope.host, scope.port);
+          var reenter = JSON.stringify(scope.enterContextMessage(scope.lastContext));
+          scope.record('out', reenter);
+          server.write(reenter + '\n\n');
+          Metrics.messagesSent.inc({ bot: scope.username, op: 'entercontext' });
+        } else {
+          scope.finishReconnect();
         }
+        scope.runCallbacks('connected');
+      });
+      server.on('data', this.processData.bind(this));
+      server.on('error', (err) => {
+        log.error('Connection error @%s:%d: %s', scope.host, scope.port, err.message);
+      });
+      server.on('close', () => {
+        scope.onDisconnect(server);
       });
-      this.server.on('data', this.processData.bind(this));
-      this.server.on('end', this.onDisconnect.bind(this));
+      this.server = server;
+    }
+  }
+
+  /**
+   * Disconnects this HabiBot from the Neohabitat server without reconnecting.
+   */
+  disconnect() {
+    this.stopping = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.metricsPort !== null) {
+      metrics.registry.release(this.metricsPort);
+      this.metricsPort = null;
+    }
+    if (this.server !== null) {
+      this.server.end();
+    } else if (this.reconnecting) {
+      this.abandonReconnect('Disconnected by request');
     }
   }
 
@@ -110,7 +274,7 @@ class HabiBot {
     })
       .then(() => {
         // Hardwaits 10 seconds for all C64 clients to load imagery.
-        return scope.wait(10000);
+        return scope.wait(scope.config.corporateWait);
       });
   }
 
@@ -141,7 +305,7 @@ class HabiBot {
         op:   'POSTURE',
         to:   'ME',
         pose: AvatarPostures[postureUpper],
-      }).then(() => { scope.wait(2000) });
+      }).then(() => scope.wait(scope.config.postureWait));
     }
     return Promise.reject(`Invalid posture: ${posture}`);
   }
@@ -262,27 +426,311 @@ class HabiBot {
    * @returns {Object} Habitat object is an object is found, null otherwise
    */
   getNoid(noid) {
-    if (noid in this.noids) {
-      log.debug('Object at noid %d: %j', noid, this.noids[noid]);
-      return this.noids[noid];
+    var obj = this.region.get(noid);
+    if (obj !== null) {
+      log.debug('Object at noid %d: %j', noid, obj);
+      return obj;
     } else {
       log.error('Could not find noid: %s', noid);
       return null;
     }
   }
 
+  /**
+   * Returns the object the HabiBot's Avatar is holding in its hands.
+   * @returns {Object} Habitat object held, null if the HabiBot's hands are empty
+   */
+  getHeldObject() {
+    var held = this.getInventory().filter((obj) => obj.mods[0].y === constants.HANDS);
+    return (held.length > 0) ? held[0] : null;
+  }
+
+  /**
+   * Returns the objects the HabiBot's Avatar is carrying, in its hands or pockets.
+   * @returns {Object[]}
+   */
+  getInventory() {
+    var me = this.getAvatarNoid();
+    return (me !== -1) ? this.region.getContents(me) : [];
+  }
+
+  /**
+   * Finds a Habitat object by noid, or the nearest one lying in the region of the
+   * provided Habitat class.
+   * @param {int|string} target noid, or Habitat class such as <tt>Flashlight</tt>
+   * @returns {Object} Habitat object, null if none was found
+   */
+  findObject(target) {
+    if (typeof target === 'number') {
+      return this.region.get(target);
+    }
+    var scope = this;
+    var me = this.region.getPosition(this.getAvatarNoid()) || { x: 0, y: 0 };
+    var candidates = this.region.getObjectsOfType(target)
+      .filter((obj) => scope.region.isInRegion(obj.mods[0].noid))
+      .sort((a, b) => distance(me, a.mods[0]) - distance(me, b.mods[0]));
+    return (candidates.length > 0) ? candidates[0] : null;
+  }
+
+  /**
+   * Picks up an object lying in the region, walking over to it first if it is out of
+   * reach.
+   * @param {int|string} target noid, or Habitat class of the nearest such object
+   * @returns {Promise} resolved with the server's reply
+   */
+  getObject(target) {
+    var scope = this;
+    var obj = this.findObject(target);
+    if (obj === null) {
+      return Promise.reject(`No object to get: ${target}`);
+    }
+    var noid = obj.mods[0].noid;
+    if (this.getHeldObject() !== null) {
+      return Promise.reject(`Cannot get ${obj.name} with full hands`);
+    }
+    return this.walkWithinReach(noid)
+      .then(() => scope.request({ op: 'GET', to: obj.ref }))
+      .then((reply) => {
+        scope.region.move(noid, scope.getAvatarNoid(), { y: constants.HANDS }, reply);
+        return reply;
+      });
+  }
+
+  /**
+   * Hands the object the HabiBot is holding to another Avatar, walking over to them
+   * first if they are out of reach.
+   * @param {int|string} avatar noid or name of the receiving Avatar
+   * @returns {Promise} resolved with the server's reply
+   */
+  giveObject(avatar) {
+    var recipient = (typeof avatar === 'number') ? this.region.get(avatar) :
+        this.region.findAvatar(avatar);
+    if (recipient === null) {
+      return Promise.reject(`No avatar to give to: ${avatar}`);
+    }
+    return this.putObject({ container: recipient.mods[0].noid, y: constants.HANDS });
+  }
+
+  /**
+   * Puts down the object the HabiBot is holding: by default onto the ground where the
+   * HabiBot stands, or into another container such as a bag or an Avatar's hands.
+   * @param {Object} options optional <tt>container</tt> noid, <tt>x</tt>, <tt>y</tt> and
+   *   <tt>orientation</tt>
+   * @returns {Promise} resolved with the server's reply
+   */
+  putObject(options) {
+    var scope = this;
+    var held = this.getHeldObject();
+    if (held === null) {
+      return Promise.reject('Not holding anything to put');
+    }
+    var me = this.getMod(this.getAvatarNoid());
+    var opts = Object.assign({
+      container: this.region.getRegionNoid(),
+      x: me.x,
+      y: me.y,
+      orientation: held.mods[0].orientation || 0,
+    }, options);
+    var noid = held.mods[0].noid;
+    var approach = (opts.container !== this.region.getRegionNoid()) ?
+        this.walkWithinReach(opts.container) : Promise.resolve();
+    return approach
+      .then(() => scope.request({
+        op: 'PUT',
+        to: held.ref,
+        containerNoid: opts.container,
+        x: opts.x,
+        y: opts.y,
+        orientation: opts.orientation,
+      }))
+      .then((reply) => {
+        scope.region.move(noid, opts.container, { x: opts.x, y: opts.y }, reply);
+        return reply;
+      });
+  }
+
+  /**
+   * Throws the object the HabiBot is holding to a spot in the region.
+   * @param {int} x x coordinate to throw to
+   * @param {int} y y coordinate to throw to
+   * @param {int} target optional noid of an object to throw at
+   * @returns {Promise} resolved with the server's reply
+   */
+  throwObject(x, y, target) {
+    var scope = this;
+    var held = this.getHeldObject();
+    if (held === null) {
+      return Promise.reject('Not holding anything to throw');
+    }
+    var noid = held.mods[0].noid;
+    return this.request({
+      op: 'THROW',
+      to: held.ref,
+      target: (target !== undefined) ? target : this.region.getRegionNoid(),
+      x: x,
+      y: y,
+    }).then((reply) => {
+      // The server may report where the object actually landed.
+      var landed = {
+        x: (reply.x !== undefined) ? reply.x : x,
+        y: (reply.y !== undefined) ? reply.y : y,
+      };
+      scope.region.move(noid, scope.region.getRegionNoid(), landed, reply);
+      return reply;
+    });
+  }
+
+  /**
+   * Uses an object, as with the DO verb: sends it an object-specific op, walking over to
+   * it first if it lies in the region out of reach.
+   *
+   * <pre>
+   * bot.useObject('Vendo_front', 'VSELECT')
+   *   .then((reply) => bot.say(`Now showing: ${reply.item_price} tokens`));
+   * </pre>
+   * @param {int|string} target noid, or Habitat class of the nearest such object
+   * @param {string} op op to send, DO by default
+   * @param {Object} params optional extra message fields
+   * @returns {Promise} resolved with the server's reply
+   */
+  useObject(target, op, params) {
+    var scope = this;
+    var obj = (typeof target === 'number') ? this.region.get(target) :
+        (this.getInventory().filter((o) => o.mods[0].type === target)[0] ||
+            this.findObject(target));
+    if (obj === null) {
+      return Promise.reject(`No object to use: ${target}`);
+    }
+    var noid = obj.mods[0].noid;
+    var approach = this.region.isInRegion(noid) ? this.walkWithinReach(noid) : Promise.resolve();
+    return approach.then(() => {
+      return scope.request(Object.assign({ op: op || 'DO', to: obj.ref }, params));
+    });
+  }
+
+  /**
+   * Walks the HabiBot's Avatar up to an object, if it is not already within reach. Objects
+   * inside containers are approached by walking to their container.
+   * @param {int} noid noid of a Habitat object
+   * @returns {Promise}
+   */
+  walkWithinReach(noid) {
+    var me = this.getAvatarNoid();
+    var target = noid;
+    // Climbs out of containers, such as another Avatar's pockets, to what lies in the region.
+    while (target !== null && target !== me && !this.region.isInRegion(target)) {
+      target = this.region.getContainer(target);
+    }
+    if (target === null || target === me || target === this.region.getRegionNoid()) {
+      return Promise.resolve();
+    }
+    var here = this.region.getPosition(me);
+    var there = this.region.getPosition(target);
+    if (here === null || there === null || there.x === undefined ||
+        distance(here, there) <= this.config.reachDistance) {
+      return Promise.resolve();
+    }
+    return this.walkTo(there.x, there.y);
+  }
+
+  /**
+   * Returns the ways out of the HabiBot's current region, as described by
+   * Region.getExits().
+   * @returns {Object[]}
+   */
+  getExits() {
+    return this.region.getExits();
+  }
+
+  /**
+   * Leaves the current region the way a player does, walking off one of its edges or
+   * through a door, then entering the region beyond once the server names it with a
+   * <tt>changeContext</tt> message.
+   *
+   * <pre>
+   * bot.exitRegion(constants.WEST)
+   *   .then((context) => bot.say(`Now in ${bot.region.name}`));
+   * </pre>
+   * @param {string|int} exit compass direction, such as <tt>WEST</tt>, noid of a door,
+   *   or context of the region to go to
+   * @returns {Promise} resolved with the context entered
+   */
+  exitRegion(exit) {
+    var scope = this;
+    var from = this.region.context;
+    var found = this.getExits().filter((e) => {
+      return e.direction === exit || (e.noid !== null && e.noid === exit) || e.context === exit;
+    })[0];
+    if (found === undefined) {
+      return Promise.reject(`No exit ${exit} from ${from}`);
+    }
+    var position;
+    if (found.noid !== null) {
+      position = this.region.getPosition(found.noid);
+    } else {
+      position = Object.assign({}, this.region.getPosition(this.getAvatarNoid()),
+          this.config.exitPositions[found.side]);
+    }
+    return this.walkTo(position.x, position.y)
+      .then(() => {
+        var entered = scope.waitFor('enteredRegion', () => scope.region.context !== from,
+            scope.config.regionChangeTimeout);
+        return scope.request({
+          op: 'NEWREGION',
+          to: 'ME',
+          direction: (found.direction !== null) ? Region.Compass.indexOf(found.direction) : 0,
+          passage_id: (found.noid !== null) ? found.noid : 0,
+        }, { timeout: scope.config.regionChangeTimeout })
+          .then(() => entered, (reason) => {
+            // Left to time out unheard.
+            entered.catch(() => {});
+            throw reason;
+          });
+      })
+      .then(() => scope.region.context);
+  }
+
   /**
    * Moves the HabiBot to the provided context name.
    * @param {string} context Context to move HabiBot to
    * @returns {Promise}
    */
   gotoContext(context) {
-    return this.send({
-      op: 'entercontext',
-      to: 'session',
-      context: context,
-      user: `user-${this.username}`,
-    });
+    this.lastContext = context;
+    return this.send(this.enterContextMessage(context));
+  }
+
+  /**
+   * Returns true while the HabiBot is re-entering its last context by itself after
+   * reconnecting, as it does unless <tt>reenterContext</tt> is off. Checked by
+   * <tt>connected</tt> callbacks, which otherwise need to enter a context themselves.
+   * @returns {boolean}
+   */
+  isReentering() {
+    return this.reconnecting;
+  }
+
+  /**
+   * Removes a callback registered with on() or once(). If no callback is provided, all
+   * callbacks for the event type are removed.
+   * @param {string|RegExp} eventType Habitat event type, op wildcard pattern or RegExp
+   * @param {function} callback callback to remove
+   */
+  off(eventType, callback) {
+    var matches = (registered) => {
+      return callback === undefined || registered === callback ||
+          registered.listener === callback;
+    };
+    if (isPattern(eventType)) {
+      var key = String(eventType);
+      this.patternCallbacks = this.patternCallbacks.filter((entry) => {
+        return String(entry.eventType) !== key || !matches(entry.callback);
+      });
+    } else if (eventType in this.callbacks) {
+      this.callbacks[eventType] = this.callbacks[eventType].filter((registered) => {
+        return !matches(registered);
+      });
+    }
   }
 
   /**
@@ -292,11 +740,32 @@ class HabiBot {
    *
    * <b>Built-in event types:</b>
    * <ul>
+   *   <li><b>avatarArrived</b> - An Avatar has entered the current region</li>
+   *   <li><b>avatarLeft</b> - An Avatar has left the current region</li>
+   *   <li><b>avatarMoved</b> - An Avatar has walked to a new position</li>
    *   <li><b>connected</b> - The HabiBot has connected to the Neohabitat server</li>
    *   <li><b>delete</b> - A Habitat object in the current region has been deleted</li>
    *   <li><b>disconnected</b> - The HabiBot has disconnect from the Neohabitat server</li>
    *   <li><b>enteredRegion</b> - The HabiBot has entered a Habitat region</li>
+   *   <li><b>error</b> - A callback has thrown or returned a rejected Promise</li>
    *   <li><b>msg</b> - The HabiBot has received a message from the Neohabitat server</li>
+   *   <li><b>objectAdded</b> - An object has been added to the current region</li>
+   *   <li><b>objectChanged</b> - The state of an object in the region has changed, e.g.
+   *       its position, posture or Ghost status</li>
+   *   <li><b>objectRemoved</b> - An object has been removed from the current region</li>
+   *   <li><b>privateMessage</b> - An Avatar has sent the HabiBot an ESP message; the
+   *       second parameter holds the sender's <tt>noid</tt> and <tt>name</tt>, the
+   *       <tt>text</tt> and the <tt>SPEAK$</tt> <tt>msg</tt></li>
+   *   <li><b>reconnecting</b> - The HabiBot will try to reconnect; the second parameter
+   *       holds the <tt>attempt</tt> number and its <tt>delay</tt> in milliseconds</li>
+   *   <li><b>reconnectFailed</b> - The HabiBot has given up reconnecting after
+   *       <tt>reconnectMaxAttempts</tt> attempts</li>
+   *   <li><b>travelArrived</b> - travelTo() has reached its destination; the second
+   *       parameter holds its <tt>context</tt> and the number of <tt>hops</tt> taken</li>
+   *   <li><b>travelProgress</b> - travelTo() has crossed into another region on the way;
+   *       the second parameter holds the <tt>from</tt> and <tt>context</tt> entered, the
+   *       <tt>target</tt> context, <tt>hops</tt> so far and hops <tt>remaining</tt> as
+   *       currently planned</li>
    * </ul>
    *
    * Callbacks typically take two parameters, the first being an instance of this HabiBot
@@ -312,6 +781,16 @@ class HabiBot {
    * });
    * </pre>
    *
+   * The region events, <tt>avatar*</tt> and <tt>object*</tt>, instead receive an event
+   * holding the <tt>noid</tt>, <tt>obj</tt> and <tt>msg</tt> involved, plus the
+   * <tt>changes</tt> and <tt>previous</tt> mod values for moves and changes:
+   *
+   * <pre>
+   * PhilCollinsBot.on('avatarMoved', (bot, event) => {
+   *   bot.faceDirection(bot.getDirection(event.obj));
+   * });
+   * </pre>
+   *
    * <b>Please note</b>, the <tt>connected</tt> and <tt>disconnected</tt> callbacks take
    * only one callback:
    *
@@ -323,11 +802,31 @@ class HabiBot {
    *   bot.gotoContext('context-Downtown_5f');
    * });
    * </pre>
-   * @param {string} eventType Habitat event type
+   *
+   * Server messages may also be matched by pattern, either a string with <tt>*</tt>
+   * wildcards or a RegExp; callbacks receive every message whose op matches:
+   *
+   * <pre>
+   * PhilCollinsBot.on('*$', (bot, msg) => {
+   *   // Every broadcast, e.g. WALK$, SPEAK$ or POSTURE$.
+   * });
+   * PhilCollinsBot.on(/^(GET|PUT)\$$/, (bot, msg) => { ... });
+   * </pre>
+   *
+   * Anything a callback throws, or a rejected Promise it returns, is logged and passed
+   * to <tt>error</tt> callbacks as <tt>{error, eventType, event}</tt> without affecting
+   * other callbacks.
+   * @param {string|RegExp} eventType Habitat event type, op wildcard pattern or RegExp
    * @param {function} callback callback to register for provided Habitat event type
    */
   on(eventType, callback) {
-    if (eventType in this.callbacks) {
+    if (isPattern(eventType)) {
+      this.patternCallbacks.push({
+        eventType: eventType,
+        regexp: patternToRegExp(eventType),
+        callback: callback,
+      });
+    } else if (eventType in this.callbacks) {
       this.callbacks[eventType].push(callback);
     } else {
       this.callbacks[eventType] = [callback];
@@ -335,32 +834,186 @@ class HabiBot {
   }
 
   /**
-   * Speaks the provided text within the HabiBot's current region.
+   * Registers a callback which runs only for the next occurrence of a Habitat event type.
+   * @param {string|RegExp} eventType Habitat event type, op wildcard pattern or RegExp
+   * @param {function} callback callback to run once
+   */
+  once(eventType, callback) {
+    var scope = this;
+    var onceCallback = (bot, event) => {
+      scope.off(eventType, onceCallback);
+      return callback(bot, event);
+    };
+    onceCallback.listener = callback;
+    this.on(eventType, onceCallback);
+  }
+  /**
+   * Returns a view of this HabiBot whose actions are queued with the provided options,
+   * such as a higher priority or a group to cancel them by. The view has every method
+   * of the HabiBot:
+   *
+   * <pre>
+   * bot.actions({ priority: ActionQueue.Priority.HIGH }).say('Right away!');
+   * </pre>
+   * @param {Object} options action options: <tt>priority</tt>, <tt>group</tt>,
+   *   <tt>key</tt> and <tt>description</tt>, see ActionQueue
+   * @returns {HabiBot}
+   */
+  actions(options) {
+    var queueOptions = Object.assign({}, this.queueOptions, options);
+    return new Proxy(this, {
+      get: (target, property, receiver) => {
+        return (property === 'queueOptions') ? queueOptions :
+            Reflect.get(target, property, receiver);
+      },
+    });
+  }
+
+  /**
+   * Cancels the queued actions and sequences of a group: waiting ones are rejected and a
+   * running sequence is rejected at its next step.
+   * @param {string} group group name
+   * @param {string} reason optional reason the actions are rejected with
+   * @returns {int} how many actions and sequences were cancelled
+   */
+  cancelActions(group, reason) {
+    var cancelled = this.actionQueue.cancel(group, reason);
+    log.debug('Cancelled %d actions in group %s', cancelled, group);
+    return cancelled;
+  }
+
+  /**
+   * Describes the actions and sequences running or waiting in the actionQueue, next to
+   * run first, as described by ActionQueue.pending().
+   * @returns {Object[]}
+   */
+  pendingActions() {
+    return this.actionQueue.pending();
+  }
+
+  /**
+   * Runs a chain of actions, such as a greeting, as one sequence: it waits its turn in
+   * the actionQueue, and no other sequence starts until it is done. Its actions must be
+   * taken through the HabiBot view passed to <tt>fn</tt>.
+   *
+   * Sequences sharing a <tt>key</tt> are coalesced while waiting, so that e.g. a crowd
+   * arriving at once is greeted once:
+   *
+   * <pre>
+   * bot.sequence({ group: 'greeting', key: 'greeting' }, (actions) => {
+   *   return actions.say('Welcome, everyone!')
+   *     .then(() => actions.doPosture(constants.WAVE));
+   * });
+   * </pre>
+   * @param {Object} options sequence options: <tt>priority</tt>, <tt>group</tt>,
+   *   <tt>key</tt> and <tt>description</tt>, see ActionQueue
+   * @param {function} fn <tt>function(actions)</tt> returning a Promise settled once the
+   *   sequence is done
+   * @returns {Promise} settled with the result of fn, or rejected if cancelled
+   */
+  sequence(options, fn) {
+    var scope = this;
+    var opts = Object.assign({}, this.queueOptions, options);
+    return this.actionQueue.addSequence((sequence) => {
+      return fn(scope.actions({
+        priority: sequence.priority,
+        group: sequence.group,
+        key: null,
+        sequence: sequence,
+      }));
+    }, opts);
+  }
+
+
+  /**
+   * Speaks the provided text within the HabiBot's current region. The text is made fit
+   * for C64 clients first: characters they cannot show are transliterated or left out,
+   * and text too long for a speech balloon is split into several utterances. Speech is
+   * paced to config.speechRate so that HabiBots do not flood the region.
    * @param {string} text text to speak
+   * @param {Object} options optional settings: <tt>delay</tt>, the milliseconds to wait
+   *   before the first utterance (default config.sendDelay)
+   * @return {Promise} resolved once every utterance has been sent, rejected if too much
+   *   speech is already waiting
+   */
+  say(text, options) {
+    return this.speak(0, '', text, options);
+  }
+
+  /**
+   * Sends a private ESP message to an Avatar, which only they will see. As when a
+   * player types <tt>TO:name</tt>, the message is addressed by Avatar name and reaches
+   * them wherever they are. Long text is split and paced as with say(), each utterance
+   * addressed to the Avatar.
+   * @param {string|int} target name of the Avatar, or the noid of one in the region
+   * @param {string} text text to send
+   * @param {Object} options optional settings, as with say()
    * @return {Promise}
    */
-  say(text) {
-    return this.send({
-      op: 'SPEAK',
-      to: 'ME',
-      esp: 0,
-      text: text,
-    });
+  sayPrivately(target, text, options) {
+    var name = target;
+    if (typeof target === 'number') {
+      var avatar = this.getNoid(target);
+      if (avatar == null) {
+        return Promise.reject(`No avatar found at noid: ${target}`);
+      }
+      name = avatar.name;
+    }
+    return this.speak(1, `${EspPrefix}${name} `, text, options);
+  }
+
+  /**
+   * Sends the provided Elko message to the Neohabitat server and waits for the server's
+   * reply to it. By default, the reply is the first non-broadcast message with the same
+   * <tt>op</tt> addressed from the request's target noid; <tt>entercontext</tt> is
+   * answered by the <tt>make</tt> of the HabiBot's own Avatar, and <tt>NEWREGION</tt>
+   * by the <tt>changeContext</tt> naming the region beyond.
+   *
+   * <pre>
+   * bot.request({ op: 'WALK', to: 'ME', x: 84, y: 131, how: 1 })
+   *   .then((reply) => {
+   *     // reply: {"type":"reply","noid":170,"op":"WALK","x":84,"y":131,"how":1}
+   *   });
+   * </pre>
+   * @param {Object} obj Elko message to send
+   * @param {Object} options optional settings:
+   *   <tt>delay</tt> - milliseconds to wait before sending (default config.sendDelay),
+   *   <tt>match</tt> - <tt>function(msg)</tt> returning true for the reply,
+   *   <tt>isError</tt> - <tt>function(msg)</tt> returning true if the reply is a failure,
+   *   <tt>timeout</tt> - milliseconds to wait for the reply (default config.replyTimeout)
+   * @returns {Promise} resolved with the reply message, rejected on an error reply or
+   *   timeout
+   */
+  request(obj, options) {
+    var opts = Object.assign({ delay: this.config.sendDelay }, options, { awaitReply: true });
+    return this.sendWithDelay(obj, opts.delay, opts);
   }
 
   /**
    * Sends the provided Elko message to the Neohabitat server.
    * @param {Object} obj Elko message to send
+   * @param {Object} options optional settings; pass <tt>{ awaitReply: true }</tt> to
+   *   wait for the server's reply as with request()
    * @returns {Promise}
    */
-  send(obj) {
-    return this.sendWithDelay(obj, 500);
+  send(obj, options) {
+    return this.sendWithDelay(obj, this.config.sendDelay, options);
   }
 
-  sendWithDelay(obj, delayMillis) {
+  /**
+   * Sends the provided Elko message to the Neohabitat server after waiting the provided
+   * number of milliseconds.
+   * @param {Object} obj Elko message to send
+   * @param {int} delayMillis number of milliseconds to wait before sending
+   * @param {Object} options optional settings, as with request(); replies are only
+   *   awaited if <tt>awaitReply</tt> is true
+   * @returns {Promise} resolved once written, or with the reply if awaiting one
+   */
+  sendWithDelay(obj, delayMillis, options) {
     var scope = this;
-    return this.actionQueue.add(() => {
-      return new Promise((resolve, reject) => {
+    var opts = options || {};
+    return this.enqueue(() => {
+      return scope.awaitReconnect().then(() => new Promise((resolve, reject) => {
         if (!scope.connected) {
           reject(`Not connected to ${scope.host}:${scope.port}`);
           return;
@@ -368,16 +1021,55 @@ class HabiBot {
         if (obj.to) {
           obj.to = scope.substituteName(obj.to);
         }
-        scope.substituteState(obj);
+        try {
+          scope.substituteState(obj);
+        } catch (e) {
+          reject(`Could not send ${obj.op}: ${e.message}`);
+          return;
+        }
         var msg = JSON.stringify(obj);
         setTimeout(() => {
+          if (!scope.connected || scope.stopping) {
+            reject(`Not connected to ${scope.host}:${scope.port}`);
+            return;
+          }
+          var reply = null;
+          if (opts.awaitReply) {
+            reply = scope.expectReply(obj, opts);
+          }
           log.debug('%s:%s->: %s', scope.host, scope.port, msg.trim());
+          Metrics.messagesSent.inc({ bot: scope.username, op: obj.op });
+          scope.record('out', msg);
           scope.server.write(msg + '\n\n', 'UTF8', () => {
-            resolve();
+            if (reply === null) {
+              resolve();
+            } else {
+              reply.then(resolve, reject);
+            }
           });
         }, delayMillis);
-      });
-    });
+      }));
+    }, obj.op);
+  }
+
+  /**
+   * Summarizes the HabiBot's current state, e.g. for status reporting.
+   * @returns {Object} <tt>{username, connected, context, regionName, avatars,
+   *   queueDepth}</tt>, where avatars holds the names of the other Avatars present and
+   *   queueDepth counts the actions running or waiting in the actionQueue
+   */
+  status() {
+    var me = this.getAvatarNoid();
+    return {
+      username: this.username,
+      connected: this.connected,
+      context: this.region.context,
+      regionName: this.region.name,
+      avatars: this.region.getAvatars()
+        .filter((avatar) => avatar.mods[0].noid !== me)
+        .map((avatar) => avatar.name),
+      queueDepth: this.actionQueue.size(),
+    };
   }
 
   /**
@@ -387,16 +1079,98 @@ class HabiBot {
    */
   wait(millis) {
     var scope = this;
-    return this.actionQueue.add(() => {
+    return this.enqueue(() => {
       return new Promise((resolve, reject) => {
         log.debug('Bot @%s:%d waiting %d milliseconds', scope.host, scope.port, millis);
         setTimeout(() => {
           resolve();
         }, millis);
       });
+    }, `wait ${millis}ms`);
+  }
+
+  /**
+   * Waits for the next occurrence of a Habitat event type, such as a server op.
+   *
+   * <pre>
+   * bot.waitFor('SPEAK$', (msg) => msg.noid === avatarNoid, 30000)
+   *   .then((msg) => bot.say(`You said: ${msg.text}`));
+   * </pre>
+   * @param {string|RegExp} eventType Habitat event type, op wildcard pattern or RegExp
+   * @param {function} predicate optional <tt>function(event)</tt> which must return true
+   *   for the event to be accepted
+   * @param {int} timeout milliseconds to wait before rejecting (default
+   *   config.replyTimeout); 0 waits forever
+   * @returns {Promise} resolved with the event
+   */
+  waitFor(eventType, predicate, timeout) {
+    var scope = this;
+    var waitMillis = (timeout !== undefined) ? timeout : this.config.replyTimeout;
+    return new Promise((resolve, reject) => {
+      var timer = null;
+      var callback = (bot, event) => {
+        if (predicate && !predicate(event)) {
+          return;
+        }
+        clearTimeout(timer);
+        scope.off(eventType, callback);
+        resolve(event);
+      };
+      if (waitMillis > 0) {
+        timer = setTimeout(() => {
+          scope.off(eventType, callback);
+          reject(`Timed out after ${waitMillis}ms waiting for ${eventType}`);
+        }, waitMillis);
+      }
+      scope.on(eventType, callback);
     });
   }
 
+  /**
+   * Travels to another region, possibly several regions away, across region exits. The
+   * route is planned from the regions in <tt>regionMap</tt> and planned again after every
+   * region crossed, as new regions become known. Progress is reported to
+   * <tt>travelProgress</tt> callbacks and arrival to <tt>travelArrived</tt> callbacks.
+   * @param {string} target context or name of the region to travel to
+   * @returns {Promise} resolved with the context reached, rejected if no route is known
+   */
+  travelTo(target) {
+    var scope = this;
+    var context = this.regionMap.resolve(target);
+    var hops = 0;
+    var step = () => {
+      var from = scope.region.context;
+      if (from === context) {
+        scope.runCallbacks('travelArrived', { context: context, hops: hops });
+        return Promise.resolve(context);
+      }
+      if (hops >= scope.config.maxTravelHops) {
+        return Promise.reject(`Gave up travelling to ${context} after ${hops} hops`);
+      }
+      // Doors may have appeared since the region was entered.
+      scope.regionMap.learn(scope.region);
+      var route = scope.regionMap.route(from, context);
+      if (route === null) {
+        return Promise.reject(`No known route from ${from} to ${context}`);
+      }
+      var hop = route[0];
+      log.debug('Travelling to %s via %s, %d hops to go', context, hop.to, route.length);
+      return scope.exitRegion((hop.exit.noid !== null) ? hop.exit.noid : hop.exit.direction)
+        .then((entered) => {
+          hops++;
+          scope.runCallbacks('travelProgress', {
+            from: from,
+            context: entered,
+            target: context,
+            hops: hops,
+            remaining: (entered === hop.to) ? route.length - 1 : null,
+          });
+          return step();
+        });
+    };
+    return step();
+  }
+
   /**
    * Walks the HabiBot's Avatar to the provided (x, y) coordinates.
    * @param {int} x x coordinate to walk to
@@ -410,7 +1184,7 @@ class HabiBot {
       x: x,
       y: y,
       how: 1,
-    }, 10000);
+    }, this.config.walkDelay);
   }
 
   // Private methods:
@@ -429,6 +1203,277 @@ class HabiBot {
     });
   }
 
+  /**
+   * Gives up on reconnecting, failing everything that was waiting on it.
+   */
+  abandonReconnect(reason) {
+    this.reconnecting = false;
+    this.failQueuedActions(reason);
+    var waiters = this.reconnectWaiters;
+    this.reconnectWaiters = [];
+    waiters.forEach((waiter) => {
+      waiter.reject(reason);
+    });
+  }
+
+  /**
+   * Returns a Promise resolved once the HabiBot may send again. Only waits while
+   * reconnecting under the 'keep' queue policy.
+   */
+  awaitReconnect() {
+    var scope = this;
+    if (!this.reconnecting || this.config.queuePolicy !== 'keep') {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      scope.reconnectWaiters.push({ resolve: resolve, reject: reject });
+    });
+  }
+
+  enterContextMessage(context) {
+    return {
+      op: 'entercontext',
+      to: 'session',
+      context: context,
+      user: `user-${this.username}`,
+    };
+  }
+
+  /**
+   * Adds an action to the actionQueue, with the queueOptions of this HabiBot or view,
+   * tracking queue depth and wait time.
+   * @param {function} action function returning a Promise
+   * @param {string} description optional description shown by pendingActions()
+   * @returns {Promise} the action's Promise
+   */
+  enqueue(action, description) {
+    var scope = this;
+    var labels = { bot: this.username };
+    var queuedAt = Date.now();
+    var updateDepth = () => {
+      Metrics.actionQueueDepth.set(labels, scope.actionQueue.size());
+    };
+    var queued = this.actionQueue.add(() => {
+      Metrics.actionQueueWait.observe(labels, (Date.now() - queuedAt) / 1000);
+      return action();
+    }, Object.assign({ description: description || null }, this.queueOptions));
+    updateDepth();
+    queued.then(updateDepth, updateDepth);
+    return queued;
+  }
+
+  /**
+   * Rejects every action still waiting in the actionQueue.
+   */
+  failQueuedActions(reason) {
+    if (this.speechLimiter !== null) {
+      this.speechLimiter.clear(reason);
+    }
+    var failed = this.actionQueue.clear(reason);
+    if (failed > 0) {
+      log.warn('Failing %d queued actions @%s:%d: %s', failed, this.host, this.port, reason);
+    }
+  }
+
+  /**
+   * Marks a reconnect as complete, releasing any actions held by the 'keep' policy.
+   */
+  finishReconnect() {
+    this.reconnecting = false;
+    var waiters = this.reconnectWaiters;
+    this.reconnectWaiters = [];
+    waiters.forEach((waiter) => {
+      waiter.resolve();
+    });
+  }
+
+  /**
+   * Returns the number of milliseconds to wait before the provided reconnect attempt,
+   * doubling per attempt up to reconnectMaxDelay and randomized by reconnectJitter.
+   */
+  getReconnectDelay(attempt) {
+    var delay = Math.min(this.config.reconnectMaxDelay,
+        this.config.reconnectBaseDelay * Math.pow(2, attempt));
+    var jitter = delay * this.config.reconnectJitter;
+    return Math.max(0, Math.round(delay - jitter + Math.random() * jitter * 2));
+  }
+
+  /**
+   * Registers a pending reply for a request which is about to be written.
+   * @returns {Promise} resolved with the matching reply
+   */
+  expectReply(obj, opts) {
+    var scope = this;
+    var match = opts.match;
+    if (match === undefined) {
+      var targetNoid = this.getRefNoid(obj.to);
+      if (obj.op in ReplyMatchers) {
+        match = (msg) => ReplyMatchers[obj.op](obj, msg);
+      } else {
+        match = (msg) => {
+          return msg.op === obj.op &&
+              msg.type !== 'broadcast' &&
+              (targetNoid === -1 || msg.noid === undefined || msg.noid === targetNoid);
+        };
+      }
+    }
+    var timeout = (opts.timeout !== undefined) ? opts.timeout : this.config.replyTimeout;
+
+    return new Promise((resolve, reject) => {
+      var pending = {
+        op: obj.op,
+        match: match,
+        isError: opts.isError || isErrorReply,
+        resolve: resolve,
+        reject: reject,
+        timer: null,
+      };
+      if (timeout > 0) {
+        pending.timer = setTimeout(() => {
+          scope.removePendingReply(pending);
+          reject(`Timed out after ${timeout}ms waiting for reply to ${obj.op}`);
+        }, timeout);
+      }
+      scope.pendingReplies.push(pending);
+    });
+  }
+
+  /**
+   * Returns the noid of the object with the provided ref, -1 if it is unknown.
+   */
+  getRefNoid(ref) {
+    var entry = this.history[ref];
+    if (entry !== undefined && entry.obj && entry.obj.mods && entry.obj.mods.length > 0) {
+      return entry.obj.mods[0].noid;
+    }
+    return -1;
+  }
+
+  /**
+   * Settles the first pending request that the provided message answers.
+   * @returns {boolean} true if the message was a reply to a pending request
+   */
+  matchPendingReply(o) {
+    for (var i = 0; i < this.pendingReplies.length; i++) {
+      var pending = this.pendingReplies[i];
+      if (pending.match(o)) {
+        this.removePendingReply(pending);
+        if (pending.isError(o)) {
+          pending.reject(`Error reply to ${pending.op}: ${JSON.stringify(o)}`);
+        } else {
+          pending.resolve(o);
+        }
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Runs all callbacks registered for the provided event type.
+   * @param {string} eventType Habitat event type
+   * @param {Object} event object passed to callbacks after this HabiBot
+   */
+  runCallbacks(eventType, event) {
+    if (eventType in this.callbacks && this.callbacks[eventType].length > 0) {
+      log.debug('Running callbacks for %s', eventType);
+      // Copied, since once() callbacks remove themselves while running.
+      var callbacks = this.callbacks[eventType].slice();
+      for (var i = 0; i < callbacks.length; i++) {
+        this.runCallback(callbacks[i], eventType, event);
+      }
+    }
+  }
+
+  /**
+   * Runs a single callback, isolating the HabiBot from anything it throws or rejects.
+   */
+  runCallback(callback, eventType, event) {
+    var scope = this;
+    try {
+      var result = callback(this, event);
+      if (result && typeof result.then === 'function') {
+        result.then(null, (err) => {
+          scope.onCallbackError(err, eventType, event);
+        });
+      }
+    } catch (err) {
+      this.onCallbackError(err, eventType, event);
+    }
+  }
+
+  /**
+   * Runs all callbacks registered for wildcard or RegExp patterns matching an op.
+   */
+  runPatternCallbacks(op, o) {
+    var scope = this;
+    this.patternCallbacks
+      .filter((entry) => entry.regexp.test(op))
+      .forEach((entry) => {
+        scope.runCallback(entry.callback, op, o);
+      });
+  }
+
+  /**
+   * Logs an error thrown or rejected by a callback and reports it to error callbacks.
+   */
+  onCallbackError(err, eventType, event) {
+    log.error('Callback for %s failed @%s:%d: %s', eventType, this.host, this.port,
+        (err && err.stack) ? err.stack : err);
+    if (eventType === 'error') {
+      // Errors within error callbacks are only logged.
+      return;
+    }
+    this.runCallbacks('error', { error: err, eventType: eventType, event: event });
+  }
+
+  /**
+   * Schedules the next reconnect attempt, or gives up once reconnectMaxAttempts have
+   * been made.
+   */
+  scheduleReconnect() {
+    var scope = this;
+    var maxAttempts = this.config.reconnectMaxAttempts;
+    if (maxAttempts > 0 && this.reconnectAttempts >= maxAttempts) {
+      log.error('Giving up on server @%s:%d after %d reconnect attempts',
+          this.host, this.port, this.reconnectAttempts);
+      this.abandonReconnect(`Could not reconnect to ${this.host}:${this.port}`);
+      this.runCallbacks('reconnectFailed', { attempts: this.reconnectAttempts });
+      return;
+    }
+
+    var delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+    Metrics.reconnects.inc({ bot: this.username });
+    log.info('Reconnecting to server @%s:%d in %dms (attempt %d)',
+        this.host, this.port, delay, this.reconnectAttempts);
+    this.runCallbacks('reconnecting', { attempt: this.reconnectAttempts, delay: delay });
+    this.reconnectTimer = setTimeout(() => {
+      scope.reconnectTimer = null;
+      scope.connect();
+    }, delay);
+  }
+
+  /**
+   * Rejects every request still waiting on a reply, e.g. after a disconnect.
+   */
+  rejectPendingReplies(reason) {
+    var pendingReplies = this.pendingReplies;
+    this.pendingReplies = [];
+    pendingReplies.forEach((pending) => {
+      clearTimeout(pending.timer);
+      pending.reject(reason);
+    });
+  }
+
+  removePendingReply(pending) {
+    clearTimeout(pending.timer);
+    var index = this.pendingReplies.indexOf(pending);
+    if (index !== -1) {
+      this.pendingReplies.splice(index, 1);
+    }
+  }
+
   /**
    * Clears all shorthand references to an Elko object.
    */
@@ -448,92 +1493,159 @@ class HabiBot {
   clearState() {
     this.names = {};
     this.history = {};
-    this.noids = {};
     this.avatars = {};
+    this.region.clear();
   }
 
-  onDisconnect() {
-    log.info('Disconnected from server @%s:%d...', this.host, this.port);
+  onDisconnect(server) {
+    if (server !== this.server) {
+      return;
+    }
+    var wasConnected = this.connected;
+    this.server = null;
     this.connected = false;
+    this.rejectPendingReplies(`Disconnected from ${this.host}:${this.port}`);
 
-    log.debug('Running callbacks for disconnect @%s:%d', this.host, this.port);
-    for (var i in this.callbacks.disconnected) {
-      this.callbacks.disconnected[i](this);
+    if (wasConnected) {
+      log.info('Disconnected from server @%s:%d...', this.host, this.port);
+      this.runCallbacks('disconnected');
     }
 
-    if (this.config.shouldReconnect) {
-      this.connect();
+    if (this.config.shouldReconnect && !this.stopping) {
+      this.reconnecting = true;
+      if (this.config.queuePolicy !== 'keep') {
+        this.failQueuedActions(`Disconnected from ${this.host}:${this.port}`);
+      }
+      this.scheduleReconnect();
+    } else {
+      this.abandonReconnect(`Disconnected from ${this.host}:${this.port}`);
     }
   }
 
   processData(buf) {
-    var framed = false;
-    var firstEOL = false;
-    var JSONFrame = "";
-    var blob = buf.toString();
-
-    var o = null;
-    for (var i=0; i < blob.length; i++) {
-      var c = blob.charCodeAt(i);
-      if (framed) {
-        JSONFrame += String.fromCharCode(c);
-        if (10 === c) {
-          if (!firstEOL) {
-            firstEOL = true;
-          } else {
-            o = this.processElkoPacket(JSONFrame);
-            framed    = false;
-            firstEOL  = false;
-            JSONFrame = "";
-          }
-        }
-      } else {
-        if (123 === c) {
-          framed = true;
-          firstEOL = false;
-          JSONFrame = "{";
-        } else {
-          if (10 !== c) {
-            log.debug('IGNORED: %s', c);         
-          }
-        }
+    var scope = this;
+    this.decoder.push(buf).forEach((frame) => {
+      var o = scope.processElkoPacket(frame);
+      if (o != null) {
+        scope.dispatchMessage(o);
       }
+    });
+  }
+
+  /**
+   * Runs all callbacks registered for a decoded Elko message, then drops any local
+   * state the message invalidates.
+   * @param {Object} o decoded Elko message
+   */
+  dispatchMessage(o) {
+    if (o.op) {
+      Metrics.messagesReceived.inc({ bot: this.username, op: o.op });
     }
-    if (framed) { 
-      o = this.processElkoPacket(JSONFrame);
-      framed    = false;
-      firstEOL  = false;
-      JSONFrame = '';
-    }
+    this.matchPendingReply(o);
+    this.region.apply(o);
 
-    if (o != null) {
-      if (o.op in this.callbacks) {
-        log.debug('Running callbacks for op: %s', o.op);
-        for (var i in this.callbacks[o.op]) {
-          this.callbacks[o.op][i](this, o);
-        }
-      }
-      for (var i in this.callbacks.msg) {
-        this.callbacks.msg[i](this, o);
-      }
+    this.runCallbacks(o.op, o);
+    this.runPatternCallbacks(o.op, o);
+    this.runCallbacks('msg', o);
+    if (o.op === 'changeContext' && o.context) {
+      // Sent once the HabiBot's Avatar has left the region, naming the region entered next.
+      this.gotoContext(o.context);
+    }
+    if (o.op === 'SPEAK$' && isPrivate(o)) {
+      var sender = this.getNoid(o.noid);
+      this.runCallbacks('privateMessage', {
+        noid: o.noid,
+        name: (sender != null) ? sender.name : null,
+        text: o.text,
+        msg: o,
+      });
+    }
 
-      // Removes the local object reference if a delete message has been sent.
-      if (o.op === 'delete') {
-        var obj = this.history[o.to];
-        this.clearNames(o.to);
-        if ('obj' in obj && obj.obj.mods[0].type === 'Avatar') {
-          delete this.avatars[obj.obj.name];
-        }
-        delete this.history[o.to];
+    // Removes the local object reference if a delete message has been sent.
+    if (o.op === 'delete') {
+      var obj = this.history[o.to];
+      this.clearNames(o.to);
+      if (obj !== undefined && 'obj' in obj && obj.obj.mods[0].type === 'Avatar') {
+        delete this.avatars[obj.obj.name];
       }
+      delete this.history[o.to];
+      this.region.remove(o.to, o);
     }
   }
 
   processElkoPacket(s) {
     log.debug('<-%s:%s: %s', this.host, this.port, s.trim());
+    this.record('in', s.trim());
     return this.scanForRefs(s);
   }
 
+  /**
+   * Sends text as SPEAK messages, split to fit speech balloons and paced to
+   * config.speechRate.
+   * @param {int} esp 1 for ESP, 0 for speech in the region
+   * @param {string} prefix text starting every utterance, such as an ESP address
+   * @param {string} text text to speak
+   * @param {Object} options optional settings, as with say()
+   * @returns {Promise}
+   */
+  speak(esp, prefix, text, options) {
+    var scope = this;
+    var opts = Object.assign({ delay: this.config.sendDelay }, options);
+    var utterances = speech.utterances(text, this.config.maxSpeechLength - prefix.length);
+    if (utterances.length === 0) {
+      log.debug('Nothing the C64 client can show in: %s', text);
+      return Promise.resolve();
+    }
+    var spoken = this.limitSpeech(utterances.map((utterance, i) => {
+      return () => scope.sendWithDelay({
+        op: 'SPEAK',
+        to: 'ME',
+        esp: esp,
+        text: `${prefix}${utterance}`,
+      }, (i === 0) ? opts.delay : scope.config.utteranceDelay);
+    })).then(() => undefined);
+    // Speech is often fire-and-forget, so speech failed on disconnect is not unhandled.
+    spoken.catch(() => {});
+    return spoken;
+  }
+
+  /**
+   * Runs tasks, one per utterance, as config.speechRate allows. Either all of them are
+   * scheduled or, if the rate limit queue has no room for them all, none are, so that
+   * a message is never cut short.
+   * @param {function[]} tasks functions returning Promises
+   * @returns {Promise} resolved once every task has, rejected if any task is
+   */
+  limitSpeech(tasks) {
+    if (!this.config.speechRate) {
+      return Promise.all(tasks.map((task) => task()));
+    }
+    if (this.speechLimiter === null || this.speechLimiterRate !== this.config.speechRate) {
+      this.speechLimiter = new RateLimiter(this.config.speechRate);
+      this.speechLimiterRate = this.config.speechRate;
+    }
+    var limiter = this.speechLimiter;
+    if (!limiter.hasRoom(tasks.length)) {
+      return Promise.reject(`Rate limit queue is full (${limiter.config.maxQueue} waiting)`);
+    }
+    return Promise.all(tasks.map((task) => limiter.schedule(task)));
+  }
+
+  /**
+   * Records a message sent or received, if config.recordFile is set.
+   * @param {string} direction <tt>in</tt> or <tt>out</tt>
+   * @param {string} text Elko message
+   */
+  record(direction, text) {
+    if (!this.config.recordFile) {
+      return;
+    }
+    if (this.recorder === null || this.recorder.filePath !== this.config.recordFile) {
+      this.recorder = new SessionRecorder(this.config.recordFile);
+    }
+    this.recorder.record(direction, text);
+  }
+
   scanForRefs(s) {
     var scope = this;
     var o = util.parseElko(s);
@@ -554,23 +1666,26 @@ class HabiBot {
       var ref = o.obj.ref;
       scope.addNames(ref);
       scope.history[ref] = o;
+      if (o.obj.type === 'context') {
+        // Objects of the previous region are not deleted when changing contexts.
+        scope.avatars = {};
+      }
       if ('mods' in o.obj && o.obj.mods.length > 0) {
-        scope.noids[o.obj.mods[0].noid] = o.obj;
+        if (o.obj.mods[0].type === 'Ghost') {
+          scope.names.GHOST = ref;
+        }
+        if (o.obj.mods[0].type === 'Avatar') {
+          scope.avatars[o.obj.name] = o.obj;
+        }
       }
+      scope.region.add(o);
       if (o.you) {
         var split = ref.split('-');
         scope.names.ME = ref;
         scope.names.USER = `${split[0]}-${split[1]}`;
-        log.debug('Running callbacks for enteredRegion');
-        scope.callbacks.enteredRegion.forEach((callback) => {
-          callback(scope, o);
-        });
-      }
-      if (o.obj.mods[0].type === 'Ghost') {
-        scope.names.GHOST = ref;
-      }
-      if (o.obj.mods[0].type === 'Avatar') {
-        scope.avatars[o.obj.name] = o.obj;
+        scope.finishReconnect();
+        scope.regionMap.learn(scope.region);
+        scope.runCallbacks('enteredRegion', o);
       }
     }
     return o;
@@ -585,59 +1700,54 @@ class HabiBot {
   }
 
   /**
-   * Telko supports a special state substitution. Any string that starts with "$" will trigger a lookup of the 
-   * state via the this.names table. Example "$randy.obj.mod[0].x" will lookup "randy"'s formal ref in the $Names
-   * table, then the value of this.history.user-randy-1230958410291.obj.mod[0].x will be substituted. All substitutions will
-   * occur in place.
-   * 
-   * @param {Object} m The object/message that will have it's parameters ($) substituted.
+   * Returns a template for a field of an Elko message, filled in from the HabiBot's
+   * state when the message is sent. Expressions between <tt>{{</tt> and <tt>}}</tt>
+   * start from a name in the names table, such as an Avatar's name or <tt>ME</tt>,
+   * which stands for the object it refers to, or its ref if the object is not known:
+   *
+   * <pre>
+   * bot.send({
+   *   op: 'WALK',
+   *   to: 'ME',
+   *   x: bot.template('{{randy.mods[0].x}}'),
+   *   y: bot.template('{{randy.mods[0].y}}'),
+   *   how: 1,
+   * });
+   * </pre>
+   *
+   * Only fields holding a template are filled in, so text such as "Vendos cost $50" is
+   * sent as it is. See Template for the syntax.
+   * @param {string} source template text
+   * @returns {Template}
+   * @throws {Error} if the template is not valid
+   */
+  template(source) {
+    return new Template(source);
+  }
+
+  /**
+   * Fills in every template within a message, in place, including those in nested
+   * objects and arrays.
+   * @param {Object} m The object/message whose templates will be filled in.
+   * @throws {Error} naming the expression if a template refers to unknown state
    */
   substituteState(m) {
-    for (var name in m) {
-      if(m.hasOwnProperty(name)) {
-        var prop = m[name];
-        if ((typeof prop === 'string' || prop instanceof String) && prop.indexOf('$') !== -1) {
-          var chunks = prop.split("$");
-          for (var i = 1; i < chunks.length; i++) {
-            var value  = chunks[i];
-            var keys   = chunks[i].split('.');
-            var first  = true;
-            var obj;
-            var mod;
-            for(var j = 0; j < keys.length; j++) {
-              var varseg = keys[j];
-              if (first) {
-                value = this.history[this.substituteName(varseg)];
-                if (undefined === value) {
-                  // No matching object, so substitute the key's value.
-                  value = this.names[varseg] || chunks[i];
-                  break;
-                }
-                if (undefined !== value.obj) {
-                  obj = value.obj;
-                  if (undefined !== obj.mods & obj.mods.length === 1) {
-                    mod = obj.mods[0];
-                  }
-                }
-                first = false;
-              } else {
-                value = (undefined !== mod && undefined !== mod[varseg]) ? mod[varseg] :
-                  (undefined !== obj && undefined !== obj[varseg]) ? obj[varseg] :
-                    value[varseg];
-              }
-            }
-            chunks[i] = value;
-          }
-          if (chunks.length === 2 && chunks[0] === "") {
-            // This preserves integer types, which have no leading chars.
-            m[name] = chunks[1];
-          } else {
-            // For in-string substitutions. 
-            m[name] = chunks.join("");
-          }
-        }
+    var scope = this;
+    var lookup = (name) => {
+      var entry = scope.history[scope.substituteName(name)];
+      if (entry !== undefined) {
+        return (entry.obj !== undefined) ? entry.obj : entry;
       }
-    }
+      return scope.names[name];
+    };
+    Object.keys(m).forEach((name) => {
+      var prop = m[name];
+      if (prop instanceof Template) {
+        m[name] = prop.render(lookup);
+      } else if (prop !== null && typeof prop === 'object') {
+        scope.substituteState(prop);
+      }
+    });
   }
 
   tryEnsureCorporated(curTry) {
@@ -649,10 +1759,10 @@ class HabiBot {
         return new Promise((resolve, reject) => {
           if (curTry < 5) {
             setTimeout(() => {
-              scope.ensureCorporated(curTry + 1)
+              scope.tryEnsureCorporated(curTry + 1)
                 .then(() => { resolve(); })
                 .catch((reason) => { reject(reason); });
-            }, 2000);
+            }, scope.config.corporateRetryDelay);
           } else {
             reject('Could not ensure corporation after 5 tries.');
           }
@@ -666,4 +1776,62 @@ class HabiBot {
 }
 
 
+/**
+ * Returns true if an event type passed to on() is a wildcard pattern or RegExp rather
+ * than a single event type.
+ */
+function isPattern(eventType) {
+  return eventType instanceof RegExp ||
+      (typeof eventType === 'string' && eventType.indexOf('*') !== -1);
+}
+
+
+/**
+ * Converts an op pattern such as <tt>*$</tt> or <tt>WALK*</tt> into a RegExp.
+ */
+function patternToRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  var source = pattern.split('*')
+    .map((part) => part.replace(/[-[\]{}()+?.,\\^$|#\s]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+
+/**
+ * Returns true if a Habitat reply indicates that the request failed.
+ * @param {Object} msg reply message
+ * @returns {boolean}
+ */
+function isErrorReply(msg) {
+  return (msg.err !== undefined && msg.err !== 0 && msg.err !== false) ||
+      msg.success === false ||
+      msg.success === 0;
+}
+
+
+/**
+ * Returns the distance between two region positions.
+ * @param {Object} a <tt>{x, y}</tt>
+ * @param {Object} b <tt>{x, y}</tt>
+ * @returns {number}
+ */
+function distance(a, b) {
+  return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+}
+
+
+/**
+ * Returns true if a SPEAK$ message was sent privately over ESP.
+ * @param {Object} msg SPEAK$ message
+ * @returns {boolean}
+ */
+function isPrivate(msg) {
+  return msg.esp === 1 || msg.esp === true;
+}
+
+
 module.exports = HabiBot;
+module.exports.isPrivate = isPrivate;
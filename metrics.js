@@ -0,0 +1,310 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const http = require('http');
+
+var log = require('winston');
+
+
+// Upper bounds, in seconds, of the buckets histograms count observations into.
+const DefaultBuckets = [0.01, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+
+/**
+ * A metric, such as a counter, whose values are kept per set of label values.
+ */
+class Metric {
+
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    // Values keyed by their rendered label set, e.g. {bot="phil",op="SPEAK"}.
+    this.values = {};
+  }
+
+  /**
+   * Returns the value for the provided labels.
+   * @param {Object} labels label names mapped to values
+   * @returns {number}
+   */
+  get(labels) {
+    return this.values[renderLabels(labels)] || 0;
+  }
+
+  reset() {
+    this.values = {};
+  }
+
+  render() {
+    var scope = this;
+    return Object.keys(this.values).map((key) => `${scope.name}${key} ${scope.values[key]}`);
+  }
+
+}
+
+
+/**
+ * A count which only ever goes up, such as messages sent.
+ */
+class Counter extends Metric {
+
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  /**
+   * @param {Object} labels label names mapped to values
+   * @param {number} amount optional amount to add, 1 by default
+   */
+  inc(labels, amount) {
+    var key = renderLabels(labels);
+    this.values[key] = (this.values[key] || 0) + (amount !== undefined ? amount : 1);
+  }
+
+}
+
+
+/**
+ * A value which goes up and down, such as queue depth.
+ */
+class Gauge extends Metric {
+
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  /**
+   * @param {Object} labels label names mapped to values
+   * @param {number} value current value
+   */
+  set(labels, value) {
+    this.values[renderLabels(labels)] = value;
+  }
+
+}
+
+
+/**
+ * Counts observations, such as wait times, into buckets.
+ */
+class Histogram extends Metric {
+
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets || DefaultBuckets;
+  }
+
+  /**
+   * @param {Object} labels label names mapped to values
+   * @param {number} value observed value
+   */
+  observe(labels, value) {
+    var key = renderLabels(labels);
+    var entry = this.values[key];
+    if (entry === undefined) {
+      entry = this.values[key] = {
+        labels: labels || {},
+        counts: this.buckets.map(() => 0),
+        count: 0,
+        sum: 0,
+      };
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        entry.counts[i]++;
+      }
+    });
+    entry.count++;
+    entry.sum += value;
+  }
+
+  get(labels) {
+    var entry = this.values[renderLabels(labels)];
+    return (entry !== undefined) ? { count: entry.count, sum: entry.sum } : { count: 0, sum: 0 };
+  }
+
+  render() {
+    var scope = this;
+    var lines = [];
+    Object.keys(this.values).forEach((key) => {
+      var entry = scope.values[key];
+      scope.buckets.forEach((bound, i) => {
+        var labels = renderLabels(Object.assign({}, entry.labels, { le: String(bound) }));
+        lines.push(`${scope.name}_bucket${labels} ${entry.counts[i]}`);
+      });
+      var infLabels = renderLabels(Object.assign({}, entry.labels, { le: '+Inf' }));
+      lines.push(`${scope.name}_bucket${infLabels} ${entry.count}`);
+      lines.push(`${scope.name}_sum${key} ${entry.sum}`);
+      lines.push(`${scope.name}_count${key} ${entry.count}`);
+    });
+    return lines;
+  }
+
+}
+
+
+/**
+ * Metrics of every HabiBot in the process, rendered in the Prometheus text format.
+ */
+class Registry {
+
+  constructor() {
+    this.metrics = {};
+    // Servers exposing this registry, keyed by port, with how many users each has.
+    this.servers = {};
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  /**
+   * Returns every metric in the Prometheus text exposition format.
+   * @returns {string}
+   */
+  render() {
+    var scope = this;
+    var lines = [];
+    Object.keys(this.metrics).sort().forEach((name) => {
+      var metric = scope.metrics[name];
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      lines = lines.concat(metric.render());
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Clears the values of every metric.
+   */
+  reset() {
+    var scope = this;
+    Object.keys(this.metrics).forEach((name) => scope.metrics[name].reset());
+  }
+
+  /**
+   * Serves the metrics at <tt>http://host:port/metrics</tt>. Bots sharing a process may
+   * each ask for the same port, which is served once until all of them release() it.
+   * @param {int} port port to listen on
+   * @param {string} host optional address to listen on, 127.0.0.1 by default
+   * @returns {http.Server}
+   */
+  serve(port, host) {
+    var scope = this;
+    var entry = this.servers[port];
+    if (entry === undefined) {
+      var server = http.createServer((req, res) => {
+        if (req.url.split('?')[0] !== '/metrics') {
+          res.writeHead(404, { 'Content-Type': 'text/plain' });
+          res.end('Not found');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+        res.end(scope.render());
+      });
+      server.on('error', (err) => {
+        log.error('Metrics server on port %d failed: %s', port, err.message);
+      });
+      server.listen(port, host || '127.0.0.1', () => {
+        log.info('Serving metrics at http://%s:%d/metrics', host || '127.0.0.1',
+            server.address().port);
+      });
+      entry = this.servers[port] = { server: server, users: 0 };
+    }
+    entry.users++;
+    return entry.server;
+  }
+
+  /**
+   * Releases a port requested with serve(), closing its server once unused.
+   * @param {int} port port passed to serve()
+   */
+  release(port) {
+    var entry = this.servers[port];
+    if (entry === undefined) {
+      return;
+    }
+    entry.users--;
+    if (entry.users <= 0) {
+      entry.server.close();
+      delete this.servers[port];
+    }
+  }
+
+  // Private methods:
+
+  register(metric) {
+    if (metric.name in this.metrics) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics[metric.name] = metric;
+    return metric;
+  }
+
+}
+
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+
+function renderLabels(labels) {
+  if (!labels) {
+    return '';
+  }
+  var names = Object.keys(labels).sort();
+  if (names.length === 0) {
+    return '';
+  }
+  return '{' + names.map((name) => `${name}="${escapeLabel(labels[name])}"`).join(',') + '}';
+}
+
+
+const registry = new Registry();
+
+/**
+ * Metrics collected by habibots, all labelled with the <tt>bot</tt> username they
+ * concern, except for parse failures which are not tied to a single bot.
+ */
+const Metrics = Object.freeze({
+  actionQueueDepth: registry.gauge('habibot_action_queue_depth',
+      'Actions running or waiting in the actionQueue.'),
+  actionQueueWait: registry.histogram('habibot_action_queue_wait_seconds',
+      'Time actions wait in the actionQueue before running.'),
+  avatarsGreeted: registry.counter('habibot_avatars_greeted_total',
+      'Avatars greeted.'),
+  chatRelayFailures: registry.counter('habibot_chat_relay_failures_total',
+      'Messages which could not be relayed between a region and chat, by direction.'),
+  messagesReceived: registry.counter('habibot_messages_received_total',
+      'Elko messages received, by op.'),
+  messagesSent: registry.counter('habibot_messages_sent_total',
+      'Elko messages sent, by op.'),
+  moderationIncidents: registry.counter('habibot_moderation_incidents_total',
+      'Moderation incidents recorded, by kind.'),
+  parseFailures: registry.counter('habibot_parse_failures_total',
+      'Elko messages which could not be parsed as JSON.'),
+  reconnects: registry.counter('habibot_reconnects_total',
+      'Reconnection attempts.'),
+});
+
+
+module.exports = Object.freeze({
+  Counter: Counter,
+  Gauge: Gauge,
+  Histogram: Histogram,
+  Metrics: Metrics,
+  Registry: Registry,
+  registry: registry,
+});
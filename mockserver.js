@@ -0,0 +1,711 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const log = require('winston');
+const net = require('net');
+
+const ElkoDecoder = require('./decoder');
+const recorder = require('./recorder');
+const util = require('./util');
+
+
+const DefaultMockServerConfig = {
+  context: 'context-Downtown_5f',
+  regionName: 'Downtown 5f',
+  // Where avatars, including the HabiBot's own, start out in the region.
+  startX: 20,
+  startY: 140,
+  // Whether the HabiBot's Avatar enters the region as a Ghost.
+  startGhosted: false,
+  // Contexts of the regions to the north, east, south and west, '' where there is none.
+  neighbors: ['', '', '', ''],
+  orientation: 0,
+  // Other regions HabiBots may travel to, keyed by context, each with its name,
+  // neighbors and orientation.
+  regions: {},
+  // Whether to answer ops the way Neohabitat does; turned off when replaying a recorded
+  // session, which supplies the answers.
+  respond: true,
+};
+
+
+/**
+ * A scriptable, in-process stand-in for a Neohabitat/Elko server, speaking the same
+ * <tt>\n\n</tt>-framed JSON protocol over TCP.
+ *
+ * The server records every message a HabiBot sends in <tt>received</tt> and answers
+ * <tt>entercontext</tt>, <tt>CORPORATE</tt>, <tt>DISCORPORATE</tt>, <tt>WALK</tt>,
+ * <tt>POSTURE</tt>, <tt>SPEAK</tt>, <tt>GET</tt>, <tt>PUT</tt>, <tt>THROW</tt> and
+ * <tt>NEWREGION</tt> the way Neohabitat does. Any op may be scripted with <tt>handle</tt>, and region events can
+ * be emitted with helpers such as <tt>addAvatar</tt>, <tt>speak</tt> and
+ * <tt>deleteObject</tt>:
+ *
+ * <pre>
+ * const server = new MockElkoServer();
+ * server.listen().then((port) => {
+ *   const bot = new HabiBot('127.0.0.1', port, 'phil');
+ *   bot.on('enteredRegion', () => {
+ *     server.addAvatar('randy', { x: 40 });
+ *   });
+ *   bot.on('connected', () => bot.gotoContext(server.config.context));
+ *   bot.connect();
+ * });
+ * </pre>
+ */
+class MockElkoServer {
+
+  constructor(config) {
+    this.config = Object.assign(util.clone(DefaultMockServerConfig), config);
+
+    this.server = null;
+    this.clients = [];
+    this.received = [];
+    this.waitedFor = new Set();
+    this.handlers = {};
+    this.waiters = [];
+
+    // Objects in the mock region, keyed by ref.
+    this.objects = {};
+    // Ref of the container of each object, keyed by ref, for objects not lying in the region.
+    this.containers = {};
+    this.nextNoid = 1;
+    this.nextRefId = 1000;
+  }
+
+  /**
+   * Starts listening for HabiBot connections.
+   * @param {int} port port to listen on; a free port is picked if omitted
+   * @returns {Promise} resolved with the port being listened on
+   */
+  listen(port) {
+    var scope = this;
+    return new Promise((resolve, reject) => {
+      scope.server = net.createServer(scope.onConnection.bind(scope));
+      scope.server.on('error', reject);
+      scope.server.listen(port || 0, '127.0.0.1', () => {
+        log.debug('MockElkoServer listening on port %d', scope.port());
+        resolve(scope.port());
+      });
+    });
+  }
+
+  /**
+   * Disconnects all clients and stops listening.
+   * @returns {Promise}
+   */
+  close() {
+    var scope = this;
+    this.dropClients();
+    this.waiters.forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.reject('MockElkoServer closed');
+    });
+    this.waiters = [];
+    return new Promise((resolve) => {
+      if (scope.server === null) {
+        resolve();
+        return;
+      }
+      scope.server.close(() => {
+        scope.server = null;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Forcibly disconnects every client, e.g. to exercise reconnection.
+   */
+  dropClients() {
+    this.clients.forEach((client) => {
+      client.socket.destroy();
+    });
+    this.clients = [];
+  }
+
+  /**
+   * Returns the port this server is listening on.
+   * @returns {int}
+   */
+  port() {
+    return this.server.address().port;
+  }
+
+  /**
+   * Scripts the server's response to an op sent by a HabiBot, replacing the built-in
+   * behavior for that op. Handlers are called with the message, the sending client and
+   * this server.
+   * @param {string} op Elko op, such as <tt>GET</tt> or <tt>entercontext</tt>
+   * @param {function} handler <tt>function(msg, client, server)</tt>
+   */
+  handle(op, handler) {
+    this.handlers[op] = handler;
+  }
+
+  /**
+   * Returns a Promise resolved with the next message received from a HabiBot matching
+   * the provided op or predicate, including messages which have already arrived but
+   * were not yet waited for.
+   * @param {string|function} match op name or <tt>function(msg)</tt>
+   * @param {int} timeout milliseconds to wait before rejecting (default 5000)
+   * @returns {Promise}
+   */
+  waitForMessage(match, timeout) {
+    var scope = this;
+    var predicate = (typeof match === 'function') ? match : (msg) => msg.op === match;
+    for (var i = 0; i < this.received.length; i++) {
+      var msg = this.received[i];
+      if (!this.waitedFor.has(msg) && predicate(msg)) {
+        this.waitedFor.add(msg);
+        return Promise.resolve(msg);
+      }
+    }
+    return new Promise((resolve, reject) => {
+      var waiter = {
+        predicate: predicate,
+        resolve: resolve,
+        reject: reject,
+        timer: setTimeout(() => {
+          scope.waiters.splice(scope.waiters.indexOf(waiter), 1);
+          reject(`Timed out waiting for message: ${match}`);
+        }, timeout || 5000),
+      };
+      scope.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Returns all messages received from HabiBots with the provided op.
+   * @param {string} op Elko op
+   * @returns {Object[]}
+   */
+  receivedOps(op) {
+    return this.received.filter((msg) => msg.op === op);
+  }
+
+  /**
+   * Plays the messages received in a recorded session to every connected client, as the
+   * recorded server sent them. Best used with <tt>respond</tt> turned off, so that only
+   * the recording answers the HabiBot.
+   * @param {Object[]} entries recorded entries, as returned by recorder.load()
+   * @param {Object} options optional settings: <tt>speed</tt>, how many times faster than
+   *   recorded to replay, 1 by default and 0 for as fast as possible, and
+   *   <tt>awaitOutbound</tt>, whether to wait for the HabiBot to send each recorded
+   *   message's op before going on, false by default
+   * @returns {Promise} resolved once the session has been replayed, rejected if the
+   *   HabiBot did not send an awaited message in time
+   */
+  replay(entries, options) {
+    var scope = this;
+    var opts = Object.assign({ speed: 1, awaitOutbound: false }, options);
+    var played = entries.filter((entry) => {
+      return entry.direction === 'in' || (opts.awaitOutbound && entry.msg !== undefined);
+    });
+    return recorder.pace(played, opts.speed, (entry) => {
+      if (entry.direction === 'out') {
+        return scope.waitForMessage(entry.msg.op);
+      }
+      var text = recorder.messageText(entry);
+      log.debug('MockElkoServer replaying->: %s', text);
+      scope.clients.forEach((client) => {
+        client.socket.write(text + '\n\n');
+      });
+    });
+  }
+
+  // Region scripting helpers:
+
+  /**
+   * Brings a new Avatar into the region, as when a player arrives: sends the Avatar's
+   * <tt>HEREIS_$</tt> followed by an <tt>APPEARING_$</tt> broadcast.
+   * @param {string} name name of the Avatar
+   * @param {Object} mod optional mod fields, such as <tt>x</tt>, <tt>y</tt> or <tt>noid</tt>
+   * @returns {Object} the new Avatar object
+   */
+  addAvatar(name, mod) {
+    var avatar = this.createAvatar(name, mod);
+    this.sendAll({
+      to: this.config.context,
+      op: 'HEREIS_$',
+      object: avatar,
+    });
+    this.sendAll({
+      type: 'broadcast',
+      noid: 0,
+      op: 'APPEARING_$',
+      appearing: avatar.mods[0].noid,
+    });
+    return avatar;
+  }
+
+  /**
+   * Adds an arbitrary object to the region via <tt>make</tt>.
+   * @param {string} type Habitat class, e.g. <tt>Vendo_front</tt>
+   * @param {Object} mod optional mod fields
+   * @param {string} name optional object name
+   * @param {string} container optional ref of the object's container, such as an Avatar,
+   *   or the context of another region to put the object in
+   * @returns {Object} the new object
+   */
+  addObject(type, mod, name, container) {
+    var obj = this.createObject('item', type, name || type, mod);
+    if (container) {
+      this.containers[obj.ref] = container;
+    }
+    this.sendAll({
+      to: container || this.config.context,
+      op: 'make',
+      obj: obj,
+    });
+    return obj;
+  }
+
+  /**
+   * Removes an object from the region.
+   * @param {string} ref ref of the object to delete
+   */
+  deleteObject(ref) {
+    delete this.objects[ref];
+    delete this.containers[ref];
+    this.sendAll({
+      to: ref,
+      op: 'delete',
+    });
+  }
+
+  /**
+   * Returns the region object with the provided name, or null.
+   * @param {string} name object name
+   * @returns {Object}
+   */
+  findObject(name) {
+    for (var ref in this.objects) {
+      if (this.objects[ref].name === name) {
+        return this.objects[ref];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the ref of the container of the object with the provided ref.
+   * @param {string} ref ref of an object
+   * @returns {string} its container's ref, the context's for objects lying in the region
+   */
+  containerOf(ref) {
+    return this.containers[ref] || this.config.context;
+  }
+
+  /**
+   * Returns the context of the region the object with the provided ref is in, climbing
+   * out of any containers.
+   * @param {string} ref ref of an object
+   * @returns {string}
+   */
+  regionOf(ref) {
+    var container = this.containerOf(ref);
+    while (container in this.objects) {
+      container = this.containerOf(container);
+    }
+    return container;
+  }
+
+  /**
+   * Walks the Avatar with the provided noid to a new position, broadcasting <tt>WALK$</tt>.
+   * @param {int} noid noid of the Avatar
+   * @param {int} x x coordinate to walk to
+   * @param {int} y y coordinate to walk to
+   */
+  walkAvatar(noid, x, y) {
+    this.sendAll({
+      type: 'broadcast',
+      noid: noid,
+      op: 'WALK$',
+      x: x,
+      y: y,
+      how: 1,
+    });
+  }
+
+  /**
+   * Has the object with the provided noid speak in the region.
+   * @param {int} noid noid of the speaker
+   * @param {string} text text to speak
+   */
+  speak(noid, text) {
+    this.sendAll({
+      type: 'broadcast',
+      noid: noid,
+      op: 'SPEAK$',
+      text: text,
+    });
+  }
+
+  /**
+   * Sends ESP from the Avatar at the provided noid to every connected client.
+   * @param {int} noid noid of the speaking Avatar
+   * @param {string} text text spoken
+   */
+  speakPrivately(noid, text) {
+    this.sendAll({
+      type: 'broadcast',
+      noid: noid,
+      op: 'SPEAK$',
+      text: text,
+      esp: 1,
+    });
+  }
+
+  /**
+   * Sends a message to every connected client.
+   * @param {Object} msg Elko message
+   */
+  sendAll(msg) {
+    var scope = this;
+    this.clients.forEach((client) => {
+      scope.sendTo(client, msg);
+    });
+  }
+
+  /**
+   * Sends a message to every connected client but the provided one, as with broadcasts
+   * of a client's own actions.
+   * @param {Object} except client to skip
+   * @param {Object} msg Elko message
+   */
+  sendOthers(except, msg) {
+    var scope = this;
+    this.clients.forEach((client) => {
+      if (client !== except) {
+        scope.sendTo(client, msg);
+      }
+    });
+  }
+
+  /**
+   * Sends a message to a single client.
+   * @param {Object} client client, as passed to handlers
+   * @param {Object} msg Elko message
+   */
+  sendTo(client, msg) {
+    log.debug('MockElkoServer->: %j', msg);
+    client.socket.write(JSON.stringify(msg) + '\n\n');
+  }
+
+  // Private methods:
+
+  regionConfig(context) {
+    if (context in this.config.regions) {
+      return Object.assign({ neighbors: ['', '', '', ''], orientation: 0 },
+          this.config.regions[context]);
+    }
+    return {
+      name: this.config.regionName,
+      neighbors: this.config.neighbors,
+      orientation: this.config.orientation,
+    };
+  }
+
+  findObjectByNoid(noid) {
+    for (var ref in this.objects) {
+      if (this.objects[ref].mods[0].noid === noid) {
+        return this.objects[ref];
+      }
+    }
+    return null;
+  }
+
+  createAvatar(name, mod) {
+    return this.createObject('user', 'Avatar', name, Object.assign({
+      x: this.config.startX,
+      y: this.config.startY,
+      orientation: 0,
+      amAGhost: false,
+    }, mod));
+  }
+
+  createObject(kind, type, name, mod) {
+    var ref = `${kind}-${name}-${this.nextRefId++}`;
+    var obj = {
+      type: 'item',
+      ref: ref,
+      name: name,
+      mods: [Object.assign({ type: type, noid: this.nextNoid++ }, mod)],
+    };
+    this.objects[ref] = obj;
+    return obj;
+  }
+
+  defaultHandler(op) {
+    switch (op) {
+      case 'entercontext':
+        return this.onEnterContext;
+      case 'CORPORATE':
+        return this.onCorporate;
+      case 'DISCORPORATE':
+        return this.onDiscorporate;
+      case 'GET':
+        return this.onGet;
+      case 'NEWREGION':
+        return this.onNewRegion;
+      case 'PUT':
+        return this.onPut;
+      case 'THROW':
+        return this.onThrow;
+      case 'POSTURE':
+        return this.onPosture;
+      case 'SPEAK':
+        return this.onSpeak;
+      case 'WALK':
+        return this.onWalk;
+      default:
+        return null;
+    }
+  }
+
+  onConnection(socket) {
+    var scope = this;
+    var client = {
+      socket: socket,
+      decoder: new ElkoDecoder(),
+      avatar: null,
+      ghost: null,
+    };
+    this.clients.push(client);
+    socket.on('data', (buf) => {
+      client.decoder.push(buf).forEach((frame) => {
+        scope.onMessage(client, util.parseElko(frame));
+      });
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      var index = scope.clients.indexOf(client);
+      if (index !== -1) {
+        scope.clients.splice(index, 1);
+      }
+    });
+  }
+
+  onMessage(client, msg) {
+    this.received.push(msg);
+    for (var i = 0; i < this.waiters.length; i++) {
+      var waiter = this.waiters[i];
+      if (waiter.predicate(msg)) {
+        this.waitedFor.add(msg);
+        this.waiters.splice(i, 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(msg);
+        break;
+      }
+    }
+    var handler = this.handlers[msg.op] ||
+        (this.config.respond ? this.defaultHandler(msg.op) : null);
+    if (handler) {
+      handler.call(this, msg, client, this);
+    }
+  }
+
+  onCorporate(msg, client) {
+    var avatarMod = client.avatar.mods[0];
+    avatarMod.amAGhost = false;
+    this.sendTo(client, { type: 'reply', op: 'CORPORATE', noid: avatarMod.noid });
+    this.sendOthers(client, { type: 'broadcast', op: 'CORPORATE$', noid: avatarMod.noid });
+    if (client.ghost !== null) {
+      this.deleteObject(client.ghost.ref);
+      client.ghost = null;
+    }
+  }
+
+  onGet(msg, client) {
+    var obj = this.objects[msg.to];
+    var avatarMod = client.avatar.mods[0];
+    if (obj === undefined || this.containerOf(msg.to) !== this.config.context) {
+      this.sendTo(client, { type: 'reply', op: 'GET', noid: refusedNoid(obj, client), err: 1 });
+      return;
+    }
+    this.containers[obj.ref] = client.avatar.ref;
+    obj.mods[0].y = 5;
+    this.sendTo(client, { type: 'reply', op: 'GET', noid: obj.mods[0].noid, err: 0 });
+    this.sendOthers(client, { type: 'broadcast', op: 'GET$', noid: avatarMod.noid,
+      target: obj.mods[0].noid });
+  }
+
+  onPut(msg, client) {
+    var obj = this.objects[msg.to];
+    var container = this.findObjectByNoid(msg.containerNoid);
+    if (obj === undefined || this.containerOf(msg.to) !== client.avatar.ref ||
+        (msg.containerNoid !== 0 && container === null)) {
+      this.sendTo(client, { type: 'reply', op: 'PUT', noid: refusedNoid(obj, client), err: 1 });
+      return;
+    }
+    if (msg.containerNoid === 0) {
+      delete this.containers[obj.ref];
+    } else {
+      this.containers[obj.ref] = container.ref;
+    }
+    obj.mods[0].x = msg.x;
+    obj.mods[0].y = msg.y;
+    this.sendTo(client, { type: 'reply', op: 'PUT', noid: obj.mods[0].noid, err: 0 });
+    this.sendOthers(client, { type: 'broadcast', op: 'PUT$', noid: client.avatar.mods[0].noid,
+      target: obj.mods[0].noid, cont: msg.containerNoid, x: msg.x, y: msg.y });
+  }
+
+  onThrow(msg, client) {
+    var obj = this.objects[msg.to];
+    if (obj === undefined || this.containerOf(msg.to) !== client.avatar.ref) {
+      this.sendTo(client, { type: 'reply', op: 'THROW', noid: refusedNoid(obj, client), err: 1 });
+      return;
+    }
+    delete this.containers[obj.ref];
+    obj.mods[0].x = msg.x;
+    obj.mods[0].y = msg.y;
+    this.sendTo(client, { type: 'reply', op: 'THROW', noid: obj.mods[0].noid, x: msg.x, y: msg.y,
+      err: 0 });
+    this.sendOthers(client, { type: 'broadcast', op: 'THROW$', noid: client.avatar.mods[0].noid,
+      target: obj.mods[0].noid, x: msg.x, y: msg.y });
+  }
+
+  onDiscorporate(msg, client) {
+    var avatarMod = client.avatar.mods[0];
+    avatarMod.amAGhost = true;
+    this.sendTo(client, { type: 'reply', op: 'DISCORPORATE', noid: avatarMod.noid });
+    this.sendOthers(client, { type: 'broadcast', op: 'DISCORPORATE$', noid: avatarMod.noid });
+  }
+
+  onEnterContext(msg, client) {
+    var scope = this;
+    var name = msg.user.replace(/^user-/, '');
+    var context = (msg.context in this.config.regions) ? msg.context : this.config.context;
+    var region = this.regionConfig(context);
+    if (client.avatar) {
+      // Leaves the region the client was in.
+      this.sendOthers(client, { to: client.avatar.ref, op: 'delete' });
+      delete this.objects[client.avatar.ref];
+      delete this.containers[client.avatar.ref];
+    }
+    client.context = context;
+    this.sendTo(client, {
+      to: 'session',
+      op: 'make',
+      obj: {
+        type: 'context',
+        ref: context,
+        name: region.name,
+        mods: [{
+          type: 'Region',
+          noid: 0,
+          neighbors: region.neighbors,
+          orientation: region.orientation,
+        }],
+      },
+    });
+
+    // Everyone and everything already present in the region.
+    Object.keys(this.objects).forEach((ref) => {
+      if (scope.regionOf(ref) === context) {
+        scope.sendTo(client, { to: scope.containerOf(ref), op: 'make', obj: scope.objects[ref] });
+      }
+    });
+
+    client.avatar = this.createAvatar(name, { amAGhost: this.config.startGhosted });
+    if (context !== this.config.context) {
+      this.containers[client.avatar.ref] = context;
+    }
+    this.sendTo(client, {
+      to: context,
+      op: 'make',
+      you: true,
+      obj: client.avatar,
+    });
+    // Everyone else already present sees the newcomer arrive.
+    this.sendOthers(client, { to: context, op: 'HEREIS_$', object: client.avatar });
+    this.sendOthers(client, {
+      type: 'broadcast',
+      noid: 0,
+      op: 'APPEARING_$',
+      appearing: client.avatar.mods[0].noid,
+    });
+    if (this.config.startGhosted) {
+      client.ghost = this.createObject('item', 'Ghost', 'Ghost', {});
+      this.sendTo(client, { to: context, op: 'make', obj: client.ghost });
+    }
+  }
+
+  onNewRegion(msg, client) {
+    var next = null;
+    if (msg.passage_id) {
+      var door = this.findObjectByNoid(msg.passage_id);
+      next = (door !== null) ? door.mods[0].connection : null;
+    } else {
+      next = this.regionConfig(client.context).neighbors[msg.direction];
+    }
+    if (!next) {
+      this.sendTo(client, { type: 'reply', op: 'NEWREGION', noid: client.avatar.mods[0].noid, err: 1 });
+      return;
+    }
+    this.sendTo(client, { to: client.avatar.ref, op: 'changeContext', context: next, immediate: false });
+  }
+
+  onPosture(msg, client) {
+    this.sendAll({
+      type: 'broadcast',
+      noid: client.avatar.mods[0].noid,
+      op: 'POSTURE$',
+      new_posture: msg.pose,
+    });
+  }
+
+  onSpeak(msg, client) {
+    var noid = client.avatar.mods[0].noid;
+    if (msg.esp !== 1 && msg.esp !== true) {
+      this.speak(noid, msg.text);
+      return;
+    }
+    // ESP is addressed as "TO:name text" and only reaches that Avatar's client.
+    var match = /^TO:(\S+)\s+([\s\S]*)$/i.exec(msg.text);
+    if (match === null) {
+      return;
+    }
+    this.clients
+      .filter((other) => other.avatar !== null &&
+          other.avatar.name.toLowerCase() === match[1].toLowerCase())
+      .forEach((other) => {
+        this.sendTo(other, { type: 'broadcast', noid: noid, op: 'SPEAK$', text: match[2], esp: 1 });
+      });
+  }
+
+  onWalk(msg, client) {
+    var avatarMod = client.avatar.mods[0];
+    avatarMod.x = msg.x;
+    avatarMod.y = msg.y;
+    this.sendTo(client, {
+      type: 'reply',
+      op: 'WALK',
+      noid: avatarMod.noid,
+      x: msg.x,
+      y: msg.y,
+      how: msg.how,
+    });
+    this.sendOthers(client, {
+      type: 'broadcast',
+      op: 'WALK$',
+      noid: avatarMod.noid,
+      x: msg.x,
+      y: msg.y,
+      how: msg.how,
+    });
+  }
+
+}
+
+
+// Refusals carry the noid of the object they are about, as Elko replies do, or the
+// requesting Avatar's if there is no such object.
+function refusedNoid(obj, client) {
+  return (obj !== undefined) ? obj.mods[0].noid : client.avatar.mods[0].noid;
+}
+
+
+module.exports = MockElkoServer;
@@ -0,0 +1,487 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const DefaultModeratorConfig = {
+  // Avatars saying more than floodMessages things within floodMillis are flooding.
+  floodMessages: 5,
+  floodMillis: 10000,
+  // Words which may not be said, matched whole and regardless of case.
+  bannedWords: [],
+  // Avatars naming the same Avatar in more than harassMessages things said within
+  // harassMillis are harassing them.
+  harassMessages: 4,
+  harassMillis: 60000,
+  // Said to offenders, with {name} their name and {target} the Avatar they harass.
+  warnings: {
+    flood: 'Please slow down, {name}, so everyone gets a word in.',
+    language: 'Please watch your language, {name}.',
+    harassment: 'Please give {target} some space, {name}.',
+  },
+  // Whether offenders are warned over ESP rather than in front of the region.
+  warnPrivately: true,
+  // Avatars are warned and reported for the same kind of incident once within this window.
+  incidentCooldown: 60000,
+  // Lines of region speech kept to give incidents context.
+  transcriptLength: 20,
+  // JSONL file incidents are appended to; incidents are only kept in memory if unset.
+  incidentFile: null,
+  reportRate: { maxEvents: 5, perMillis: 60000, maxQueue: 20 },
+};
+
+// Settings of the moderator, besides those of every bot; see config.js.
+const Settings = {
+  bannedWords: {
+    type: 'list',
+    default: DefaultModeratorConfig.bannedWords,
+    alias: 'b',
+    describe: 'Comma-separated words which may not be said in the region.',
+  },
+  floodMessages: {
+    type: 'number',
+    default: DefaultModeratorConfig.floodMessages,
+    describe: 'Most lines an Avatar may say within floodMillis.',
+  },
+  floodMillis: {
+    type: 'number',
+    default: DefaultModeratorConfig.floodMillis,
+    describe: 'Milliseconds over which flooding is counted.',
+  },
+  harassMessages: {
+    type: 'number',
+    default: DefaultModeratorConfig.harassMessages,
+    describe: 'Most lines naming the same Avatar an Avatar may say within harassMillis.',
+  },
+  harassMillis: {
+    type: 'number',
+    default: DefaultModeratorConfig.harassMillis,
+    describe: 'Milliseconds over which harassment is counted.',
+  },
+  incidentCooldown: {
+    type: 'number',
+    default: DefaultModeratorConfig.incidentCooldown,
+    describe: 'Milliseconds before an Avatar is warned about the same kind of incident again.',
+  },
+  incidentFile: {
+    type: 'string',
+    default: null,
+    alias: 'i',
+    describe: 'JSONL file to log incidents to.',
+  },
+  // Where reports are posted: a Slack channel if a Slack token is set, else a webhook.
+  slackChannel: {
+    type: 'string',
+    default: 'moderation',
+    alias: 'l',
+    describe: 'Slack channel to post incident reports to.',
+  },
+  slackToken: {
+    type: 'string',
+    default: '',
+    alias: 's',
+    secret: true,
+    describe: 'Token for posting incident reports to Slack.',
+  },
+  warnPrivately: {
+    type: 'boolean',
+    default: DefaultModeratorConfig.warnPrivately,
+    describe: 'Whether offenders are warned over ESP rather than out loud.',
+  },
+  watch: {
+    type: 'boolean',
+    default: true,
+    describe: 'Whether the config file is reloaded when it changes.',
+  },
+  watchInterval: {
+    type: 'number',
+    default: 1000,
+    describe: 'Milliseconds between checks of the config file for changes.',
+  },
+  webhookUrl: {
+    type: 'string',
+    default: null,
+    secret: true,
+    describe: 'URL to POST incident reports to, when not using Slack.',
+  },
+};
+
+// Settings applied as soon as the config file changes; the rest need a restart.
+const LiveSettings = ['bannedWords', 'floodMessages', 'floodMillis', 'harassMessages',
+  'harassMillis', 'incidentCooldown', 'incidentFile', 'warnPrivately'];
+
+const fs = require('fs');
+
+var log = require('winston');
+
+const config = require('./config');
+const greetscript = require('./greetscript');
+const HabiBot = require('./habibot');
+const Metrics = require('./metrics').Metrics;
+const RateLimiter = require('./ratelimiter');
+const SlackAdapter = require('./slackadapter');
+const util = require('./util');
+const WebhookAdapter = require('./webhookadapter');
+
+
+/**
+ * Watches what is said in a HabiBot's region for trouble:
+ * <ul>
+ *   <li><b>flood</b> - an Avatar saying too much too quickly</li>
+ *   <li><b>language</b> - an Avatar saying a banned word</li>
+ *   <li><b>harassment</b> - an Avatar naming the same Avatar over and over</li>
+ * </ul>
+ *
+ * Offenders are warned in-world, over ESP unless <tt>warnPrivately</tt> is off. Each
+ * incident is kept, with a transcript of what was said around it, in
+ * <tt>incidents</tt> and <tt>incidentFile</tt>, and reported to a chat channel when a
+ * chat adapter, such as a SlackAdapter or WebhookAdapter, is provided:
+ *
+ * <pre>
+ * const moderator = new Moderator(bot, new WebhookAdapter({ url: reportUrl }), {
+ *   bannedWords: ['darn'],
+ * });
+ * moderator.start();
+ * </pre>
+ */
+class Moderator {
+
+  /**
+   * @param {HabiBot} bot HabiBot whose region is moderated
+   * @param {Object} adapter chat adapter reports are sent with, or null not to report
+   * @param {Object} config optional settings overriding DefaultModeratorConfig
+   */
+  constructor(bot, adapter, config) {
+    this.bot = bot;
+    this.adapter = adapter;
+    this.config = Object.assign(util.clone(DefaultModeratorConfig), config);
+    this.config.warnings = Object.assign({}, DefaultModeratorConfig.warnings,
+        (config || {}).warnings);
+    this.reportLimiter = new RateLimiter(this.config.reportRate);
+    this.bannedPattern = bannedWordsPattern(this.config.bannedWords);
+    // Recent region speech and arrivals, oldest first.
+    this.transcript = [];
+    // Times each Avatar spoke, keyed by name.
+    this.spoken = {};
+    // Times each Avatar named another, keyed by "name>target".
+    this.named = {};
+    // When each Avatar was last warned about each kind of incident, keyed by "kind:name".
+    this.lastIncident = {};
+    this.incidents = [];
+    this.speakListener = this.onSpeak.bind(this);
+    this.appearingListener = this.onAppearing.bind(this);
+    this.leftListener = this.onAvatarLeft.bind(this);
+    this.started = false;
+  }
+
+  /**
+   * Starts moderating.
+   * @returns {Promise} resolved once the chat adapter, if any, has connected
+   */
+  start() {
+    if (this.started) {
+      return Promise.resolve();
+    }
+    this.started = true;
+    this.bot.on('SPEAK$', this.speakListener);
+    this.bot.on('APPEARING_$', this.appearingListener);
+    this.bot.on('avatarLeft', this.leftListener);
+    // Reports only go out; anything said in the chat channel is ignored.
+    return (this.adapter !== null) ? this.adapter.start(() => {}) : Promise.resolve();
+  }
+
+  /**
+   * Stops moderating, dropping any reports waiting to be sent.
+   */
+  stop() {
+    if (!this.started) {
+      return;
+    }
+    this.started = false;
+    this.bot.off('SPEAK$', this.speakListener);
+    this.bot.off('APPEARING_$', this.appearingListener);
+    this.bot.off('avatarLeft', this.leftListener);
+    this.reportLimiter.clear('Moderator stopped');
+    if (this.adapter !== null) {
+      this.adapter.stop();
+    }
+  }
+
+  /**
+   * Changes settings while moderating, such as the banned words.
+   * @param {Object} config settings overriding the current ones
+   */
+  configure(config) {
+    Object.assign(this.config, config);
+    this.bannedPattern = bannedWordsPattern(this.config.bannedWords);
+  }
+
+  /**
+   * Checks a line said by an Avatar, warning and reporting them for any incident.
+   * @param {string} name name of the Avatar
+   * @param {string} text what they said
+   * @returns {Object[]} the incidents recorded, most often none
+   */
+  check(name, text) {
+    var scope = this;
+    var now = Date.now();
+    this.remember({ time: now, name: name, text: text });
+
+    var found = [];
+    var spoken = this.track(this.spoken, name, now, this.config.floodMillis);
+    if (spoken.length > this.config.floodMessages) {
+      found.push({
+        kind: 'flood',
+        detail: `${spoken.length} lines in ${this.config.floodMillis / 1000}s`,
+      });
+    }
+    var banned = (this.bannedPattern !== null) ? text.match(this.bannedPattern) : null;
+    if (banned !== null) {
+      found.push({ kind: 'language', detail: `said "${banned[1]}"` });
+    }
+    this.namedAvatars(name, text).forEach((target) => {
+      var named = scope.track(scope.named, `${name}>${target}`, now, scope.config.harassMillis);
+      if (named.length > scope.config.harassMessages) {
+        found.push({
+          kind: 'harassment',
+          target: target,
+          detail: `named ${target} ${named.length} times in ${scope.config.harassMillis / 1000}s`,
+        });
+      }
+    });
+
+    return found
+      .filter((incident) => scope.coolDown(incident.kind, name, now))
+      .map((incident) => scope.record(Object.assign({ time: now, avatar: name, text: text }, incident)));
+  }
+
+  // Private methods:
+
+  onSpeak(bot, msg) {
+    if (msg.noid === bot.getAvatarNoid() || HabiBot.isPrivate(msg)) {
+      return;
+    }
+    var avatar = bot.getNoid(msg.noid);
+    if (avatar == null) {
+      return;
+    }
+    this.check(avatar.name, msg.text);
+  }
+
+  onAppearing(bot, msg) {
+    var avatar = bot.getNoid(msg.appearing);
+    if (avatar != null) {
+      this.remember({ time: Date.now(), name: avatar.name, text: null, event: 'arrived' });
+    }
+  }
+
+  onAvatarLeft(bot, event) {
+    var name = event.obj.name;
+    this.remember({ time: Date.now(), name: name, text: null, event: 'left' });
+    delete this.spoken[name];
+  }
+
+  remember(line) {
+    this.transcript.push(line);
+    if (this.transcript.length > this.config.transcriptLength) {
+      this.transcript.splice(0, this.transcript.length - this.config.transcriptLength);
+    }
+  }
+
+  // Adds a time to a list kept in times under key, returning the times within the window.
+  track(times, key, now, windowMillis) {
+    var recent = (times[key] || []).filter((time) => time > now - windowMillis);
+    recent.push(now);
+    times[key] = recent;
+    return recent;
+  }
+
+  // Returns the other Avatars in the region named in what an Avatar said.
+  namedAvatars(speaker, text) {
+    var me = this.bot.getAvatarNoid();
+    var words = text.toLowerCase().split(/[^\w-]+/);
+    return this.bot.region.getAvatars()
+      .filter((avatar) => avatar.name !== speaker && avatar.mods[0].noid !== me)
+      .map((avatar) => avatar.name)
+      .filter((name) => words.indexOf(name.toLowerCase()) !== -1);
+  }
+
+  // Returns true if the Avatar has not had an incident of this kind within the cooldown.
+  coolDown(kind, name, now) {
+    var key = `${kind}:${name}`;
+    var last = this.lastIncident[key];
+    if (last !== undefined && now - last < this.config.incidentCooldown) {
+      return false;
+    }
+    this.lastIncident[key] = now;
+    return true;
+  }
+
+  record(incident) {
+    var scope = this;
+    incident.context = this.bot.region.context;
+    incident.regionName = this.bot.region.name;
+    incident.transcript = this.transcript.slice();
+    this.incidents.push(incident);
+    Metrics.moderationIncidents.inc({ bot: this.bot.username, kind: incident.kind });
+    log.warn('Moderation incident in %s: %s by %s, %s', incident.regionName, incident.kind,
+        incident.avatar, incident.detail);
+
+    if (this.config.incidentFile) {
+      try {
+        fs.appendFileSync(this.config.incidentFile, JSON.stringify(incident) + '\n');
+      } catch (e) {
+        log.error('Could not log incident to %s: %s', this.config.incidentFile, e.message);
+      }
+    }
+
+    this.warn(incident)
+      .catch((reason) => log.warn('Could not warn %s: %s', incident.avatar, reason));
+    if (this.adapter !== null) {
+      this.reportLimiter.schedule(() => scope.adapter.send(formatReport(incident)))
+        .catch((reason) => {
+          Metrics.chatRelayFailures.inc({ bot: scope.bot.username, direction: 'toChat' });
+          log.warn('Could not report incident: %s', reason);
+        });
+    }
+    return incident;
+  }
+
+  warn(incident) {
+    var warning = greetscript.fillTemplate(this.config.warnings[incident.kind] || '', {
+      name: incident.avatar,
+      target: incident.target || '',
+    });
+    if (warning === '') {
+      return Promise.resolve();
+    }
+    return this.config.warnPrivately ?
+        this.bot.sayPrivately(incident.avatar, warning) : this.bot.say(warning);
+  }
+
+}
+
+
+// Matches any of the banned words as a whole word, capturing it.
+function bannedWordsPattern(words) {
+  var escaped = [].concat(words)
+    .filter((word) => word !== '')
+    .map((word) => word.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&'));
+  return (escaped.length > 0) ? new RegExp(`(?:^|\\W)(${escaped.join('|')})(?=\\W|$)`, 'i') : null;
+}
+
+
+/**
+ * Formats an incident as a report for the chat channel, with its transcript.
+ * @param {Object} incident incident recorded by a Moderator
+ * @returns {string}
+ */
+function formatReport(incident) {
+  var lines = [
+    `[moderation] ${incident.kind} by ${incident.avatar} in ${incident.regionName || incident.context}` +
+        ` (${incident.context}): ${incident.detail}`,
+  ];
+  incident.transcript.forEach((line) => {
+    var time = new Date(line.time).toISOString().substr(11, 8);
+    lines.push((line.text !== null) ? `> ${time} ${line.name}: ${line.text}` :
+        `> ${time} ${line.name} ${line.event}`);
+  });
+  return lines.join('\n');
+}
+
+
+/**
+ * Constructs the moderator HabiBot, which keeps watch over its region, warning Avatars
+ * who flood it, use banned words or harass others, logging each incident and
+ * reporting it to Slack or a webhook.
+ *
+ * Options override the moderator's config file and environment; see config.js. Unless
+ * <tt>watch</tt> is off, the config file is reloaded whenever it changes, applying its
+ * new LiveSettings, such as the banned words, while staying connected.
+ * @param {Object} options moderator options, as accepted on the command line, plus an
+ *   optional <tt>botConfig</tt> merged into the HabiBot's config
+ * @returns {HabiBot} the moderator, ready to connect()
+ * @throws {Error} if any setting is invalid
+ */
+function createModerator(options) {
+  const Argv = config.load(Settings, { options: options });
+  log.debug('Moderator settings: %j', config.redact(Argv, Settings));
+
+  const ModeratorBot = HabiBot.newWithConfig(Argv.host, Argv.port, Argv.username,
+    Object.assign({ shouldReconnect: Argv.reconnect, metricsPort: Argv.metricsPort },
+        Argv.botConfig));
+
+  var adapter = null;
+  if (Argv.slackToken) {
+    adapter = new SlackAdapter({ token: Argv.slackToken, channel: Argv.slackChannel });
+  } else if (Argv.webhookUrl) {
+    adapter = new WebhookAdapter({ url: Argv.webhookUrl });
+  }
+  // The LiveSettings are all settings of the Moderator.
+  const moderatorConfig = (settings) => {
+    var picked = {};
+    LiveSettings.forEach((key) => {
+      picked[key] = settings[key];
+    });
+    return picked;
+  };
+  const Watch = new Moderator(ModeratorBot, adapter, moderatorConfig(Argv));
+
+  const warnUnapplied = config.restartWarnings('moderator');
+
+  // Reloads the config file, applying the LiveSettings which changed.
+  const reloadSettings = () => {
+    var settings = config.load(Settings, { options: options });
+    var changed = config.changes(Argv, settings);
+    var live = changed.filter((key) => LiveSettings.indexOf(key) !== -1);
+
+    warnUnapplied(changed.filter((key) => LiveSettings.indexOf(key) === -1), settings);
+
+    live.forEach((key) => {
+      log.info('Applying new %s', key);
+      Argv[key] = settings[key];
+    });
+    Watch.configure(moderatorConfig(Argv));
+  };
+
+  // Keeps the current settings if the changed config file is not valid.
+  const Watcher = (Argv.watch && Argv.configFile) ?
+      config.watchReload(Argv.configFile, reloadSettings, Argv.watchInterval) : null;
+
+  ModeratorBot.on('connected', (bot) => {
+    log.debug('ModeratorBot connected.');
+    if (!bot.isReentering()) {
+      bot.gotoContext(bot.lastContext || Argv.context);
+    }
+  });
+
+  ModeratorBot.once('enteredRegion', (bot) => {
+    return Watch.start()
+      .catch((err) => log.error('Could not connect to the report channel: %s', err));
+  });
+
+  ModeratorBot.on('disconnected', (bot) => {
+    if (bot.stopping) {
+      Watch.stop();
+      if (Watcher !== null) {
+        Watcher.close();
+      }
+    }
+  });
+
+  return ModeratorBot;
+}
+
+
+if (require.main === module) {
+  config.runBehavior(Settings, createModerator);
+}
+
+
+module.exports = Object.freeze({
+  Moderator: Moderator,
+  // Behavior entry point used by the orchestrator.
+  create: createModerator,
+  createModerator: createModerator,
+  formatReport: formatReport,
+});
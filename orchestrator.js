@@ -0,0 +1,428 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const yaml = require('js-yaml');
+
+var log = require('winston');
+
+const util = require('./util');
+
+
+const DefaultOrchestratorConfig = {
+  // Crashed bots are restarted after restartBaseDelay, doubling per consecutive crash.
+  restartBaseDelay: 1000,
+  restartMaxDelay: 60000,
+  // A bot which stays up this long is no longer considered to be crash looping.
+  stableMillis: 60000,
+  stopTimeout: 5000,
+};
+
+const WorkerPath = path.join(__dirname, 'botworker.js');
+
+
+/**
+ * Runs many bots from a single JSON or YAML config file, each in its own worker process
+ * so that one bot crashing never takes down the others.
+ *
+ * Top-level settings are shared by every bot and may be overridden per bot:
+ *
+ * <pre>
+ * host: neohabitat.demo.spi.ne
+ * port: 1337
+ * bots:
+ *   - name: greeter1
+ *     behavior: greeter
+ *     username: pcollins
+ *     context: context-Downtown_3b
+ *     greetingFile: assets/greeting.txt
+ *     slackChannel: newavatars
+ * </pre>
+ *
+ * <tt>behavior</tt> names a module exporting <tt>create(settings)</tt>, which returns an
+ * unconnected HabiBot; bare names such as <tt>greeter</tt> refer to the behaviors
+ * shipped with habibots. Relative paths in <tt>behavior</tt> and in any setting ending
+ * in <tt>File</tt> are resolved against the config file's directory.
+ */
+class Orchestrator {
+
+  constructor(configPath, config) {
+    this.configPath = path.resolve(configPath);
+    this.config = Object.assign(util.clone(DefaultOrchestratorConfig), config);
+    // Settings of each configured bot, keyed by name.
+    this.settings = {};
+    // Running state of each bot, keyed by name.
+    this.bots = {};
+  }
+
+  /**
+   * Reads and validates the config file.
+   * @returns {Object} settings of each bot, keyed by bot name
+   * @throws {Error} if the file cannot be read or is invalid
+   */
+  load() {
+    var text = fs.readFileSync(this.configPath).toString();
+    var ext = path.extname(this.configPath).toLowerCase();
+    var doc;
+    try {
+      doc = (ext === '.yml' || ext === '.yaml') ? yaml.safeLoad(text) : JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Could not parse ${this.configPath}: ${e.message}`);
+    }
+    return parseBotSettings(doc, path.dirname(this.configPath));
+  }
+
+  /**
+   * Loads the config file and starts every bot in it.
+   */
+  startAll() {
+    var scope = this;
+    this.settings = this.load();
+    Object.keys(this.settings).forEach((name) => {
+      scope.start(name);
+    });
+  }
+
+  /**
+   * Re-reads the config file, starting added bots, stopping removed ones and restarting
+   * those whose settings have changed. Bots whose settings are unchanged keep running.
+   * @returns {Promise}
+   */
+  reload() {
+    var scope = this;
+    var newSettings;
+    try {
+      newSettings = this.load();
+    } catch (e) {
+      log.error('Not reloading: %s', e.message);
+      return Promise.reject(e.message);
+    }
+    var oldSettings = this.settings;
+    this.settings = newSettings;
+
+    var pending = [];
+    Object.keys(oldSettings).forEach((name) => {
+      if (!(name in newSettings)) {
+        log.info('Bot %s was removed from the config', name);
+        pending.push(scope.stop(name));
+      }
+    });
+    Object.keys(newSettings).forEach((name) => {
+      if (!(name in oldSettings)) {
+        log.info('Bot %s was added to the config', name);
+        scope.start(name);
+      } else if (JSON.stringify(oldSettings[name]) !== JSON.stringify(newSettings[name])) {
+        log.info('Settings of bot %s have changed', name);
+        pending.push(scope.restart(name));
+      }
+    });
+    return Promise.all(pending);
+  }
+
+  /**
+   * Starts the bot with the provided name if it is not already running.
+   * @param {string} name bot name
+   */
+  start(name) {
+    var scope = this;
+    if (!(name in this.settings)) {
+      throw new Error(`No bot named ${name}`);
+    }
+    var state = this.bots[name];
+    if (state === undefined) {
+      state = this.bots[name] = {
+        name: name,
+        child: null,
+        crashes: 0,
+        restartTimer: null,
+        startedAt: null,
+        state: 'stopped',
+        connected: false,
+        context: null,
+      };
+    }
+    if (state.child !== null) {
+      return;
+    }
+    clearTimeout(state.restartTimer);
+    state.restartTimer = null;
+
+    log.info('Starting bot %s', name);
+    var child = childProcess.fork(WorkerPath, [name]);
+    state.child = child;
+    state.state = 'starting';
+    state.startedAt = Date.now();
+    state.connected = false;
+    child.on('message', (msg) => {
+      scope.onWorkerMessage(state, msg);
+    });
+    child.on('exit', (code, signal) => {
+      scope.onWorkerExit(state, child, code, signal);
+    });
+    child.send({ op: 'start', bot: this.settings[name] });
+  }
+
+  /**
+   * Stops the bot with the provided name.
+   * @param {string} name bot name
+   * @returns {Promise} resolved once the bot's worker has exited
+   */
+  stop(name) {
+    var scope = this;
+    var state = this.bots[name];
+    if (state === undefined) {
+      return Promise.resolve();
+    }
+    clearTimeout(state.restartTimer);
+    state.restartTimer = null;
+    if (state.child === null) {
+      state.state = 'stopped';
+      return Promise.resolve();
+    }
+
+    log.info('Stopping bot %s', name);
+    var child = state.child;
+    state.state = 'stopping';
+    return new Promise((resolve) => {
+      var timer = setTimeout(() => {
+        log.warn('Bot %s did not stop in time, killing it', name);
+        child.kill('SIGKILL');
+      }, scope.config.stopTimeout);
+      child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      if (child.connected) {
+        child.send({ op: 'stop' });
+      } else {
+        child.kill();
+      }
+    });
+  }
+
+  /**
+   * Restarts the bot with the provided name.
+   * @param {string} name bot name
+   * @returns {Promise} resolved once the bot has been started again, rejected if there
+   *   is no bot with the name
+   */
+  restart(name) {
+    var scope = this;
+    if (!(name in this.settings)) {
+      return Promise.reject(`No bot named ${name}`);
+    }
+    return this.stop(name).then(() => {
+      if (name in scope.bots) {
+        scope.bots[name].crashes = 0;
+      }
+      scope.start(name);
+    });
+  }
+
+  /**
+   * Stops every bot.
+   * @returns {Promise}
+   */
+  stopAll() {
+    var scope = this;
+    return Promise.all(Object.keys(this.bots).map((name) => scope.stop(name)));
+  }
+
+  /**
+   * Returns the state of every bot.
+   * @returns {Object[]} <tt>{name, state, pid, crashes, connected, context}</tt> per bot,
+   *   where state is one of starting, running, stopping, stopped or crashed
+   */
+  status() {
+    var scope = this;
+    return Object.keys(this.settings).map((name) => {
+      var state = scope.bots[name] || { state: 'stopped', child: null, crashes: 0 };
+      return {
+        name: name,
+        state: state.state,
+        pid: (state.child !== null) ? state.child.pid : null,
+        crashes: state.crashes,
+        connected: state.connected === true,
+        context: state.context || null,
+      };
+    });
+  }
+
+  // Private methods:
+
+  onWorkerMessage(state, msg) {
+    switch (msg.op) {
+      case 'started':
+        state.state = 'running';
+        break;
+      case 'status':
+        if ('connected' in msg) {
+          state.connected = msg.connected;
+        }
+        if ('context' in msg) {
+          state.context = msg.context;
+        }
+        break;
+    }
+  }
+
+  onWorkerExit(state, child, code, signal) {
+    var scope = this;
+    if (state.child !== child) {
+      return;
+    }
+    state.child = null;
+    state.connected = false;
+    if (state.state === 'stopping') {
+      log.info('Bot %s stopped', state.name);
+      state.state = 'stopped';
+      return;
+    }
+
+    if (Date.now() - state.startedAt >= this.config.stableMillis) {
+      state.crashes = 0;
+    }
+    var delay = Math.min(this.config.restartMaxDelay,
+        this.config.restartBaseDelay * Math.pow(2, state.crashes));
+    state.crashes++;
+    state.state = 'crashed';
+    log.error('Bot %s exited (code %s, signal %s); restarting in %dms',
+        state.name, code, signal, delay);
+    state.restartTimer = setTimeout(() => {
+      state.restartTimer = null;
+      if (state.name in scope.settings) {
+        scope.start(state.name);
+      }
+    }, delay);
+  }
+
+}
+
+
+/**
+ * Validates a parsed config file and resolves the settings of each bot in it.
+ * @param {Object} doc parsed config file
+ * @param {string} baseDir directory relative paths are resolved against
+ * @returns {Object} settings of each bot, keyed by bot name
+ * @throws {Error} if the config is invalid
+ */
+function parseBotSettings(doc, baseDir) {
+  if (doc === null || typeof doc !== 'object' || !Array.isArray(doc.bots)) {
+    throw new Error('Config must contain a "bots" list');
+  }
+  var shared = Object.assign({}, doc);
+  delete shared.bots;
+
+  var settings = {};
+  doc.bots.forEach((entry, i) => {
+    if (entry === null || typeof entry !== 'object') {
+      throw new Error(`Bot #${i + 1} must be an object`);
+    }
+    var bot = Object.assign({ behavior: 'greeter' }, shared, entry);
+    if (!bot.username) {
+      throw new Error(`Bot #${i + 1} has no username`);
+    }
+    bot.name = bot.name || bot.username;
+    if (bot.name in settings) {
+      throw new Error(`Bot name ${bot.name} is used more than once`);
+    }
+    if (bot.behavior.indexOf('/') !== -1) {
+      bot.behavior = path.resolve(baseDir, bot.behavior);
+    }
+    Object.keys(bot).forEach((key) => {
+      if (/File$/.test(key) && typeof bot[key] === 'string') {
+        bot[key] = path.resolve(baseDir, bot[key]);
+      }
+    });
+    settings[bot.name] = bot;
+  });
+  return settings;
+}
+
+
+/**
+ * Accepts start, stop, restart, reload and status commands on standard input.
+ */
+function readCommands(orchestrator) {
+  var rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', (line) => {
+    var words = line.trim().split(/\s+/);
+    var command = words[0];
+    var name = words[1];
+    try {
+      switch (command) {
+        case 'start':
+          orchestrator.start(name);
+          break;
+        case 'stop':
+          orchestrator.stop(name)
+            .catch((reason) => log.error('Could not stop %s: %s', name, reason));
+          break;
+        case 'restart':
+          orchestrator.restart(name)
+            .catch((reason) => log.error('Could not restart %s: %s', name, reason));
+          break;
+        case 'reload':
+          orchestrator.reload().catch(() => {});
+          break;
+        case 'status':
+          orchestrator.status().forEach((bot) => {
+            log.info('%s: %s (pid %s, crashes %d, connected %s, context %s)', bot.name,
+                bot.state, bot.pid, bot.crashes, bot.connected, bot.context);
+          });
+          break;
+        case '':
+          break;
+        default:
+          log.warn('Commands: start <bot>, stop <bot>, restart <bot>, reload, status');
+      }
+    } catch (e) {
+      log.error(e.message);
+    }
+  });
+}
+
+
+if (require.main === module) {
+  log.remove(log.transports.Console);
+  log.add(log.transports.Console, { 'timestamp': true });
+
+  const Argv = require('yargs')
+    .usage('Usage: $0 [options]')
+    .help('help')
+    .option('help', { alias: '?', describe: 'Get this usage/help information.' })
+    .option('config', { alias: 'f', default: 'bots.json', describe: 'JSON or YAML file describing the bots to run.' })
+    .option('loglevel',  { alias: ';', default: 'info', describe: 'Log level name. (see: npm winston)'})
+    .argv;
+
+  log.level = Argv.loglevel;
+
+  const BotOrchestrator = new Orchestrator(Argv.config);
+  try {
+    BotOrchestrator.startAll();
+  } catch (e) {
+    log.error(e.message);
+    process.exit(1);
+  }
+
+  process.on('SIGHUP', () => {
+    log.info('Reloading %s', BotOrchestrator.configPath);
+    BotOrchestrator.reload().catch(() => {});
+  });
+  ['SIGINT', 'SIGTERM'].forEach((signal) => {
+    process.on(signal, () => {
+      BotOrchestrator.stopAll().then(() => process.exit(0));
+    });
+  });
+  readCommands(BotOrchestrator);
+}
+
+
+module.exports = Orchestrator;
+module.exports.parseBotSettings = parseBotSettings;
@@ -0,0 +1,123 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const util = require('./util');
+
+
+const DefaultRateLimiterConfig = {
+  // At most maxEvents tasks are started within any perMillis window.
+  maxEvents: 5,
+  perMillis: 10000,
+  // Tasks beyond this many waiting are rejected rather than queued.
+  maxQueue: 20,
+};
+
+
+/**
+ * Runs tasks no faster than a configured rate, queueing those which arrive too quickly.
+ *
+ * <pre>
+ * const limiter = new RateLimiter({ maxEvents: 1, perMillis: 1000 });
+ * limiter.schedule(() => bot.say('One'));
+ * limiter.schedule(() => bot.say('Two'));  // Spoken a second later.
+ * </pre>
+ */
+class RateLimiter {
+
+  /**
+   * @param {Object} config optional settings: <tt>maxEvents</tt>, <tt>perMillis</tt> and
+   *   <tt>maxQueue</tt>
+   */
+  constructor(config) {
+    this.config = Object.assign(util.clone(DefaultRateLimiterConfig), config);
+    // Start times of the tasks run within the current window.
+    this.started = [];
+    this.waiting = [];
+    this.timer = null;
+  }
+
+  /**
+   * Runs a task as soon as the rate limit allows.
+   * @param {function} task function to run, which may return a Promise
+   * @returns {Promise} resolved with the task's result, or rejected if the queue is full
+   *   or the limiter is cleared first
+   */
+  schedule(task) {
+    var scope = this;
+    if (this.waiting.length >= this.config.maxQueue) {
+      return Promise.reject(`Rate limit queue is full (${this.config.maxQueue} waiting)`);
+    }
+    return new Promise((resolve, reject) => {
+      scope.waiting.push({ task: task, resolve: resolve, reject: reject });
+      scope.drain();
+    });
+  }
+
+  /**
+   * Returns whether the provided number of tasks, scheduled now, would all be run or
+   * queued, rather than some of them being rejected as the queue fills.
+   * @param {int} count number of tasks
+   * @returns {boolean}
+   */
+  hasRoom(count) {
+    var windowStart = Date.now() - this.config.perMillis;
+    var running = this.started.filter((time) => time > windowStart).length;
+    // Tasks only start straight away if none are waiting ahead of them.
+    var free = (this.waiting.length === 0) ? Math.max(this.config.maxEvents - running, 0) : 0;
+    return count <= free + this.config.maxQueue - this.waiting.length;
+  }
+
+  /**
+   * Returns the number of tasks waiting to run.
+   * @returns {int}
+   */
+  pending() {
+    return this.waiting.length;
+  }
+
+  /**
+   * Rejects every waiting task.
+   * @param {string} reason reason passed to the rejected tasks
+   */
+  clear(reason) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    var waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach((item) => item.reject(reason || 'Rate limiter cleared'));
+  }
+
+  // Private methods:
+
+  drain() {
+    var scope = this;
+    if (this.timer !== null) {
+      return;
+    }
+    while (this.waiting.length > 0) {
+      var now = Date.now();
+      var windowStart = now - this.config.perMillis;
+      this.started = this.started.filter((time) => time > windowStart);
+      if (this.started.length >= this.config.maxEvents) {
+        this.timer = setTimeout(() => {
+          scope.timer = null;
+          scope.drain();
+        }, this.started[0] - windowStart);
+        return;
+      }
+      var item = this.waiting.shift();
+      this.started.push(now);
+      try {
+        Promise.resolve(item.task()).then(item.resolve, item.reject);
+      } catch (e) {
+        item.reject(e);
+      }
+    }
+  }
+
+}
+
+
+module.exports = RateLimiter;
@@ -0,0 +1,127 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const fs = require('fs');
+
+const log = require('winston');
+
+
+/**
+ * Records the Elko messages a HabiBot sends and receives to a JSONL file, one message
+ * per line, for reproducing bugs from real traffic:
+ *
+ * <pre>
+ * {"time":1500000000000,"direction":"out","msg":{"op":"entercontext",...}}
+ * {"time":1500000000250,"direction":"in","msg":{"to":"session","op":"make",...}}
+ * </pre>
+ *
+ * Messages which are not valid JSON are recorded as <tt>text</tt> instead of
+ * <tt>msg</tt>. Recordings are read back with load() and played with replay(), or
+ * through a MockElkoServer with its replay().
+ */
+class SessionRecorder {
+
+  /**
+   * @param {string} filePath JSONL file to append the session to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Appends a message to the recording.
+   * @param {string} direction <tt>in</tt> for messages received, <tt>out</tt> for sent
+   * @param {string} text Elko message, without its framing
+   */
+  record(direction, text) {
+    var entry = { time: Date.now(), direction: direction };
+    try {
+      entry.msg = JSON.parse(text);
+    } catch (e) {
+      entry.text = text;
+    }
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      log.error('Could not record to %s: %s', this.filePath, e.message);
+    }
+  }
+
+}
+
+
+/**
+ * Reads a recorded session.
+ * @param {string} filePath JSONL file written by a SessionRecorder
+ * @returns {Object[]} recorded entries, oldest first
+ */
+function load(filePath) {
+  return fs.readFileSync(filePath).toString()
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${filePath}:${i + 1}: ${e.message}`);
+      }
+    });
+}
+
+
+/**
+ * Returns the Elko message of a recorded entry, as it was sent or received.
+ * @param {Object} entry recorded entry
+ * @returns {string}
+ */
+function messageText(entry) {
+  return (entry.msg !== undefined) ? JSON.stringify(entry.msg) : entry.text;
+}
+
+
+/**
+ * Calls <tt>fn(entry)</tt> for each entry in turn, spaced out as they were recorded.
+ * @param {Object[]} entries recorded entries
+ * @param {number} speed how many times faster than recorded to go; 0 goes as fast as
+ *   possible
+ * @param {function} fn function called with each entry, which may return a Promise
+ * @returns {Promise} resolved once every entry has been handled
+ */
+function pace(entries, speed, fn) {
+  return entries.reduce((chain, entry, i) => {
+    return chain.then(() => {
+      var gap = (i > 0 && speed > 0) ? (entry.time - entries[i - 1].time) / speed : 0;
+      return new Promise((resolve) => setTimeout(resolve, Math.max(gap, 0)));
+    }).then(() => fn(entry));
+  }, Promise.resolve());
+}
+
+
+/**
+ * Feeds the messages received in a recorded session back through a HabiBot's parsing
+ * and callbacks, as though its server were sending them. Messages it sent are skipped;
+ * the HabiBot need not be connected.
+ * @param {HabiBot} bot HabiBot to replay to
+ * @param {Object[]} entries recorded entries, as returned by load()
+ * @param {Object} options optional settings: <tt>speed</tt>, how many times faster than
+ *   recorded to replay, 1 by default and 0 for as fast as possible
+ * @returns {Promise} resolved once the session has been replayed
+ */
+function replay(bot, entries, options) {
+  var opts = Object.assign({ speed: 1 }, options);
+  var inbound = entries.filter((entry) => entry.direction === 'in');
+  return pace(inbound, opts.speed, (entry) => {
+    bot.processData(Buffer.from(messageText(entry) + '\n\n'));
+  });
+}
+
+
+module.exports = Object.freeze({
+  SessionRecorder: SessionRecorder,
+  load: load,
+  messageText: messageText,
+  pace: pace,
+  replay: replay,
+});
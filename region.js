@@ -0,0 +1,459 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const log = require('winston');
+
+const constants = require('./constants');
+
+
+const PoseIdToDirection = {
+  254: constants.LEFT,
+  255: constants.RIGHT,
+  146: constants.FORWARD,
+  143: constants.BEHIND,
+};
+
+// Compass directions, in the order of the neighbors listed in a Region mod.
+const Compass = [constants.NORTH, constants.EAST, constants.SOUTH, constants.WEST];
+
+// Screen edge leading towards each compass direction in a region of orientation 0; each
+// step of orientation turns the region a quarter turn.
+const ScreenSides = [constants.BEHIND, constants.RIGHT, constants.FORWARD, constants.LEFT];
+
+/**
+ * Updates applied to region objects by Neohabitat broadcasts and replies, keyed by op.
+ * Each returns the mod fields which the message changes for the object at its noid.
+ */
+const Updaters = {
+  'WALK$': (msg) => {
+    return { x: msg.x, y: msg.y };
+  },
+  'WALK': (msg) => {
+    return { x: msg.x, y: msg.y };
+  },
+  'POSTURE$': (msg) => {
+    var changes = { posture: msg.new_posture };
+    if (msg.new_posture in PoseIdToDirection) {
+      changes.facing = PoseIdToDirection[msg.new_posture];
+    }
+    return changes;
+  },
+  'CORPORATE$': (msg) => {
+    return { amAGhost: false };
+  },
+  'CORPORATE': (msg) => {
+    return { amAGhost: false };
+  },
+  'DISCORPORATE$': (msg) => {
+    return { amAGhost: true };
+  },
+  'DISCORPORATE': (msg) => {
+    return { amAGhost: true };
+  },
+};
+
+/**
+ * Moves broadcast when other Avatars get, put or throw objects, keyed by op. Each
+ * is given the message and the Region, and returns the <tt>noid</tt> of the object
+ * moved, the noid of the <tt>container</tt> it moves into and the mod <tt>fields</tt>
+ * it sets. The Avatar moving the object is at
+ * <tt>msg.noid</tt>; the HabiBot's own moves are applied from its requests' replies.
+ */
+const Movers = {
+  'GET$': (msg) => {
+    return { noid: msg.target, container: msg.noid, fields: { y: constants.HANDS } };
+  },
+  'PUT$': (msg) => {
+    return { noid: msg.target, container: msg.cont, fields: { x: msg.x, y: msg.y } };
+  },
+  'THROW$': (msg, region) => {
+    return {
+      noid: msg.target,
+      container: region.getRegionNoid(),
+      fields: { x: msg.x, y: msg.y },
+    };
+  },
+};
+
+
+/**
+ * Live model of the Habitat region a HabiBot is in: every object present, keyed by
+ * noid, and what contains it, kept current from the <tt>make</tt>, <tt>HEREIS_$</tt>
+ * and <tt>delete</tt> messages and the broadcasts which move or change objects.
+ *
+ * Changes are reported through the provided <tt>notify</tt> function, which is called
+ * with an event type and an event object holding the <tt>noid</tt>, <tt>obj</tt> and
+ * <tt>msg</tt> involved, plus the <tt>changes</tt> and <tt>previous</tt> mod values for
+ * change events:
+ * <ul>
+ *   <li><b>avatarArrived</b> - An Avatar has entered the region</li>
+ *   <li><b>avatarLeft</b> - An Avatar has left the region</li>
+ *   <li><b>avatarMoved</b> - An Avatar has walked to a new (x, y) position</li>
+ *   <li><b>objectAdded</b> - An object has been added to the region</li>
+ *   <li><b>objectChanged</b> - The state of an object, Avatars included, has changed</li>
+ *   <li><b>objectRemoved</b> - An object has been removed from the region</li>
+ * </ul>
+ */
+class Region {
+
+  /**
+   * @param {function} notify <tt>function(eventType, event)</tt> called on changes
+   */
+  constructor(notify) {
+    this.notify = notify || (() => {});
+    this.clear();
+  }
+
+  /**
+   * Forgets all region state, e.g. when changing contexts.
+   */
+  clear() {
+    this.context = null;
+    this.name = null;
+    this.regionMod = null;
+    this.myNoid = -1;
+    this.objects = {};
+    this.refs = {};
+    // Ref of the container holding each object, keyed by noid; the region's own ref for
+    // objects lying in the region.
+    this.containers = {};
+  }
+
+  /**
+   * Registers an update for an op not handled by default.
+   * @param {string} op Neohabitat op, such as <tt>CHANGE$</tt>
+   * @param {function} updater <tt>function(msg)</tt> returning the mod fields changed for
+   *   the object at <tt>msg.noid</tt>
+   */
+  static addUpdater(op, updater) {
+    Updaters[op] = updater;
+  }
+
+  // Accessors:
+
+  /**
+   * Returns the object with the provided noid, null if none is present.
+   * @param {int} noid noid of a Habitat object
+   * @returns {Object}
+   */
+  get(noid) {
+    return this.objects[noid] || null;
+  }
+
+  /**
+   * Returns the mod of the object with the provided noid, null if none is present.
+   * @param {int} noid noid of a Habitat object
+   * @returns {Object}
+   */
+  getMod(noid) {
+    var obj = this.get(noid);
+    return (obj !== null) ? obj.mods[0] : null;
+  }
+
+  /**
+   * Returns the object with the provided ref, null if none is present.
+   * @param {string} ref Elko ref of a Habitat object
+   * @returns {Object}
+   */
+  getByRef(ref) {
+    return (ref in this.refs) ? this.get(this.refs[ref]) : null;
+  }
+
+  /**
+   * Returns the noid of the object containing the object with the provided noid.
+   * @param {int} noid noid of a Habitat object
+   * @returns {int} noid of its container, the region's noid if it lies in the region, or
+   *   null if unknown
+   */
+  getContainer(noid) {
+    var ref = this.containers[noid];
+    if (ref === undefined) {
+      return null;
+    }
+    if (ref === this.context) {
+      return this.getRegionNoid();
+    }
+    return (ref in this.refs) ? this.refs[ref] : null;
+  }
+
+  /**
+   * Returns the objects held by the container with the provided noid, such as the
+   * contents of an Avatar's pockets.
+   * @param {int} noid noid of a container
+   * @returns {Object[]}
+   */
+  getContents(noid) {
+    var scope = this;
+    return Object.keys(this.objects)
+      .filter((objNoid) => scope.getContainer(parseInt(objNoid, 10)) === noid)
+      .map((objNoid) => scope.objects[objNoid]);
+  }
+
+  /**
+   * Returns the noid of the region itself, which contains the objects lying in it.
+   * @returns {int}
+   */
+  getRegionNoid() {
+    return (this.regionMod !== null && this.regionMod.noid !== undefined) ?
+        this.regionMod.noid : 0;
+  }
+
+  /**
+   * Returns true if the object with the provided noid lies in the region, rather than
+   * within a container.
+   * @param {int} noid noid of a Habitat object
+   * @returns {boolean}
+   */
+  isInRegion(noid) {
+    return this.containers[noid] === this.context;
+  }
+
+  /**
+   * Returns all Avatars in the region, the HabiBot's own included.
+   * @returns {Object[]}
+   */
+  getAvatars() {
+    return this.getObjectsOfType('Avatar');
+  }
+
+  /**
+   * Returns the Avatar with the provided name, null if they are not present.
+   * @param {string} name Avatar name
+   * @returns {Object}
+   */
+  findAvatar(name) {
+    var lowerName = name.toLowerCase();
+    var avatars = this.getAvatars();
+    for (var i = 0; i < avatars.length; i++) {
+      if (avatars[i].name.toLowerCase() === lowerName) {
+        return avatars[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns all objects of the provided Habitat class, such as <tt>Vendo_front</tt>.
+   * @param {string} type Habitat class name
+   * @returns {Object[]}
+   */
+  getObjectsOfType(type) {
+    var scope = this;
+    return Object.keys(this.objects)
+      .map((noid) => scope.objects[noid])
+      .filter((obj) => obj.mods[0].type === type);
+  }
+
+  /**
+   * Returns the ways out of the region: its edges which lead to neighboring regions, from
+   * the <tt>neighbors</tt> of its Region mod, and the objects such as doors and buildings
+   * whose <tt>connection</tt> leads to another region.
+   * @returns {Object[]} exits, each holding the <tt>context</tt> it leads to and either
+   *   the compass <tt>direction</tt> and screen <tt>side</tt> of an edge or the
+   *   <tt>noid</tt> of a door
+   */
+  getExits() {
+    var scope = this;
+    var mod = this.regionMod || {};
+    var neighbors = mod.neighbors || [];
+    var orientation = mod.orientation || 0;
+    var exits = [];
+    Compass.forEach((direction, i) => {
+      if (neighbors[i]) {
+        exits.push({
+          context: neighbors[i],
+          direction: direction,
+          side: ScreenSides[(i - orientation + 4 * Compass.length) % Compass.length],
+          noid: null,
+        });
+      }
+    });
+    Object.keys(this.objects).forEach((noid) => {
+      var objMod = scope.objects[noid].mods[0];
+      if (objMod.connection && scope.isInRegion(objMod.noid)) {
+        exits.push({ context: objMod.connection, direction: null, side: null, noid: objMod.noid });
+      }
+    });
+    return exits;
+  }
+
+  /**
+   * Returns the direction the object with the provided noid last faced.
+   * @param {int} noid noid of a Habitat object
+   * @returns {string} LEFT, RIGHT, FORWARD, BEHIND or UNKNOWN
+   */
+  getFacing(noid) {
+    var mod = this.getMod(noid);
+    return (mod !== null && mod.facing !== undefined) ? mod.facing : constants.UNKNOWN;
+  }
+
+  /**
+   * Returns the current position of the object with the provided noid.
+   * @param {int} noid noid of a Habitat object
+   * @returns {Object} <tt>{x, y}</tt>, null if the object is not present
+   */
+  getPosition(noid) {
+    var mod = this.getMod(noid);
+    return (mod !== null) ? { x: mod.x, y: mod.y } : null;
+  }
+
+  /**
+   * Returns true if the object with the provided noid is an Avatar in Ghost form.
+   * @param {int} noid noid of an Avatar
+   * @returns {boolean}
+   */
+  isGhosted(noid) {
+    var mod = this.getMod(noid);
+    return mod !== null && mod.amAGhost === true;
+  }
+
+  // Updates:
+
+  /**
+   * Adds an object from a <tt>make</tt> or <tt>HEREIS_$</tt> message.
+   * @param {Object} msg Elko message, with the object at <tt>msg.obj</tt>
+   */
+  add(msg) {
+    var obj = msg.obj;
+    if (obj.type === 'context') {
+      this.clear();
+      this.context = obj.ref;
+      this.name = obj.name;
+      this.regionMod = (obj.mods && obj.mods.length > 0) ? obj.mods[0] : null;
+      return;
+    }
+    if (!obj.mods || obj.mods.length === 0) {
+      return;
+    }
+    var noid = obj.mods[0].noid;
+    this.objects[noid] = obj;
+    this.refs[obj.ref] = noid;
+    this.containers[noid] = msg.to || this.context;
+    if (msg.you) {
+      this.myNoid = noid;
+    }
+    var event = { noid: noid, obj: obj, msg: msg };
+    this.notify('objectAdded', event);
+    if (obj.mods[0].type === 'Avatar') {
+      this.notify('avatarArrived', event);
+    }
+  }
+
+  /**
+   * Applies the state changes carried by a Neohabitat broadcast or reply.
+   * @param {Object} msg Elko message
+   */
+  apply(msg) {
+    if (msg.op in Movers && msg.noid !== undefined) {
+      var moved = Movers[msg.op](msg, this);
+      if (this.get(moved.noid) === null) {
+        log.debug('Move of unknown noid %s: %j', moved.noid, msg);
+        return;
+      }
+      this.move(moved.noid, moved.container, moved.fields, msg);
+      return;
+    }
+    if (!(msg.op in Updaters) || msg.noid === undefined) {
+      return;
+    }
+    var mod = this.getMod(msg.noid);
+    if (mod === null) {
+      log.debug('Change for unknown noid %s: %j', msg.noid, msg);
+      return;
+    }
+    this.change(msg.noid, Updaters[msg.op](msg), msg);
+  }
+
+  /**
+   * Sets mod fields on the object with the provided noid, notifying of any changes.
+   * @param {int} noid noid of a Habitat object
+   * @param {Object} fields mod fields to set
+   * @param {Object} msg optional Elko message which caused the change
+   */
+  change(noid, fields, msg) {
+    var obj = this.get(noid);
+    if (obj === null) {
+      return;
+    }
+    var mod = obj.mods[0];
+    var changes = {};
+    var previous = {};
+    var changed = false;
+    for (var field in fields) {
+      if (fields[field] !== undefined && mod[field] !== fields[field]) {
+        previous[field] = mod[field];
+        changes[field] = fields[field];
+        mod[field] = fields[field];
+        changed = true;
+      }
+    }
+    if (!changed) {
+      return;
+    }
+    var event = { noid: noid, obj: obj, msg: msg, changes: changes, previous: previous };
+    this.notify('objectChanged', event);
+    if (mod.type === 'Avatar' && ('x' in changes || 'y' in changes)) {
+      this.notify('avatarMoved', event);
+    }
+  }
+
+  /**
+   * Moves the object with the provided noid into a container, such as an Avatar's hands
+   * or the region itself, then sets mod fields on it, such as its position.
+   * @param {int} noid noid of a Habitat object
+   * @param {int} containerNoid noid of its new container
+   * @param {Object} fields optional mod fields to set
+   * @param {Object} msg optional Elko message which caused the move
+   */
+  move(noid, containerNoid, fields, msg) {
+    var obj = this.get(noid);
+    var containerRef = (containerNoid === this.getRegionNoid()) ? this.context :
+        (this.get(containerNoid) !== null ? this.get(containerNoid).ref : null);
+    if (obj === null || containerRef === null) {
+      return;
+    }
+    var previousContainer = this.getContainer(noid);
+    this.containers[noid] = containerRef;
+    if (previousContainer !== containerNoid) {
+      this.notify('objectChanged', {
+        noid: noid,
+        obj: obj,
+        msg: msg,
+        changes: { container: containerNoid },
+        previous: { container: previousContainer },
+      });
+    }
+    this.change(noid, fields || {}, msg);
+  }
+
+  /**
+   * Removes the object with the provided ref following a <tt>delete</tt> message.
+   * @param {string} ref Elko ref of the deleted object
+   * @param {Object} msg optional <tt>delete</tt> message
+   */
+  remove(ref, msg) {
+    if (!(ref in this.refs)) {
+      return;
+    }
+    var noid = this.refs[ref];
+    var obj = this.objects[noid];
+    delete this.refs[ref];
+    delete this.objects[noid];
+    delete this.containers[noid];
+    if (noid === this.myNoid) {
+      this.myNoid = -1;
+    }
+    var event = { noid: noid, obj: obj, msg: msg };
+    this.notify('objectRemoved', event);
+    if (obj.mods[0].type === 'Avatar') {
+      this.notify('avatarLeft', event);
+    }
+  }
+
+}
+
+
+module.exports = Region;
+module.exports.Compass = Compass;
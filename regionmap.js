@@ -0,0 +1,137 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const util = require('./util');
+
+
+/**
+ * What a HabiBot knows of the Habitat world beyond its current region: every region it
+ * has been in, keyed by context, with the exits leading out of each. Routes between
+ * regions are planned from this map, so only regions already visited, or loaded from
+ * an earlier map, can be crossed:
+ *
+ * <pre>
+ * {
+ *   "context-Downtown_5f": {
+ *     "context": "context-Downtown_5f",
+ *     "name": "Downtown 5f",
+ *     "exits": [
+ *       {"context": "context-Downtown_5e", "direction": "WEST", "side": "LEFT", "noid": null},
+ *       {"context": "context-Library", "direction": null, "side": null, "noid": 12}
+ *     ]
+ *   }
+ * }
+ * </pre>
+ */
+class RegionMap {
+
+  /**
+   * @param {Object} regions optional regions to start from, as returned by toJSON()
+   */
+  constructor(regions) {
+    this.regions = util.clone(regions || {});
+  }
+
+  /**
+   * Records the region a HabiBot is in, replacing what was known of it.
+   * @param {Region} region live model of the current region
+   * @returns {Object} the region's map entry, null if no region has been entered
+   */
+  learn(region) {
+    if (region.context === null) {
+      return null;
+    }
+    this.regions[region.context] = {
+      context: region.context,
+      name: region.name,
+      exits: region.getExits(),
+    };
+    return this.regions[region.context];
+  }
+
+  /**
+   * Returns what is known of the region with the provided context.
+   * @param {string} context context ref
+   * @returns {Object} map entry, null if the region has not been visited
+   */
+  get(context) {
+    return this.regions[context] || null;
+  }
+
+  /**
+   * Returns the context of a region, known by either its context or its name.
+   * @param {string} target context ref or region name, e.g. <tt>Downtown 5f</tt>
+   * @returns {string} context ref; unknown names are assumed to be contexts
+   */
+  resolve(target) {
+    if (target in this.regions) {
+      return target;
+    }
+    var lowerName = target.toLowerCase();
+    var scope = this;
+    var named = Object.keys(this.regions).filter((context) => {
+      var name = scope.regions[context].name;
+      return name && name.toLowerCase() === lowerName;
+    });
+    return (named.length > 0) ? named[0] : target;
+  }
+
+  /**
+   * Plans the shortest route between two regions across known exits.
+   * @param {string} from context the route starts in
+   * @param {string} to context of the destination
+   * @returns {Object[]} hops, each holding the <tt>from</tt> and <tt>to</tt> contexts and
+   *   the <tt>exit</tt> taken; empty if already there, null if no route is known
+   */
+  route(from, to) {
+    if (from === to) {
+      return [];
+    }
+    // Breadth-first, remembering the hop by which each region was first reached.
+    var reachedBy = {};
+    reachedBy[from] = null;
+    var frontier = [from];
+    while (frontier.length > 0) {
+      var context = frontier.shift();
+      var entry = this.regions[context];
+      if (entry === undefined) {
+        continue;
+      }
+      for (var i = 0; i < entry.exits.length; i++) {
+        var exit = entry.exits[i];
+        if (exit.context in reachedBy) {
+          continue;
+        }
+        reachedBy[exit.context] = { from: context, to: exit.context, exit: exit };
+        if (exit.context === to) {
+          return unwind(reachedBy, to);
+        }
+        frontier.push(exit.context);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns every known region, keyed by context, e.g. for saving as JSON.
+   * @returns {Object}
+   */
+  toJSON() {
+    return util.clone(this.regions);
+  }
+
+}
+
+
+function unwind(reachedBy, to) {
+  var hops = [];
+  for (var hop = reachedBy[to]; hop !== null; hop = reachedBy[hop.from]) {
+    hops.unshift(hop);
+  }
+  return hops;
+}
+
+
+module.exports = RegionMap;
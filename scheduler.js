@@ -0,0 +1,363 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const log = require('winston');
+const yaml = require('js-yaml');
+
+const cron = require('./cron');
+const greetscript = require('./greetscript');
+const util = require('./util');
+
+
+const DefaultSchedulerConfig = {
+  // IANA timezone of cron expressions and local times, such as America/Los_Angeles;
+  // the host's local time if unset. Events may set their own.
+  timezone: null,
+  // What happens to events falling due while the HabiBot is disconnected or not yet in
+  // a region: 'defer' runs them once it is back in a region, 'skip' drops them. Events
+  // may set their own.
+  whenAway: 'defer',
+  // Deferred events are dropped once they are this late.
+  maxDeferMillis: 600000,
+  // Milliseconds before each say command of an event.
+  lineDelay: 2000,
+  // Longest timer set, so that long waits stay accurate.
+  maxTimerMillis: 3600000,
+};
+
+// Local date and time, without a timezone offset: 2017-08-04 20:00 or 2017-08-04T20:00:00.
+const LocalTimePattern = /^(\d{4})-(\d\d)-(\d\d)[T ](\d\d):(\d\d)(?::(\d\d))?$/;
+
+
+/**
+ * Runs scheduled events with a HabiBot, such as announcing in-world events. Each event
+ * falls due on a cron expression or once, <tt>at</tt> a given time, and either says a
+ * message or runs a greeting script (see greetscript.js) of actions to perform:
+ *
+ * <pre>
+ * timezone: America/Los_Angeles
+ * events:
+ *   - name: fountain-party
+ *     cron: 0 20 * * FRI
+ *     script: |
+ *       walk 84 131
+ *       face forward
+ *       posture wave
+ *       say The Friday fountain party starts now!
+ *   - name: new-year
+ *     at: '2017-12-31 23:59'
+ *     say: [Happy New Year from {region.name}!]
+ *     whenAway: skip
+ * </pre>
+ *
+ * Messages and scripts may use the <tt>{event.name}</tt> and <tt>{region.name}</tt>
+ * placeholders. Events run as HabiBot sequences in the <tt>schedule</tt> group, so they
+ * are never mixed up with greetings and can be cancelled with
+ * <tt>bot.cancelActions('schedule')</tt>. Events falling due while the HabiBot is away
+ * are deferred or skipped, as set by <tt>whenAway</tt>.
+ */
+class Scheduler {
+
+  /**
+   * @param {HabiBot} bot HabiBot running the events
+   * @param {Object[]} events events, each with a <tt>name</tt>; a <tt>cron</tt>
+   *   expression or <tt>at</tt> time; <tt>say</tt>, a message or list of them, or
+   *   <tt>script</tt>, a greeting script, or <tt>scriptFile</tt>; and optionally its own
+   *   <tt>timezone</tt> and <tt>whenAway</tt>
+   * @param {Object} config optional settings overriding DefaultSchedulerConfig
+   * @throws {Error} naming the event if any is not valid
+   */
+  constructor(bot, events, config) {
+    var scope = this;
+    this.bot = bot;
+    this.config = Object.assign(util.clone(DefaultSchedulerConfig), config);
+    this.events = events.map((spec, i) => scope.parseEvent(spec, i));
+    // Events which fell due while the HabiBot was away, with when.
+    this.deferred = [];
+    this.timer = null;
+    this.started = false;
+    this.regionListener = this.runDeferred.bind(this);
+  }
+
+  /**
+   * Reads events from a YAML or JSON file, either a list of events or an object with
+   * <tt>events</tt> and optionally a <tt>timezone</tt>. Script files are found
+   * relative to the file.
+   * @param {string} filePath schedule file
+   * @returns {Object} <tt>{timezone, events}</tt>
+   * @throws {Error} if the file cannot be read or parsed
+   */
+  static loadFile(filePath) {
+    var doc;
+    try {
+      var text = fs.readFileSync(filePath).toString();
+      var ext = path.extname(filePath).toLowerCase();
+      doc = (ext === '.yml' || ext === '.yaml') ? yaml.safeLoad(text) : JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Could not load schedule ${filePath}: ${e.message}`);
+    }
+    if (Array.isArray(doc)) {
+      doc = { events: doc };
+    }
+    if (doc === null || typeof doc !== 'object' || !Array.isArray(doc.events)) {
+      throw new Error(`Schedule ${filePath} needs a list of events`);
+    }
+    return {
+      timezone: doc.timezone || null,
+      events: doc.events.map((spec) => {
+        if (spec !== null && typeof spec.scriptFile === 'string') {
+          return Object.assign({}, spec, {
+            scriptFile: path.resolve(path.dirname(filePath), spec.scriptFile),
+          });
+        }
+        return spec;
+      }),
+    };
+  }
+
+  /**
+   * Starts running events as they fall due.
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    var now = new Date();
+    this.events.forEach((event) => {
+      event.nextAt = firstTime(event, now);
+    });
+    this.bot.on('enteredRegion', this.regionListener);
+    this.arm();
+  }
+
+  /**
+   * Stops running events, dropping any deferred.
+   */
+  stop() {
+    if (!this.started) {
+      return;
+    }
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.deferred = [];
+    this.bot.off('enteredRegion', this.regionListener);
+  }
+
+  /**
+   * Lists the events yet to fall due, soonest first.
+   * @returns {Object[]} each with its <tt>name</tt> and the Date it is next due
+   *   <tt>at</tt>
+   */
+  upcoming() {
+    return this.events
+      .filter((event) => event.nextAt !== null && event.nextAt !== undefined)
+      .sort((a, b) => a.nextAt - b.nextAt)
+      .map((event) => ({ name: event.name, at: event.nextAt }));
+  }
+
+  /**
+   * Runs an event right away, whether or not it is due.
+   * @param {string} name name of the event
+   * @returns {Promise} settled once the event has run
+   */
+  runNow(name) {
+    var event = this.events.filter((e) => e.name === name)[0];
+    if (event === undefined) {
+      return Promise.reject(`No scheduled event named ${name}`);
+    }
+    return this.run(event);
+  }
+
+  // Private methods:
+
+  parseEvent(spec, index) {
+    var name = (spec !== null && typeof spec === 'object' && spec.name) ?
+        String(spec.name) : `event ${index + 1}`;
+    var fail = (message) => {
+      throw new Error(`Scheduled ${name}: ${message}`);
+    };
+    if (spec === null || typeof spec !== 'object') {
+      fail('must be an object');
+    }
+    var event = {
+      name: name,
+      timezone: spec.timezone || this.config.timezone,
+      whenAway: spec.whenAway || this.config.whenAway,
+      cron: null,
+      at: null,
+      commands: null,
+      nextAt: null,
+    };
+    if (event.timezone) {
+      try {
+        cron.checkTimezone(event.timezone);
+      } catch (e) {
+        fail(e.message);
+      }
+    }
+    if (event.whenAway !== 'defer' && event.whenAway !== 'skip') {
+      fail(`whenAway must be defer or skip, not "${event.whenAway}"`);
+    }
+
+    if ((spec.cron !== undefined) === (spec.at !== undefined)) {
+      fail('needs either a cron expression or an at time');
+    }
+    try {
+      if (spec.cron !== undefined) {
+        event.cron = cron.parse(spec.cron);
+      } else {
+        event.at = parseTime(spec.at, event.timezone);
+      }
+    } catch (e) {
+      fail(e.message);
+    }
+
+    var actions = ['say', 'script', 'scriptFile'].filter((key) => spec[key] !== undefined);
+    if (actions.length !== 1) {
+      fail('needs one of say, script or scriptFile');
+    }
+    try {
+      if (spec.say !== undefined) {
+        event.commands = greetscript.parse([].concat(spec.say)
+          .map((text) => `say ${text}`)
+          .join('\n'), name);
+      } else if (spec.script !== undefined) {
+        event.commands = greetscript.parse(String(spec.script), name);
+      } else {
+        event.commands = greetscript.parse(fs.readFileSync(spec.scriptFile).toString(),
+            spec.scriptFile);
+      }
+    } catch (e) {
+      fail(e.message);
+    }
+    return event;
+  }
+
+  arm() {
+    var scope = this;
+    clearTimeout(this.timer);
+    this.timer = null;
+    var upcoming = this.upcoming();
+    if (!this.started || upcoming.length === 0) {
+      return;
+    }
+    var delay = Math.max(upcoming[0].at.getTime() - Date.now(), 0);
+    this.timer = setTimeout(() => {
+      scope.timer = null;
+      scope.fireDue();
+    }, Math.min(delay, this.config.maxTimerMillis));
+  }
+
+  fireDue() {
+    var scope = this;
+    var now = new Date();
+    this.events
+      .filter((event) => event.nextAt !== null && event.nextAt <= now)
+      .forEach((event) => {
+        var dueAt = event.nextAt;
+        event.nextAt = (event.cron !== null) ? cron.next(event.cron, now, event.timezone) : null;
+        scope.fire(event, dueAt);
+      });
+    this.arm();
+  }
+
+  fire(event, dueAt) {
+    if (this.isPresent()) {
+      this.run(event);
+    } else if (event.whenAway === 'skip') {
+      log.info('Skipping scheduled %s, due %s, while away', event.name, dueAt.toISOString());
+    } else {
+      log.info('Deferring scheduled %s, due %s, until back in a region', event.name,
+          dueAt.toISOString());
+      this.deferred = this.deferred.filter((item) => item.event !== event);
+      this.deferred.push({ event: event, dueAt: dueAt });
+    }
+  }
+
+  runDeferred() {
+    var scope = this;
+    var now = Date.now();
+    var deferred = this.deferred;
+    this.deferred = [];
+    deferred.forEach((item) => {
+      if (now - item.dueAt.getTime() > scope.config.maxDeferMillis) {
+        log.info('Dropping scheduled %s, due %s, as too late', item.event.name,
+            item.dueAt.toISOString());
+        return;
+      }
+      scope.run(item.event);
+    });
+  }
+
+  isPresent() {
+    return this.bot.connected && this.bot.region.context !== null;
+  }
+
+  run(event) {
+    var scope = this;
+    var vars = {
+      event: { name: event.name },
+      region: { name: this.bot.region.name, context: this.bot.region.context },
+    };
+    log.info('Running scheduled %s', event.name);
+    return this.bot.sequence({
+      group: 'schedule',
+      key: `schedule:${event.name}`,
+      description: event.name,
+    }, (actions) => {
+      return greetscript.run(actions, event.commands, vars,
+          { lineDelay: scope.config.lineDelay });
+    }).catch((reason) => {
+      log.warn('Scheduled %s did not finish: %s', event.name, reason);
+    });
+  }
+
+}
+
+
+// Returns when an event first falls due after now, null if never.
+function firstTime(event, now) {
+  if (event.cron !== null) {
+    return cron.next(event.cron, now, event.timezone);
+  }
+  return (event.at > now) ? event.at : null;
+}
+
+
+// Parses an at time: a Date, epoch milliseconds, an ISO time with an offset, or a local
+// date and time in the timezone.
+function parseTime(at, timezone) {
+  if (at instanceof Date) {
+    return at;
+  }
+  if (typeof at === 'number') {
+    return new Date(at);
+  }
+  var match = LocalTimePattern.exec(String(at).trim());
+  if (match !== null) {
+    var numbers = match.slice(1).map((value) => (value !== undefined) ? parseInt(value, 10) : 0);
+    return cron.zonedTime({
+      year: numbers[0],
+      month: numbers[1],
+      day: numbers[2],
+      hour: numbers[3],
+      minute: numbers[4],
+      second: numbers[5],
+    }, timezone);
+  }
+  var time = Date.parse(at);
+  if (isNaN(time)) {
+    throw new Error(`"${at}" is not a time; use e.g. 2017-08-04 20:00`);
+  }
+  return new Date(time);
+}
+
+
+module.exports = Scheduler;
@@ -0,0 +1,99 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+var log = require('winston');
+
+const RtmClient = require('@slack/client').RtmClient;
+const CLIENT_EVENTS = require('@slack/client').CLIENT_EVENTS;
+const RTM_EVENTS = require('@slack/client').RTM_EVENTS;
+const MemoryDataStore = require('@slack/client').MemoryDataStore;
+
+
+/**
+ * ChatBridge adapter relaying to a Slack channel over the Slack RTM API.
+ */
+class SlackAdapter {
+
+  /**
+   * @param {Object} config <tt>token</tt>, a Slack bot token, and <tt>channel</tt>, the
+   *   name of a channel the bot is a member of
+   */
+  constructor(config) {
+    this.token = config.token;
+    this.channel = config.channel;
+    this.channelId = null;
+    this.client = null;
+  }
+
+  /**
+   * Connects to Slack.
+   * @param {function} receive <tt>function({user, text, self})</tt> called for each
+   *   message posted to the channel
+   * @returns {Promise} resolved once authenticated with Slack
+   */
+  start(receive) {
+    var scope = this;
+    this.client = new RtmClient(this.token, {
+      logLevel: 'error',
+      dataStore: new MemoryDataStore(),
+      autoReconnect: true,
+      autoMark: true,
+    });
+
+    this.client.on(RTM_EVENTS.MESSAGE, (message) => {
+      // Edits, joins and other subtypes are not chat.
+      if (message.channel !== scope.channelId || message.subtype !== undefined) {
+        return;
+      }
+      var user = scope.client.dataStore.getUserById(message.user);
+      receive({
+        user: (user !== undefined) ? user.name : message.user,
+        text: message.text,
+        self: message.user === scope.client.activeUserId || message.bot_id !== undefined,
+      });
+    });
+
+    return new Promise((resolve) => {
+      scope.client.on(CLIENT_EVENTS.RTM.AUTHENTICATED, (rtmStartData) => {
+        for (const c of rtmStartData.channels) {
+          if (c.is_member && c.name === scope.channel) {
+            scope.channelId = c.id;
+          }
+        }
+        if (scope.channelId === null) {
+          log.error('Slack bot is not a member of #%s', scope.channel);
+        }
+        resolve();
+      });
+      scope.client.start();
+    });
+  }
+
+  /**
+   * Posts text to the Slack channel.
+   * @param {string} text text to post
+   * @returns {Promise}
+   */
+  send(text) {
+    if (this.client === null || this.channelId === null) {
+      return Promise.reject(`Not connected to Slack channel #${this.channel}`);
+    }
+    return this.client.sendMessage(text, this.channelId);
+  }
+
+  /**
+   * Disconnects from Slack.
+   */
+  stop() {
+    if (this.client !== null) {
+      this.client.disconnect();
+      this.client = null;
+    }
+  }
+
+}
+
+
+module.exports = SlackAdapter;
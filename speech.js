@@ -0,0 +1,95 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const util = require('./util');
+
+
+// Characters the C64 client cannot show, with what to show instead. Accented letters
+// and other compatibility forms are reduced to plain letters without needing a mapping.
+const Replacements = {
+  '‘': "'",
+  '’': "'",
+  '‚': "'",
+  '“': '"',
+  '”': '"',
+  '„': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+  '\u00a0': ' ',
+  'ß': 'ss',
+  'æ': 'ae',
+  'Æ': 'AE',
+  'ø': 'o',
+  'Ø': 'O',
+  '€': 'EUR',
+  '£': 'L',
+  '`': "'",
+  '{': '(',
+  '}': ')',
+  '~': '-',
+  '\\': '/',
+  '|': '!',
+  '_': '-',
+  // Emoji the Habitat crowd would still recognize as emoticons.
+  '\u{1f600}': ':D',
+  '\u{1f603}': ':D',
+  '\u{1f604}': ':D',
+  '\u{1f642}': ':)',
+  '\u{1f60a}': ':)',
+  '☺': ':)',
+  '\u{1f609}': ';)',
+  '\u{1f61b}': ':P',
+  '\u{1f641}': ':(',
+  '☹': ':(',
+  '\u{1f622}': ":'(",
+  '❤': '<3',
+  '\u{1f44d}': '+1',
+};
+
+// Combining marks left behind once accented letters are decomposed.
+const CombiningMarks = /[\u0300-\u036f]/g;
+
+// Anything else outside printable ASCII.
+const Unprintable = /[^\x20-\x7e]/g;
+
+
+/**
+ * Reduces text to characters the C64 client can show in a speech balloon: quotes,
+ * dashes and common emoji are transliterated, accents are dropped, and anything else
+ * outside printable ASCII is left out, along with the extra whitespace that leaves.
+ * @param {string} text text to clean up
+ * @returns {string}
+ */
+function sanitize(text) {
+  var replaced = Array.from(String(text)).map((c) => {
+    return (c in Replacements) ? Replacements[c] : c;
+  }).join('');
+  return replaced.normalize('NFKD')
+    .replace(CombiningMarks, '')
+    .replace(/\s/g, ' ')
+    .replace(Unprintable, '')
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+
+/**
+ * Prepares text for speaking: sanitizes it, then word wraps it into utterances which
+ * each fit a speech balloon.
+ * @param {string} text text to speak
+ * @param {int} maxLength most characters a speech balloon holds
+ * @returns {string[]} utterances, none if nothing printable was left
+ */
+function utterances(text, maxLength) {
+  return util.splitText(sanitize(text), maxLength);
+}
+
+
+module.exports = Object.freeze({
+  Replacements: Replacements,
+  sanitize: sanitize,
+  utterances: utterances,
+});
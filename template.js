@@ -0,0 +1,157 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+// Marks where an expression starts and ends within a template.
+const Open = '{{';
+const Close = '}}';
+
+// Matches one segment of a path: a name, possibly dashed like a ref, or an array index.
+const SegmentPattern = /^(?:\.?([A-Za-z_$][\w$-]*)|\[(\d+)\])/;
+
+
+/**
+ * A template for a field of an Elko message, filled in from the HabiBot's state just
+ * before the message is sent. Expressions sit between <tt>{{</tt> and <tt>}}</tt> and
+ * are paths starting from a name the HabiBot knows, such as an Avatar's name or
+ * <tt>ME</tt>, with nested fields and array indices:
+ *
+ * <pre>
+ * new Template('{{randy.mods[0].x}}')              // Randy's x coordinate, as a number
+ * new Template('Randy is at {{randy.mods[0].x}}') // a string
+ * new Template('\\{{ is how expressions start')     // a literal {{
+ * </pre>
+ *
+ * A template made of a single expression keeps the type of its value; otherwise values
+ * are joined into a string. Text outside the delimiters, <tt>$</tt> included, is left
+ * as it is.
+ */
+class Template {
+
+  /**
+   * @param {string} source template text
+   * @throws {Error} if an expression is not closed or is not a valid path
+   */
+  constructor(source) {
+    this.source = source;
+    this.parts = parse(source);
+  }
+
+  /**
+   * Returns the paths of the template's expressions, as written.
+   * @returns {string[]}
+   */
+  references() {
+    return this.parts.filter((part) => typeof part !== 'string').map((part) => part.expression);
+  }
+
+  /**
+   * Fills in the template.
+   * @param {function} lookup <tt>function(name)</tt> returning the value a path starts
+   *   from, undefined if there is none
+   * @returns {*} the value of a lone expression, otherwise a string
+   * @throws {Error} naming the expression if any cannot be resolved
+   */
+  render(lookup) {
+    var scope = this;
+    var values = this.parts.map((part) => {
+      return (typeof part === 'string') ? part : scope.resolve(part, lookup);
+    });
+    if (values.length === 1 && typeof this.parts[0] !== 'string') {
+      return values[0];
+    }
+    return values.map((value, i) => {
+      var part = scope.parts[i];
+      if (typeof part !== 'string' && value !== null && typeof value === 'object') {
+        throw new Error(`Cannot put {{${part.expression}}} in text; it is not a value`);
+      }
+      return String(value);
+    }).join('');
+  }
+
+  toString() {
+    return this.source;
+  }
+
+  // Private methods:
+
+  resolve(part, lookup) {
+    var value = lookup(part.path[0]);
+    if (value === undefined) {
+      throw new Error(`Unresolved reference {{${part.expression}}}: ${part.path[0]} is not known`);
+    }
+    for (var i = 1; i < part.path.length; i++) {
+      var segment = part.path[i];
+      if (value === null || typeof value !== 'object' || !(segment in value)) {
+        throw new Error(`Unresolved reference {{${part.expression}}}: no ${segment} in ` +
+            part.expression.slice(0, part.offsets[i]));
+      }
+      value = value[segment];
+    }
+    return value;
+  }
+
+}
+
+
+// Splits template text into literal strings and parsed expressions.
+function parse(source) {
+  var parts = [];
+  var text = '';
+  var i = 0;
+  while (i < source.length) {
+    if (source.startsWith(`\\${Open}`, i)) {
+      text += Open;
+      i += Open.length + 1;
+      continue;
+    }
+    if (!source.startsWith(Open, i)) {
+      text += source.charAt(i);
+      i++;
+      continue;
+    }
+    var end = source.indexOf(Close, i + Open.length);
+    if (end === -1) {
+      throw new Error(`Unclosed ${Open} at ${i} in template: ${source}`);
+    }
+    if (text !== '') {
+      parts.push(text);
+      text = '';
+    }
+    parts.push(parseExpression(source.slice(i + Open.length, end).trim(), source));
+    i = end + Close.length;
+  }
+  if (text !== '' || parts.length === 0) {
+    parts.push(text);
+  }
+  return parts;
+}
+
+
+// Parses a path such as randy.mods[0].x into its segments, with where each starts.
+function parseExpression(expression, source) {
+  var path = [];
+  var offsets = [];
+  var rest = expression;
+  while (rest !== '') {
+    var match = SegmentPattern.exec(rest);
+    // Names follow a dot, all but the first; indices follow anything but the start.
+    var valid = (match !== null) && ((path.length === 0) ?
+        (match[1] !== undefined && rest.charAt(0) !== '.') :
+        (match[1] === undefined || rest.charAt(0) === '.'));
+    if (!valid) {
+      throw new Error(`Invalid expression {{${expression}}} in template: ${source}`);
+    }
+    offsets.push(expression.length - rest.length);
+    path.push((match[1] !== undefined) ? match[1] : parseInt(match[2], 10));
+    rest = rest.slice(match[0].length);
+  }
+  if (path.length === 0) {
+    throw new Error(`Empty expression in template: ${source}`);
+  }
+  return { expression: expression, path: path, offsets: offsets };
+}
+
+
+module.exports = Template;
@@ -0,0 +1,125 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const ActionQueue = require('../actionqueue');
+
+const Priority = ActionQueue.Priority;
+
+
+describe('ActionQueue', () => {
+  var queue;
+  var ran;
+
+  beforeEach(() => {
+    queue = new ActionQueue();
+    ran = [];
+  });
+
+  function action(name) {
+    return () => {
+      ran.push(name);
+      return name;
+    };
+  }
+
+  // Runs the steps of a sequence one after another, as a chain of HabiBot actions would.
+  function steps(names) {
+    return (sequence) => {
+      return names.reduce((chain, name) => {
+        return chain.then(() => queue.add(action(name), { sequence: sequence }));
+      }, Promise.resolve());
+    };
+  }
+
+  it('runs higher priorities first, then in order', () => {
+    return Promise.all([
+      queue.add(action('low'), { priority: Priority.LOW }),
+      queue.add(action('normal1')),
+      queue.add(action('high'), { priority: Priority.HIGH }),
+      queue.add(action('normal2')),
+    ]).then((results) => {
+      assert.deepEqual(results, ['low', 'normal1', 'high', 'normal2']);
+      assert.deepEqual(ran, ['high', 'normal1', 'normal2', 'low']);
+    });
+  });
+
+  it('never mixes up sequences, but runs single actions between their steps', () => {
+    var first = queue.addSequence(steps(['a1', 'a2', 'a3']));
+    var second = queue.addSequence(steps(['b1', 'b2']));
+    var interruption = first.then(() => null);
+    setImmediate(() => {
+      interruption = queue.add(action('answer'), { priority: Priority.HIGH });
+    });
+    return Promise.all([first, second])
+      .then(() => interruption)
+      .then(() => {
+        assert.deepEqual(ran.filter((name) => name !== 'answer'), ['a1', 'a2', 'a3', 'b1', 'b2']);
+        assert.ok(ran.indexOf('answer') < ran.indexOf('a3'), ran.join());
+      });
+  });
+
+  it('coalesces waiting actions and sequences sharing a key', () => {
+    var starts = 0;
+    var greet = (sequence) => {
+      starts++;
+      return queue.add(action('greet'), { sequence: sequence });
+    };
+    var results = [
+      queue.addSequence(greet, { key: 'greeting' }),
+      queue.addSequence(greet, { key: 'greeting' }),
+      queue.add(action('wave'), { key: 'wave' }),
+      queue.add(action('wave'), { key: 'wave' }),
+    ];
+    assert.strictEqual(results[0], results[1]);
+    return Promise.all(results)
+      .then(() => {
+        assert.equal(starts, 1);
+        assert.deepEqual(ran, ['greet', 'wave']);
+      });
+  });
+
+  it('cancels groups', () => {
+    var greeting = queue.addSequence((sequence) => {
+      return queue.add(action('g1'), { sequence: sequence })
+        .then(() => {
+          assert.equal(queue.cancel('greeting', 'Hushed'), 3);
+          return queue.add(action('g2'), { sequence: sequence });
+        });
+    }, { group: 'greeting' });
+    var waitingGreeting = queue.addSequence(steps(['w1']), { group: 'greeting' });
+    var wave = queue.add(action('wave'), { group: 'greeting' });
+    var other = queue.add(action('other'));
+    var outcomes = [greeting, waitingGreeting, wave, other].map((promise) => {
+      return promise.then(() => 'done', (reason) => reason);
+    });
+    return Promise.all(outcomes)
+      .then((results) => {
+        assert.deepEqual(results, ['Hushed', 'Hushed', 'Hushed', 'done']);
+        assert.deepEqual(ran, ['g1', 'other']);
+        assert.deepEqual(queue.pending(), []);
+      });
+  });
+
+  it('describes what is pending', () => {
+    var release;
+    var blocker = new Promise((resolve) => { release = resolve; });
+    queue.add(() => blocker, { description: 'WALK' });
+    queue.add(action('low'), { priority: Priority.LOW, group: 'idle' });
+    queue.addSequence(steps(['s1']), { key: 'greeting', description: 'greeting' });
+    return new Promise((resolve) => setImmediate(resolve))
+      .then(() => {
+        var pending = queue.pending();
+        assert.deepEqual(pending.map((entry) => [entry.kind, entry.description, entry.running]), [
+          ['action', 'WALK', true],
+          ['sequence', 'greeting', false],
+          ['action', null, false],
+        ]);
+        assert.equal(pending[2].group, 'idle');
+        assert.equal(queue.size(), 2);
+        release();
+      });
+  });
+});
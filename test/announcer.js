@@ -0,0 +1,86 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const announcer = require('../announcer');
+const MockElkoServer = require('../mockserver');
+const support = require('./support/bots');
+
+
+describe('announcer', () => {
+  const Files = {
+    config: path.join(os.tmpdir(), `habibots-announcer-${process.pid}.yml`),
+    schedule: path.join(os.tmpdir(), `habibots-schedule-${process.pid}.json`),
+    other: path.join(os.tmpdir(), `habibots-schedule-${process.pid}-other.json`),
+  };
+  var server;
+  var bot;
+
+  function soon(millis) {
+    return new Date(Date.now() + millis).toISOString();
+  }
+
+  beforeEach(() => {
+    server = new MockElkoServer();
+    return server.listen();
+  });
+
+  afterEach(() => {
+    bot.disconnect();
+    Object.keys(Files)
+      .filter((key) => fs.existsSync(Files[key]))
+      .forEach((key) => fs.unlinkSync(Files[key]));
+    return server.close();
+  });
+
+  function speech(text) {
+    return server.waitForMessage((msg) => msg.op === 'SPEAK' && msg.text === text);
+  }
+
+  it('reloads its schedule and settings when their files change, staying connected', () => {
+    fs.writeFileSync(Files.schedule, JSON.stringify([
+      { name: 'later', at: soon(3600000), say: 'Much later' },
+    ]));
+    fs.writeFileSync(Files.config, `scheduleFile: ${Files.schedule}\n`);
+    bot = announcer.createAnnouncer({
+      configFile: Files.config,
+      port: server.port(),
+      username: 'phil',
+      context: server.config.context,
+      lineDelay: 0,
+      watchInterval: 20,
+      botConfig: support.FastConfig,
+    });
+    bot.connect();
+    return bot.waitFor('enteredRegion')
+      .then(() => {
+        fs.writeFileSync(Files.schedule, JSON.stringify([
+          { name: 'party', at: soon(200), say: 'Party time!' },
+          { name: 'encore', at: soon(500), say: 'Encore!' },
+        ]));
+        return speech('Party time!');
+      })
+      .then(() => {
+        // Not valid, so the schedule above is kept.
+        fs.writeFileSync(Files.schedule, JSON.stringify([{ name: 'broken' }]));
+        return speech('Encore!');
+      })
+      .then(() => {
+        fs.writeFileSync(Files.other, JSON.stringify([
+          { name: 'finale', at: soon(200), say: 'Finale!' },
+        ]));
+        fs.writeFileSync(Files.config, `scheduleFile: ${Files.other}\n`);
+        return speech('Finale!');
+      })
+      .then(() => {
+        assert.equal(server.receivedOps('entercontext').length, 1);
+        assert.equal(server.receivedOps('SPEAK').length, 3);
+      });
+  });
+
+});
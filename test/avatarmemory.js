@@ -0,0 +1,118 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AvatarMemory = require('../avatarmemory');
+const MockElkoServer = require('../mockserver');
+const support = require('./support/bots');
+
+
+describe('AvatarMemory', () => {
+  var memoryPath;
+
+  beforeEach(() => {
+    memoryPath = path.join(os.tmpdir(), `habibots-avatars-${process.pid}.json`);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(memoryPath)) {
+      fs.unlinkSync(memoryPath);
+    }
+  });
+
+  it('records visits', () => {
+    var memory = new AvatarMemory(null);
+    assert.equal(memory.recordVisit('Randy', 'context-Downtown_5f', 1000), null);
+    var previous = memory.recordVisit('randy', 'context-Downtown_3b', 5000);
+    assert.equal(previous.visits, 1);
+    assert.equal(previous.lastSeen, 1000);
+    assert.deepEqual(memory.get('RANDY'), {
+      name: 'randy',
+      firstSeen: 1000,
+      lastSeen: 5000,
+      visits: 2,
+      regions: ['context-Downtown_5f', 'context-Downtown_3b'],
+    });
+    assert.ok(memory.hasMet('Randy'));
+    assert.ok(!memory.hasMet('chip'));
+  });
+
+  it('tells whether an Avatar was seen recently', () => {
+    var memory = new AvatarMemory(null);
+    memory.recordVisit('randy', 'context-Downtown_5f', 1000);
+    assert.ok(memory.seenWithin('randy', 500, 1200));
+    assert.ok(!memory.seenWithin('randy', 500, 1600));
+    assert.ok(!memory.seenWithin('chip', 500, 1200));
+  });
+
+  it('forgets Avatars', () => {
+    var memory = new AvatarMemory(null);
+    memory.recordVisit('randy', 'context-Downtown_5f');
+    assert.ok(memory.forget('Randy'));
+    assert.ok(!memory.forget('Randy'));
+    assert.equal(memory.get('randy'), null);
+  });
+
+  it('persists records across instances', () => {
+    var memory = new AvatarMemory(memoryPath);
+    memory.recordVisit('randy', 'context-Downtown_5f', 1000);
+    memory.recordVisit('chip', 'context-Downtown_5f', 2000);
+    memory.save();
+
+    var reloaded = new AvatarMemory(memoryPath);
+    assert.deepEqual(reloaded.all().map((record) => record.name), ['chip', 'randy']);
+    assert.equal(reloaded.get('randy').visits, 1);
+  });
+
+  it('rejects corrupt memory files', () => {
+    fs.writeFileSync(memoryPath, '{"avatars":');
+    assert.throws(() => new AvatarMemory(memoryPath), /Could not parse avatar memory/);
+  });
+
+  describe('with a server', () => {
+    var server;
+    var bot;
+
+    beforeEach(() => {
+      server = new MockElkoServer();
+      return server.listen().then(() => {
+        bot = support.newBot(server);
+      });
+    });
+
+    afterEach(() => {
+      bot.disconnect();
+      return server.close();
+    });
+
+    it('tracks Avatars present and arriving', () => {
+      var memory = new AvatarMemory(null);
+      var arrivals = [];
+      memory.track(bot, (bot, avatar, previous) => {
+        arrivals.push([avatar.name, previous === null ? 0 : previous.visits]);
+      });
+      server.addAvatar('chip');
+      return support.enterRegion(bot, server)
+        .then(() => {
+          assert.ok(memory.hasMet('chip'));
+          assert.ok(!memory.hasMet('phil'));
+          server.addAvatar('randy');
+          return bot.waitFor('APPEARING_$');
+        })
+        .then(() => {
+          server.addAvatar('chip');
+          return bot.waitFor('APPEARING_$');
+        })
+        .then(() => {
+          assert.deepEqual(arrivals, [['randy', 0], ['chip', 1]]);
+          assert.equal(memory.get('randy').regions[0], server.config.context);
+        });
+    });
+  });
+
+});
@@ -0,0 +1,248 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const ChatBridge = require('../bridge');
+const MockElkoServer = require('../mockserver');
+const WebhookAdapter = require('../webhookadapter');
+const support = require('./support/bots');
+
+
+/**
+ * Stands in for a chat service, recording what the bridge posts.
+ */
+class FakeAdapter {
+  constructor() {
+    this.sent = [];
+    this.receive = null;
+    this.stopped = false;
+  }
+
+  start(receive) {
+    this.receive = receive;
+    return Promise.resolve();
+  }
+
+  send(text) {
+    this.sent.push(text);
+    return Promise.resolve();
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+}
+
+
+function post(port, path, body, headers) {
+  return new Promise((resolve, reject) => {
+    var req = http.request({
+      method: 'POST',
+      host: '127.0.0.1',
+      port: port,
+      path: path,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+
+describe('ChatBridge', () => {
+  var server;
+  var bot;
+  var adapter;
+  var bridge;
+
+  beforeEach(() => {
+    server = new MockElkoServer();
+    adapter = new FakeAdapter();
+    return server.listen().then(() => {
+      bot = support.newBot(server, 'phil', { maxSpeechLength: 28 });
+      bridge = new ChatBridge(bot, adapter, {
+        nameMap: { randy: 'rfarmer' },
+        toChatRate: { maxEvents: 100, perMillis: 1000 },
+      });
+      return support.enterRegion(bot, server).then(() => bridge.start());
+    });
+  });
+
+  afterEach(() => {
+    bridge.stop();
+    bot.disconnect();
+    return server.close();
+  });
+
+  it('relays region speech to chat with mapped names', () => {
+    var randy = server.addAvatar('randy');
+    return bot.waitFor('APPEARING_$')
+      .then(() => {
+        server.speak(randy.mods[0].noid, 'Hello chat!');
+        return bot.waitFor('SPEAK$');
+      })
+      .then(() => {
+        assert.deepEqual(adapter.sent, ['rfarmer: Hello chat!']);
+      });
+  });
+
+  it('ignores its own speech and ESP', () => {
+    var randy = server.addAvatar('randy');
+    return bot.waitFor('APPEARING_$')
+      .then(() => {
+        server.sendAll({ type: 'broadcast', noid: randy.mods[0].noid, op: 'SPEAK$',
+          text: 'Psst', esp: 1 });
+        return bot.say('Hello region!');
+      })
+      .then(() => bot.wait(50))
+      .then(() => {
+        assert.deepEqual(adapter.sent, []);
+      });
+  });
+
+  it('relays chat to the region, split to fit', () => {
+    adapter.receive({ user: 'rfarmer', text: 'Hello from chat land!', self: false });
+    return server.waitForMessage((msg) => msg.op === 'SPEAK' && msg.text === 'land!')
+      .then(() => {
+        var lines = server.receivedOps('SPEAK').map((msg) => msg.text);
+        assert.deepEqual(lines, ['@randy: Hello from chat', 'land!']);
+      });
+  });
+
+  it('sends chat addressed TO:name over ESP', () => {
+    adapter.receive({ user: 'rfarmer', text: 'to:chip Need a hand with that?', self: false });
+    return server.waitForMessage('SPEAK')
+      .then((msg) => {
+        assert.equal(msg.esp, 1);
+        assert.equal(msg.text, 'TO:chip @randy: Need a hand');
+        return server.waitForMessage((m) => m.op === 'SPEAK' && m.text === 'TO:chip with that?');
+      });
+  });
+
+  it('relays ESP to chat only when asked to', () => {
+    var randy = server.addAvatar('randy');
+    return bot.waitFor('APPEARING_$')
+      .then(() => {
+        server.speakPrivately(randy.mods[0].noid, 'Help me!');
+        return bot.waitFor('privateMessage');
+      })
+      .then(() => {
+        assert.deepEqual(adapter.sent, []);
+        bridge.config.relayPrivate = true;
+        server.speakPrivately(randy.mods[0].noid, 'Anyone?');
+        return bot.waitFor('privateMessage');
+      })
+      .then(() => {
+        assert.deepEqual(adapter.sent, ['[ESP] rfarmer: Anyone?']);
+      });
+  });
+
+  it('does not relay its own chat messages back', () => {
+    return bridge.announce('New Avatar arrived: randy')
+      .then(() => {
+        adapter.receive({ user: 'habibots', text: 'Posted by the bot', self: true });
+        adapter.receive({ user: 'relay', text: 'New Avatar arrived: randy', self: false });
+        return bot.wait(50);
+      })
+      .then(() => {
+        assert.equal(server.receivedOps('SPEAK').length, 0);
+      });
+  });
+
+  it('rate limits relayed chat as the HabiBot\'s speech', () => {
+    bot.config.speechRate = { maxEvents: 1, perMillis: 60000, maxQueue: 1 };
+    ['One', 'Two', 'Three'].forEach((text) => {
+      adapter.receive({ user: 'chip', text: text, self: false });
+    });
+    return server.waitForMessage('SPEAK')
+      .then((msg) => {
+        assert.equal(msg.text, '@chip: One');
+        return bot.wait(50);
+      })
+      .then(() => {
+        assert.equal(server.receivedOps('SPEAK').length, 1);
+        assert.equal(bot.speechLimiter.pending(), 1);
+      });
+  });
+
+});
+
+
+describe('WebhookAdapter', () => {
+  var adapter;
+  var received;
+
+  beforeEach(() => {
+    received = [];
+    adapter = new WebhookAdapter({ port: 0, token: 's3cret' });
+    return adapter.start((message) => received.push(message));
+  });
+
+  afterEach(() => {
+    adapter.stop();
+  });
+
+  it('accepts incoming messages', () => {
+    var headers = { 'X-Bridge-Token': 's3cret' };
+    return post(adapter.port(), '/messages', { user: 'chip', text: 'Hi' }, headers)
+      .then((status) => {
+        assert.equal(status, 204);
+        return post(adapter.port(), '/messages', { user: 'phil', text: 'Echo',
+          source: 'habibots' }, headers);
+      })
+      .then(() => {
+        assert.deepEqual(received, [
+          { user: 'chip', text: 'Hi', self: false },
+          { user: 'phil', text: 'Echo', self: true },
+        ]);
+      });
+  });
+
+  it('rejects bad requests', () => {
+    var headers = { 'X-Bridge-Token': 's3cret' };
+    return Promise.all([
+      post(adapter.port(), '/messages', { user: 'chip', text: 'Hi' }),
+      post(adapter.port(), '/elsewhere', { user: 'chip', text: 'Hi' }, headers),
+      post(adapter.port(), '/messages', '{"user":', headers),
+      post(adapter.port(), '/messages', { text: 'Hi' }, headers),
+    ]).then((statuses) => {
+      assert.deepEqual(statuses, [401, 404, 400, 400]);
+      assert.deepEqual(received, []);
+    });
+  });
+
+  it('posts outgoing messages', () => {
+    var posted = [];
+    var target = http.createServer((req, res) => {
+      var body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        posted.push(JSON.parse(body));
+        res.writeHead(posted.length === 1 ? 200 : 500);
+        res.end();
+      });
+    });
+    return new Promise((resolve) => target.listen(0, '127.0.0.1', resolve))
+      .then(() => {
+        var sender = new WebhookAdapter({ url: `http://127.0.0.1:${target.address().port}/hook` });
+        return sender.send('Hello')
+          .then(() => sender.send('Again').then(() => assert.fail('should reject'), (reason) => {
+            assert.ok(/answered 500/.test(reason));
+          }));
+      })
+      .then(() => {
+        target.close();
+        assert.deepEqual(posted, [
+          { source: 'habibots', text: 'Hello' },
+          { source: 'habibots', text: 'Again' },
+        ]);
+      });
+  });
+
+});
@@ -0,0 +1,116 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cartographer = require('../cartographer');
+const MockElkoServer = require('../mockserver');
+const support = require('./support/bots');
+
+
+describe('cartographer', () => {
+  var server;
+  var bot;
+
+  beforeEach(() => {
+    server = new MockElkoServer({
+      neighbors: ['', 'context-Downtown_5g', '', ''],
+      regions: {
+        'context-Downtown_5g': {
+          name: 'Downtown 5g',
+          neighbors: ['context-Downtown_4g', '', '', 'context-Downtown_5f'],
+        },
+        'context-Downtown_4g': {
+          name: 'Downtown 4g',
+          neighbors: ['', '', 'context-Downtown_5g', ''],
+        },
+      },
+    });
+    server.addObject('Vendo_front', { x: 100, y: 140 }, 'Vendo');
+    server.addObject('ATM', { x: 40, y: 130 }, 'ATM', 'context-Downtown_4g');
+    server.addObject('Tree', { x: 60, y: 150 });
+    return server.listen();
+  });
+
+  afterEach(() => {
+    bot.disconnect();
+    return server.close();
+  });
+
+  it('maps every reachable region', () => {
+    bot = support.newBot(server);
+    var mapper = new cartographer.Cartographer(bot, { settleDelay: 0 });
+    return support.enterRegion(bot, server)
+      .then(() => mapper.crawl())
+      .then((map) => {
+        assert.equal(map.start, 'context-Downtown_5f');
+        assert.deepEqual(Object.keys(map.regions).sort(), [
+          'context-Downtown_4g', 'context-Downtown_5f', 'context-Downtown_5g',
+        ]);
+        var downtown5g = map.regions['context-Downtown_5g'];
+        assert.equal(downtown5g.name, 'Downtown 5g');
+        assert.deepEqual(downtown5g.neighbors, {
+          NORTH: 'context-Downtown_4g',
+          WEST: 'context-Downtown_5f',
+        });
+        assert.deepEqual(map.regions['context-Downtown_5f'].objects.map((obj) => obj.name), ['Vendo']);
+        var atm = map.regions['context-Downtown_4g'].objects[0];
+        assert.deepEqual([atm.type, atm.x, atm.y], ['ATM', 40, 130]);
+        assert.deepEqual(map.unreachable, {});
+
+        var dot = mapper.toDot();
+        assert.ok(dot.indexOf('"context-Downtown_4g" [label="Downtown 4g\\nATM (40, 130)"];') !== -1);
+        assert.ok(dot.indexOf('"context-Downtown_5f" -> "context-Downtown_5g" [label="EAST"];') !== -1);
+      });
+  });
+
+  it('writes the map as JSON and DOT', () => {
+    var base = path.join(os.tmpdir(), `habibots-map-${process.pid}`);
+    bot = cartographer.createCartographer({
+      port: server.port(),
+      username: 'phil',
+      context: server.config.context,
+      jsonFile: `${base}.json`,
+      dotFile: `${base}.dot`,
+      maxRegions: 2,
+      settleDelay: 0,
+      botConfig: support.FastConfig,
+    });
+    var done = new Promise((resolve) => bot.on('disconnected', resolve));
+    bot.connect();
+    return done.then(() => {
+      var map = JSON.parse(fs.readFileSync(`${base}.json`).toString());
+      assert.equal(Object.keys(map.regions).length, 2);
+      assert.ok(/^digraph habitat \{/.test(fs.readFileSync(`${base}.dot`).toString()));
+      fs.unlinkSync(`${base}.json`);
+      fs.unlinkSync(`${base}.dot`);
+    });
+  });
+
+  it('takes its settings from a config file, refusing invalid ones', () => {
+    var base = path.join(os.tmpdir(), `habibots-map-${process.pid}`);
+    fs.writeFileSync(`${base}.yml`, `jsonFile: ${base}.json\nmaxRegions: 1\nsettleDelay: 0\n`);
+    assert.throws(() => cartographer.createCartographer({ configFile: `${base}.yml`, maxRegions: 'lots' }),
+        /maxRegions: expected a number, not "lots" \(from options\)/);
+
+    bot = cartographer.createCartographer({
+      configFile: `${base}.yml`,
+      port: server.port(),
+      username: 'phil',
+      context: server.config.context,
+      botConfig: support.FastConfig,
+    });
+    var done = new Promise((resolve) => bot.on('disconnected', resolve));
+    bot.connect();
+    return done.then(() => {
+      var map = JSON.parse(fs.readFileSync(`${base}.json`).toString());
+      assert.equal(Object.keys(map.regions).length, 1);
+      fs.unlinkSync(`${base}.json`);
+      fs.unlinkSync(`${base}.yml`);
+    });
+  });
+});
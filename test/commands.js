@@ -0,0 +1,164 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const CommandRouter = require('../commands');
+const HabiBot = require('../habibot');
+
+
+function frame(msg) {
+  return JSON.stringify(msg) + '\n\n';
+}
+
+function makeAvatar(name, noid, you) {
+  return frame({
+    to: 'context-Downtown_5f',
+    op: 'make',
+    you: you,
+    obj: { ref: `user-${name}-${1000 + noid}`, name: name, mods: [{ type: 'Avatar', noid: noid }] },
+  });
+}
+
+
+describe('CommandRouter', () => {
+  var bot;
+  var router;
+  var said;
+  var ran;
+
+  var whispered;
+
+  beforeEach(() => {
+    bot = new HabiBot('127.0.0.1', 1337, 'phil');
+    said = [];
+    ran = [];
+    whispered = [];
+    bot.say = (text) => {
+      said.push(text);
+      return Promise.resolve();
+    };
+    bot.sayPrivately = (target, text) => {
+      whispered.push([target, text]);
+      return Promise.resolve();
+    };
+    bot.processData(makeAvatar('phil', 1, true) + makeAvatar('randy', 2) +
+        makeAvatar('chip', 3));
+    router = new CommandRouter(bot, { admins: ['Chip'] });
+    router.command('where', {
+      description: 'Tells you where to find a place.',
+      aliases: ['find'],
+      args: [{ name: 'place', type: 'rest' }],
+      handler: (ctx) => ran.push([ctx.name, ctx.args, ctx.avatar.name]),
+    });
+    router.command('walk', {
+      args: [{ name: 'x', type: 'int' }, { name: 'y', type: 'int', optional: true }],
+      handler: (ctx) => ran.push([ctx.name, ctx.args]),
+    });
+    router.command('kick', {
+      args: [{ name: 'avatar' }],
+      permission: 'admin',
+      handler: (ctx) => ran.push([ctx.name, ctx.args]),
+    });
+  });
+
+  it('recognizes prefixed and addressed commands', () => {
+    return Promise.all([
+      router.dispatch('!where the fountain', 2),
+      router.dispatch('phil, where is the fountain?', 2),
+      router.dispatch('@Phil find "the bank"', 2),
+      router.dispatch('phil is a nice bot', 2),
+      router.dispatch('where is the fountain', 2),
+    ]).then(() => {
+      assert.deepEqual(ran, [
+        ['where', { place: 'the fountain' }, 'randy'],
+        ['where', { place: 'is the fountain?' }, 'randy'],
+        ['where', { place: '"the bank"' }, 'randy'],
+      ]);
+    });
+  });
+
+  it('treats private messages as commands', () => {
+    return router.dispatch('where the fountain', 2, true)
+      .then(() => assert.deepEqual(ran, [['where', { place: 'the fountain' }, 'randy']]));
+  });
+
+  it('parses typed arguments', () => {
+    return router.dispatch('!walk 84 131', 2)
+      .then(() => router.dispatch('!walk 84', 2))
+      .then(() => router.dispatch('!walk left', 2))
+      .then(() => {
+        assert.deepEqual(ran, [['walk', { x: 84, y: 131 }], ['walk', { x: 84 }]]);
+        assert.deepEqual(said, ['x must be a number. Usage: !walk <x> [y]']);
+      });
+  });
+
+  it('restricts admin commands', () => {
+    return router.dispatch('!kick randy', 2)
+      .then(() => router.dispatch('!kick randy', 3))
+      .then(() => {
+        assert.deepEqual(ran, [['kick', { avatar: 'randy' }]]);
+        assert.deepEqual(said, ['Sorry, only admins may use !kick.']);
+      });
+  });
+
+  it('enforces per-Avatar cooldowns', () => {
+    router.command('joke', { cooldown: 60000, handler: (ctx) => ran.push(ctx.avatar.name) });
+    return router.dispatch('!joke', 2)
+      .then(() => router.dispatch('!joke', 3))
+      .then(() => router.dispatch('!joke', 2))
+      .then(() => {
+        assert.deepEqual(ran, ['randy', 'chip']);
+        assert.deepEqual(said, ['Please wait 60s to use !joke again.']);
+      });
+  });
+
+  it('generates help text', () => {
+    return router.dispatch('!help', 2)
+      .then(() => router.dispatch('!help', 3))
+      .then(() => router.dispatch('phil: help where', 2))
+      .then(() => router.dispatch('!dance', 2))
+      .then(() => router.dispatch('!!!', 2))
+      .then(() => router.dispatch('phil, dance', 2))
+      .then(() => {
+        assert.deepEqual(said, [
+          'Commands: !help, !walk, !where. Say !help <command> for more.',
+          'Commands: !help, !kick, !walk, !where. Say !help <command> for more.',
+          '!where <place...> - Tells you where to find a place.',
+          'I don\'t know "dance". Say !help for commands.',
+        ]);
+      });
+  });
+
+  it('routes commands spoken in the region, ignoring the HabiBot itself', () => {
+    bot.processData(frame({ type: 'broadcast', op: 'SPEAK$', noid: 1, text: '!where the bank' }) +
+        frame({ type: 'broadcast', op: 'SPEAK$', noid: 2, text: '!where the fountain' }));
+    return new Promise((resolve) => setImmediate(resolve)).then(() => {
+      assert.deepEqual(ran, [['where', { place: 'the fountain' }, 'randy']]);
+    });
+  });
+
+  it('answers ESP privately', () => {
+    router.command('secret', {
+      handler: (ctx) => ctx.reply('Only you can hear this.'),
+    });
+    router.command('psst', {
+      handler: (ctx) => ctx.replyPrivately('Just between us.'),
+    });
+    bot.processData(frame({ type: 'broadcast', op: 'SPEAK$', noid: 2, text: 'secret', esp: 1 }) +
+        frame({ type: 'broadcast', op: 'SPEAK$', noid: 3, text: '!secret' }) +
+        frame({ type: 'broadcast', op: 'SPEAK$', noid: 3, text: '!psst' }));
+    return new Promise((resolve) => setImmediate(resolve))
+      .then(() => router.dispatch('!secret', 42, true, 'stu'))
+      .then(() => {
+        assert.deepEqual(said, ['Only you can hear this.']);
+        assert.deepEqual(whispered, [
+          ['randy', 'Only you can hear this.'],
+          ['chip', 'Just between us.'],
+          ['stu', 'Only you can hear this.'],
+        ]);
+      });
+  });
+
+});
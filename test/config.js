@@ -0,0 +1,111 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../config');
+
+
+describe('config', () => {
+  const Schema = {
+    admins: { type: 'list', default: [] },
+    lineDelay: { type: 'number', default: 2000 },
+    slackToken: { type: 'string', default: '', secret: true },
+    watch: { type: 'boolean', default: true },
+    whenAway: { type: 'string', default: 'defer', choices: ['defer', 'skip'] },
+  };
+  var files = [];
+
+  function writeFile(name, text) {
+    var file = path.join(os.tmpdir(), `habibots-${process.pid}-${name}`);
+    fs.writeFileSync(file, text);
+    files.push(file);
+    return file;
+  }
+
+  afterEach(() => {
+    files.forEach((file) => fs.unlinkSync(file));
+    files = [];
+  });
+
+  it('layers defaults, the config file, the environment and options', () => {
+    var file = writeFile('settings.yml', 'lineDelay: 500\nadmins: [randy]\nport: 2018\n');
+    var settings = config.load(Schema, {
+      options: { configFile: file, watch: 'off', timezone: 'UTC' },
+      env: { HABIBOTS_LINE_DELAY: '250', HABIBOTS_SLACK_TOKEN: 'xoxb-secret' },
+    });
+    assert.equal(settings.lineDelay, 250);
+    assert.deepEqual(settings.admins, ['randy']);
+    assert.equal(settings.port, 2018);
+    assert.equal(settings.host, '127.0.0.1');
+    assert.equal(settings.slackToken, 'xoxb-secret');
+    assert.strictEqual(settings.watch, false);
+    assert.equal(settings.configFile, file);
+    // Options meant for other behaviors are ignored.
+    assert.equal(settings.timezone, undefined);
+
+    settings = config.load(Schema, {
+      options: {},
+      env: { HABIBOTS_CONFIG_FILE: file, HABIBOTS_ADMINS: 'sue, bob' },
+    });
+    assert.equal(settings.lineDelay, 500);
+    assert.deepEqual(settings.admins, ['sue', 'bob']);
+  });
+
+  it('reports every invalid setting with its source, keeping secrets out', () => {
+    var file = writeFile('settings.json', JSON.stringify({ lineDelai: 500, watch: 'maybe' }));
+    assert.throws(() => config.load(Schema, {
+      options: { configFile: file, slackToken: { token: 'xoxb-secret' } },
+      env: { HABIBOTS_WHEN_AWAY: 'later', HABIBOTS_PORT: 'http' },
+    }), (err) => {
+      var lines = err.message.split('\n').map((line) => line.trim());
+      assert.deepEqual(lines, [
+        'Invalid settings:',
+        `Unknown setting "lineDelai" (from ${file})`,
+        `watch: expected true or false, not "maybe" (from ${file})`,
+        'port: expected a number, not "http" (from environment HABIBOTS_PORT)',
+        'slackToken: expected text (from options)',
+        'whenAway: must be one of defer, skip',
+      ]);
+      return true;
+    });
+    assert.throws(() => config.load({ greetingFile: { type: 'string', default: null, required: true } },
+        { env: {} }), /greetingFile: required; set it in a config file, as HABIBOTS_GREETING_FILE or as --greetingFile/);
+    assert.throws(() => config.load(Schema, { options: { configFile: '/nonexistent.yml' }, env: {} }),
+        /Could not load settings from \/nonexistent\.yml/);
+  });
+
+  it('redacts secrets and finds changed settings', () => {
+    var settings = config.load(Schema, { options: { slackToken: 'xoxb-secret' }, env: {} });
+    var redacted = config.redact(settings, Schema);
+    assert.equal(redacted.slackToken, '********');
+    assert.equal(settings.slackToken, 'xoxb-secret');
+    assert.equal(JSON.stringify(redacted).indexOf('xoxb'), -1);
+
+    var changed = config.load(Schema, { options: { admins: 'randy', lineDelay: 2000 }, env: {} });
+    assert.deepEqual(config.changes(settings, changed), ['admins', 'slackToken']);
+  });
+
+  it('picks the options given on the command line', () => {
+    var argv = require('yargs')([]);
+    config.addOptions(argv, Schema);
+    var options = config.cliOptions(argv.parse(['--lineDelay', '100', '-u', 'phil']), Schema);
+    assert.deepEqual(options, { lineDelay: 100, username: 'phil' });
+  });
+
+  it('watches files for changes', () => {
+    var file = writeFile('watched.txt', 'before');
+    return new Promise((resolve) => {
+      var watcher = config.watchFile(file, (changed) => {
+        watcher.close();
+        assert.equal(changed, file);
+        resolve();
+      }, 20);
+      setTimeout(() => fs.writeFileSync(file, 'after, longer'), 50);
+    });
+  });
+});
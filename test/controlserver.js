@@ -0,0 +1,132 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const ControlServer = require('../controlserver');
+const MockElkoServer = require('../mockserver');
+const support = require('./support/bots');
+
+
+describe('ControlServer', () => {
+  var server;
+  var bot;
+  var control;
+  var reloads;
+
+  function call(method, path, body, token) {
+    return new Promise((resolve, reject) => {
+      var req = http.request({
+        method: method,
+        host: '127.0.0.1',
+        port: control.port(),
+        path: path,
+        headers: { Authorization: `Bearer ${token === undefined ? 's3cret' : token}` },
+      }, (res) => {
+        var text = '';
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+      });
+      req.on('error', reject);
+      req.end(body !== undefined ? JSON.stringify(body) : undefined);
+    });
+  }
+
+  beforeEach(() => {
+    server = new MockElkoServer();
+    reloads = 0;
+    return server.listen()
+      .then(() => {
+        bot = support.newBot(server);
+        control = new ControlServer({ token: 's3cret' });
+        control.addBot('phil', bot, { reload: () => reloads++ });
+        return control.start();
+      })
+      .then(() => support.enterRegion(bot, server));
+  });
+
+  afterEach(() => {
+    control.stop();
+    bot.disconnect();
+    return server.close();
+  });
+
+  it('requires a token', () => {
+    assert.throws(() => new ControlServer({}), /needs a token/);
+    return Promise.all([
+      call('GET', '/status', undefined, 'wrong'),
+      call('GET', '/status', undefined, ''),
+    ]).then((responses) => {
+      assert.deepEqual(responses.map((r) => r.status), [401, 401]);
+    });
+  });
+
+  it('reports bot status', () => {
+    server.addAvatar('randy');
+    return bot.waitFor('APPEARING_$')
+      .then(() => call('GET', '/status'))
+      .then((res) => {
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.bots, [{
+          name: 'phil',
+          username: 'phil',
+          connected: true,
+          context: server.config.context,
+          regionName: server.config.regionName,
+          avatars: ['randy'],
+          queueDepth: 0,
+        }]);
+        return call('GET', '/bots/phil');
+      })
+      .then((res) => {
+        assert.equal(res.body.name, 'phil');
+        return call('GET', '/bots/chip');
+      })
+      .then((res) => {
+        assert.equal(res.status, 404);
+        return call('GET', '/bots/%E0');
+      })
+      .then((res) => {
+        assert.deepEqual(res, { status: 400, body: { error: 'Bad bot name' } });
+      });
+  });
+
+  it('carries out actions', () => {
+    return call('POST', '/bots/phil/say', { text: 'Hello from HTTP' })
+      .then((res) => {
+        assert.deepEqual(res, { status: 200, body: { ok: true } });
+        assert.equal(server.receivedOps('SPEAK')[0].text, 'Hello from HTTP');
+        return call('POST', '/bots/phil/walk', { x: 84, y: 131 });
+      })
+      .then((res) => {
+        assert.equal(res.status, 200);
+        var walk = server.receivedOps('WALK')[0];
+        assert.deepEqual([walk.x, walk.y], [84, 131]);
+        return call('POST', '/bots/phil/posture', { posture: 'wave' });
+      })
+      .then((res) => {
+        assert.equal(res.status, 200);
+        return call('POST', '/bots/phil/reload');
+      })
+      .then((res) => {
+        assert.equal(res.status, 200);
+        assert.equal(reloads, 1);
+      });
+  });
+
+  it('rejects invalid actions', () => {
+    return Promise.all([
+      call('POST', '/bots/phil/walk', { x: 'left' }),
+      call('POST', '/bots/phil/face', { direction: 'up' }),
+      call('POST', '/bots/phil/dance', {}),
+      call('GET', '/bots/phil/say'),
+    ]).then((responses) => {
+      assert.deepEqual(responses.map((r) => r.status), [400, 500, 404, 405]);
+      assert.equal(responses[0].body.error, '"x" must be a number');
+      assert.equal(responses[1].body.error, 'Invalid direction: up');
+    });
+  });
+
+});
@@ -0,0 +1,55 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const cron = require('../cron');
+
+
+describe('cron', () => {
+
+  function next(expression, after, timezone) {
+    return cron.next(cron.parse(expression), new Date(after), timezone).toISOString();
+  }
+
+  it('finds the next matching minute', () => {
+    assert.equal(next('*/15 * * * *', '2017-08-04T10:07:30Z', 'UTC'), '2017-08-04T10:15:00.000Z');
+    assert.equal(next('0 9-17/4 * * *', '2017-08-04T10:00:00Z', 'UTC'), '2017-08-04T13:00:00.000Z');
+    assert.equal(next('@daily', '2017-08-04T10:00:00Z', 'UTC'), '2017-08-05T00:00:00.000Z');
+    assert.equal(next('30 12 1,15 JAN,jul *', '2017-08-04T10:00:00Z', 'UTC'), '2018-01-01T12:30:00.000Z');
+  });
+
+  it('is always later than the time given', () => {
+    assert.equal(next('0 20 * * *', '2017-08-04T20:00:00Z', 'UTC'), '2017-08-05T20:00:00.000Z');
+  });
+
+  it('matches either day when both are restricted, as cron does', () => {
+    // Friday the 4th, then the 13th or a Friday.
+    assert.equal(next('0 0 13 * FRI', '2017-08-04T01:00:00Z', 'UTC'), '2017-08-11T00:00:00.000Z');
+    assert.equal(next('0 0 * * 7', '2017-08-04T01:00:00Z', 'UTC'), '2017-08-06T00:00:00.000Z');
+  });
+
+  it('works in timezones, across daylight saving changes', () => {
+    // 8pm on Fridays in Los Angeles, in summer and in winter time.
+    assert.equal(next('0 20 * * FRI', '2017-08-01T00:00:00Z', 'America/Los_Angeles'), '2017-08-05T03:00:00.000Z');
+    assert.equal(next('0 20 * * FRI', '2017-11-05T00:00:00Z', 'America/Los_Angeles'), '2017-11-11T04:00:00.000Z');
+    // Just after clocks go forward on 2017-03-26 in Berlin.
+    assert.equal(next('30 3 * * *', '2017-03-25T12:00:00Z', 'Europe/Berlin'), '2017-03-26T01:30:00.000Z');
+  });
+
+  it('converts local times in a timezone', () => {
+    var time = cron.zonedTime({ year: 2017, month: 12, day: 31, hour: 23, minute: 59 }, 'America/New_York');
+    assert.equal(time.toISOString(), '2018-01-01T04:59:00.000Z');
+  });
+
+  it('rejects invalid expressions and timezones', () => {
+    assert.throws(() => cron.parse('* * * *'), /needs 5 fields, not 4/);
+    assert.throws(() => cron.parse('60 * * * *'), /minute 60 is not within 0-59/);
+    assert.throws(() => cron.parse('0 0 * FOO *'), /month "FOO" is not a number or name/);
+    assert.throws(() => cron.parse('0 17-9 * * *'), /hour range "17-9" runs backwards/);
+    assert.throws(() => cron.parse('0 0 * * 1/0'), /step must be at least 1/);
+    assert.throws(() => cron.checkTimezone('Mars/Olympus_Mons'), /Unknown timezone "Mars\/Olympus_Mons"/);
+    assert.equal(cron.next(cron.parse('0 0 30 2 *'), new Date(), 'UTC'), null);
+  });
+});
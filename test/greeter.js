@@ -0,0 +1,298 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const greeter = require('../greeter');
+const MockElkoServer = require('../mockserver');
+const support = require('./support/bots');
+
+
+const GreetingFile = path.join(__dirname, '..', 'assets', 'greeting.txt');
+const GreetingScript = path.join(__dirname, '..', 'assets', 'greeting.greet');
+
+
+describe('greeter', () => {
+  var server;
+  var bot;
+
+  function createGreeter(options) {
+    bot = greeter.createGreeter(Object.assign({
+      port: server.port(),
+      username: 'phil',
+      context: server.config.context,
+      greetingFile: GreetingFile,
+      lineDelay: 0,
+      botConfig: support.FastConfig,
+    }, options));
+  }
+
+  beforeEach(() => {
+    server = new MockElkoServer({ startGhosted: true });
+    return server.listen().then(() => createGreeter());
+  });
+
+  afterEach(() => {
+    bot.disconnect();
+    return server.close();
+  });
+
+  function postures() {
+    return server.receivedOps('POSTURE').map((msg) => msg.pose);
+  }
+
+  it('corporates, takes its place and says hello upon entering the region', () => {
+    bot.connect();
+    return server.waitForMessage('SPEAK')
+      .then((msg) => {
+        assert.equal(msg.text, "Hey there! I'm Phil, the greeting bot!");
+        assert.equal(server.receivedOps('entercontext')[0].context, server.config.context);
+        assert.equal(server.receivedOps('CORPORATE').length, 1);
+        var walk = server.receivedOps('WALK')[0];
+        assert.deepEqual([walk.x, walk.y], [84, 131]);
+        // Faces left, waves, then faces forward.
+        assert.deepEqual(postures(), [254, 141, 146]);
+      });
+  });
+
+  it('enters its last context again after reconnecting without reenterContext', () => {
+    bot.disconnect();
+    createGreeter({
+      botConfig: Object.assign({}, support.FastConfig, {
+        shouldReconnect: true,
+        reconnectBaseDelay: 10,
+        reenterContext: false,
+      }),
+    });
+    bot.connect();
+    return server.waitForMessage('entercontext')
+      .then(() => server.waitForMessage('SPEAK'))
+      .then(() => {
+        server.dropClients();
+        return server.waitForMessage('entercontext');
+      })
+      .then((msg) => {
+        assert.equal(msg.context, server.config.context);
+        assert.equal(server.receivedOps('entercontext').length, 2);
+      });
+  });
+
+  it('faces, waves at and greets arriving Avatars', () => {
+    bot.connect();
+    return server.waitForMessage('SPEAK')
+      .then(() => {
+        server.addAvatar('randy', { x: 100 });
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /tiny\.cc/.test(msg.text));
+      })
+      .then(() => {
+        var lines = server.receivedOps('SPEAK').slice(1).map((msg) => msg.text);
+        assert.deepEqual(lines, [
+          'Hey there, welcome to Habitat!',
+          "I'm Phil, the friendly Habitat welcome bot.",
+          'Visit tiny.cc/newtohabitat to get started.',
+        ]);
+        // Faces right towards randy, waves, then faces forward.
+        assert.deepEqual(postures().slice(3), [255, 141, 146]);
+      });
+  });
+
+  function greetRandyTwice() {
+    bot.connect();
+    return server.waitForMessage('SPEAK')
+      .then(() => {
+        var randy = server.addAvatar('randy', { x: 100 });
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /tiny\.cc/.test(msg.text))
+          .then(() => server.deleteObject(randy.ref));
+      })
+      .then(() => {
+        server.addAvatar('randy', { x: 100 });
+        return bot.waitFor('APPEARING_$');
+      });
+  }
+
+  it('greets a crowd arriving together once', () => {
+    bot.disconnect();
+    createGreeter({ greetingFile: GreetingScript, lineDelay: 50 });
+    bot.connect();
+    return server.waitForMessage('SPEAK')
+      .then(() => {
+        server.addAvatar('randy', { x: 100 });
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /randy/.test(msg.text));
+      })
+      .then(() => {
+        // Arrive while randy is being greeted.
+        server.addAvatar('sue', { x: 110 });
+        server.addAvatar('bob', { x: 120 });
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /sue/.test(msg.text));
+      })
+      .then((msg) => {
+        assert.equal(msg.text, 'Hey there sue and bob, welcome to Habitat!');
+        return server.waitForMessage((msg) => {
+          return msg.op === 'SPEAK' && /tiny\.cc/.test(msg.text) &&
+              server.receivedOps('SPEAK').indexOf(msg) > 4;
+        });
+      })
+      .then(() => bot.wait(200))
+      .then(() => {
+        var lines = server.receivedOps('SPEAK').map((msg) => msg.text);
+        assert.equal(lines.filter((line) => /tiny\.cc/.test(line)).length, 2);
+      });
+  });
+
+  it('answers commands in the middle of a greeting', () => {
+    bot.disconnect();
+    createGreeter({ greetingFile: GreetingScript, lineDelay: 100 });
+    bot.connect();
+    return server.waitForMessage('SPEAK')
+      .then(() => {
+        var randy = server.addAvatar('randy', { x: 100 });
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /randy/.test(msg.text))
+          .then(() => server.speak(randy.mods[0].noid, 'phil, seen randy'));
+      })
+      .then(() => server.waitForMessage((msg) => msg.op === 'SPEAK' && /tiny\.cc/.test(msg.text)))
+      .then(() => {
+        var lines = server.receivedOps('SPEAK').map((msg) => msg.text);
+        var answer = lines.filter((line) => /^I last saw randy/.test(line))[0];
+        assert.ok(lines.indexOf(answer) < lines.length - 1, lines.join('|'));
+      });
+  });
+
+  it('welcomes back returning Avatars', () => {
+    bot.disconnect();
+    createGreeter({ greetingFile: GreetingScript, regreetAfter: 0 });
+    return greetRandyTwice()
+      .then(() => server.waitForMessage((msg) => msg.op === 'SPEAK' && /back/.test(msg.text)))
+      .then((msg) => {
+        assert.equal(msg.text, 'Welcome back, randy!');
+      });
+  });
+
+  it('does not greet Avatars again soon after their last visit', () => {
+    bot.disconnect();
+    createGreeter({ greetingFile: GreetingScript });
+    return greetRandyTwice()
+      .then(() => bot.wait(50))
+      .then(() => {
+        var lines = server.receivedOps('SPEAK').map((msg) => msg.text);
+        assert.equal(lines.length, 4);
+      });
+  });
+
+  it('reloads its greeting and settings when their files change, staying connected', () => {
+    var greetingFile = path.join(os.tmpdir(), `habibots-greeting-${process.pid}.greet`);
+    var configFile = path.join(os.tmpdir(), `habibots-greeter-${process.pid}.json`);
+    fs.writeFileSync(greetingFile, 'say Welcome, {avatar.name}!');
+    fs.writeFileSync(configFile, JSON.stringify({ admins: [] }));
+    bot.disconnect();
+    createGreeter({ greetingFile: greetingFile, configFile: configFile, watchInterval: 20 });
+    var cleanUp = () => {
+      bot.disconnect();
+      fs.unlinkSync(greetingFile);
+      fs.unlinkSync(configFile);
+    };
+    bot.connect();
+    return server.waitForMessage('SPEAK')
+      .then(() => {
+        fs.writeFileSync(greetingFile, 'say Hello again, {avatar.name}!');
+        fs.writeFileSync(configFile, JSON.stringify({ admins: ['randy'], regreetAfter: 0 }));
+        return bot.wait(150);
+      })
+      .then(() => {
+        // Not valid, so the greeting above is kept.
+        fs.writeFileSync(greetingFile, 'jump');
+        return bot.wait(150);
+      })
+      .then(() => {
+        var randy = server.addAvatar('randy', { x: 100 });
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /randy/.test(msg.text))
+          .then((msg) => {
+            assert.equal(msg.text, 'Hello again, randy!');
+            // Now an admin.
+            return server.speak(randy.mods[0].noid, '!say Still here');
+          });
+      })
+      .then(() => server.waitForMessage((msg) => msg.op === 'SPEAK' && msg.text === 'Still here'))
+      .then(() => {
+        assert.equal(server.receivedOps('entercontext').length, 1);
+        cleanUp();
+      }, (err) => {
+        cleanUp();
+        throw err;
+      });
+  });
+
+  it('applies none of a reloaded config file unless all of it is valid', () => {
+    var badGreeting = path.join(os.tmpdir(), `habibots-bad-${process.pid}.greet`);
+    var configFile = path.join(os.tmpdir(), `habibots-greeter-${process.pid}.yml`);
+    fs.writeFileSync(badGreeting, 'jump');
+    fs.writeFileSync(configFile, `greetingFile: ${GreetingFile}\n`);
+    bot.disconnect();
+    createGreeter({ greetingFile: undefined, configFile: configFile, watchInterval: 20 });
+    var cleanUp = () => {
+      bot.disconnect();
+      fs.unlinkSync(badGreeting);
+      fs.unlinkSync(configFile);
+    };
+    bot.connect();
+    return server.waitForMessage('SPEAK')
+      .then(() => {
+        fs.writeFileSync(configFile, `greetingFile: ${badGreeting}\nadmins: [randy]\n`);
+        return bot.wait(150);
+      })
+      .then(() => {
+        var randy = server.addAvatar('randy', { x: 100 });
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /tiny\.cc/.test(msg.text))
+          .then(() => server.speak(randy.mods[0].noid, '!say Still here'));
+      })
+      .then(() => server.waitForMessage((msg) => msg.op === 'SPEAK' && /only admins/.test(msg.text)))
+      .then(() => cleanUp(), (err) => {
+        cleanUp();
+        throw err;
+      });
+  });
+
+  it('only relays webhook chat carrying its webhookToken', () => {
+    var post = (port, token) => new Promise((resolve, reject) => {
+      var req = http.request({
+        method: 'POST',
+        host: '127.0.0.1',
+        port: port,
+        path: '/messages',
+        headers: { 'Content-Type': 'application/json', 'X-Bridge-Token': token },
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify({ user: 'chip', text: 'Hi from chat' }));
+    });
+    // Finds a free port for the webhook.
+    var free = net.createServer();
+    var port;
+    return new Promise((resolve) => free.listen(0, '127.0.0.1', resolve))
+      .then(() => {
+        port = free.address().port;
+        free.close();
+        bot.disconnect();
+        createGreeter({ webhookPort: port, webhookToken: 's3cret' });
+        bot.connect();
+        return server.waitForMessage('SPEAK');
+      })
+      .then(() => Promise.all([post(port, 'wrong'), post(port, 's3cret')]))
+      .then((statuses) => {
+        assert.deepEqual(statuses, [401, 204]);
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /Hi from chat/.test(msg.text));
+      })
+      .then(() => {
+        var relayed = server.receivedOps('SPEAK').filter((msg) => /Hi from chat/.test(msg.text));
+        assert.equal(relayed.length, 1);
+      });
+  });
+
+});
@@ -0,0 +1,130 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const greetscript = require('../greetscript');
+
+
+const Script = [
+  '# A comment',
+  'face avatar',
+  'posture wave',
+  'if first-visit',
+  '  say Welcome, {avatar.name}!',
+  '  if not returning',
+  '    wait 1.5',
+  '  end',
+  'else',
+  '  say Welcome back to {region.name}, {avatar.name}!',
+  'end',
+  'walk 84 131',
+].join('\n');
+
+
+/**
+ * Records what a greeting script asks a HabiBot to do.
+ */
+function fakeBot(direction) {
+  var actions = [];
+  var record = function() {
+    actions.push(Array.prototype.slice.call(arguments));
+    return Promise.resolve();
+  };
+  return {
+    actions: actions,
+    username: 'phil',
+    region: { name: 'Downtown 5f', context: 'context-Downtown_5f' },
+    getDirection: () => direction || 'RIGHT',
+    doPosture: (posture) => record('posture', posture),
+    faceDirection: (dir) => record('face', dir),
+    say: (text, options) => record('say', text, options.delay),
+    wait: (millis) => record('wait', millis),
+    walkTo: (x, y) => record('walk', x, y),
+  };
+}
+
+
+describe('greetscript', () => {
+
+  describe('parse', () => {
+    it('parses commands and nested conditionals', () => {
+      var commands = greetscript.parse(Script);
+      assert.deepEqual(commands.map((c) => c.op), ['face', 'posture', 'if', 'walk']);
+      var block = commands[2];
+      assert.equal(block.condition, 'first-visit');
+      assert.deepEqual(block.then.map((c) => c.op), ['say', 'if']);
+      assert.equal(block.then[1].negated, true);
+      assert.deepEqual(block.then[1].then, [{ op: 'wait', millis: 1500, line: 7 }]);
+      assert.deepEqual(block.otherwise.map((c) => c.op), ['say']);
+    });
+
+    it('reports errors by file and line', () => {
+      assert.throws(() => greetscript.parse('say hi\njump', 'hello.greet'),
+          /^Error: hello\.greet:2: Unknown command "jump"$/);
+      assert.throws(() => greetscript.parse('face up'), /greeting:1: Cannot face "up"/);
+      assert.throws(() => greetscript.parse('posture moonwalk'), /Unknown posture/);
+      assert.throws(() => greetscript.parse('walk 84'), /walk needs x and y/);
+      assert.throws(() => greetscript.parse('wait soon'), /wait needs a number/);
+      assert.throws(() => greetscript.parse('if sunny\nend'), /Unknown condition "sunny"/);
+      assert.throws(() => greetscript.parse('if returning\nsay hi'), /:1: if without a matching end/);
+      assert.throws(() => greetscript.parse('end'), /end without a matching if/);
+      assert.throws(() => greetscript.parse('if returning\nelse\nelse\nend'), /:3: else without/);
+    });
+
+    it('converts plain-text greetings', () => {
+      var commands = greetscript.fromLines('Hello!\n\nWelcome to Habitat.\n');
+      assert.deepEqual(commands.map((c) => c.op), ['face', 'posture', 'face', 'say', 'say']);
+      assert.equal(commands[4].text, 'Welcome to Habitat.');
+    });
+  });
+
+  describe('fillTemplate', () => {
+    it('fills in nested placeholders', () => {
+      assert.equal(greetscript.fillTemplate('Hi {avatar.name} from {bot.name}{missing.x}!', {
+        avatar: { name: 'randy' },
+        bot: { name: 'phil' },
+      }), 'Hi randy from phil!');
+    });
+
+    it('finds placeholders which cannot be resolved', () => {
+      var vars = { avatar: { name: 'randy' }, firstVisit: false };
+      var text = 'Hi {avatar.nmae}, {avatar.name} {bot.name}{avatar.nmae}';
+      assert.deepEqual(greetscript.unresolved(text, vars), ['{avatar.nmae}', '{bot.name}']);
+      assert.deepEqual(greetscript.unresolved('Welcome back, {avatar.name}! {firstVisit}', vars), []);
+    });
+  });
+
+  describe('run', () => {
+    it('greets first-time visitors', () => {
+      var bot = fakeBot();
+      var commands = greetscript.parse(Script);
+      return greetscript.run(bot, commands, { avatar: { name: 'randy' }, firstVisit: true },
+          { lineDelay: 10 })
+        .then(() => {
+          assert.deepEqual(bot.actions, [
+            ['face', 'RIGHT'],
+            ['posture', 'WAVE'],
+            ['say', 'Welcome, randy!', 10],
+            ['wait', 1500],
+            ['walk', 84, 131],
+          ]);
+        });
+    });
+
+    it('greets returning visitors', () => {
+      var bot = fakeBot('UNKNOWN');
+      var commands = greetscript.parse(Script);
+      return greetscript.run(bot, commands, { avatar: { name: 'randy' }, firstVisit: false })
+        .then(() => {
+          assert.deepEqual(bot.actions, [
+            ['posture', 'WAVE'],
+            ['say', 'Welcome back to Downtown 5f, randy!', 2000],
+            ['walk', 84, 131],
+          ]);
+        });
+    });
+  });
+
+});
@@ -0,0 +1,705 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const constants = require('../constants');
+const HabiBot = require('../habibot');
+const Metrics = require('../metrics').Metrics;
+const MockElkoServer = require('../mockserver');
+const RegionMap = require('../regionmap');
+const support = require('./support/bots');
+
+
+function frame(msg) {
+  return JSON.stringify(msg) + '\n\n';
+}
+
+
+describe('HabiBot', () => {
+
+  describe('processData', () => {
+    var bot;
+    var ops;
+
+    beforeEach(() => {
+      bot = new HabiBot('127.0.0.1', 1337, 'phil');
+      ops = [];
+      bot.on('msg', (b, msg) => ops.push(msg.op));
+    });
+
+    it('dispatches every message packed into one chunk', () => {
+      bot.processData(Buffer.from(frame({ op: 'SPEAK$', text: 'a' }) +
+          frame({ op: 'SPEAK$', text: 'b' }) + frame({ op: 'APPEARING_$' })));
+      assert.deepEqual(ops, ['SPEAK$', 'SPEAK$', 'APPEARING_$']);
+    });
+
+    it('reassembles a message split across chunks', () => {
+      var buf = Buffer.from(frame({ op: 'SPEAK$', text: 'Grüße, Welt' }));
+      // Splits inside the multi-byte ü.
+      var split = buf.indexOf(0xc3) + 1;
+      bot.on('SPEAK$', (b, msg) => assert.equal(msg.text, 'Grüße, Welt'));
+      bot.processData(buf.slice(0, split));
+      assert.deepEqual(ops, []);
+      bot.processData(buf.slice(split));
+      assert.deepEqual(ops, ['SPEAK$']);
+    });
+
+    it('drops a malformed frame at the blank line ending it', () => {
+      var before = Metrics.parseFailures.get();
+      bot.processData(Buffer.from('{"op": "SPEAK$", "text": "unterminated}\n\n'));
+      bot.processData(Buffer.from('{"op": "SPEAK$", "mods": [{"x": 1}\n\n' +
+          frame({ op: 'APPEARING_$' })));
+      assert.deepEqual(ops, ['APPEARING_$']);
+      assert.equal(Metrics.parseFailures.get(), before + 2);
+    });
+  });
+
+  describe('callbacks', () => {
+    var bot;
+    var errors;
+
+    beforeEach(() => {
+      bot = new HabiBot('127.0.0.1', 1337, 'phil');
+      errors = [];
+      bot.on('error', (b, event) => errors.push(event));
+    });
+
+    it('runs once() callbacks a single time', () => {
+      var count = 0;
+      bot.once('SPEAK$', () => count++);
+      bot.processData(frame({ op: 'SPEAK$' }) + frame({ op: 'SPEAK$' }));
+      assert.equal(count, 1);
+    });
+
+    it('removes callbacks with off()', () => {
+      var count = 0;
+      var callback = () => count++;
+      var onceCallback = () => count++;
+      bot.on('SPEAK$', callback);
+      bot.once('SPEAK$', onceCallback);
+      bot.off('SPEAK$', callback);
+      bot.off('SPEAK$', onceCallback);
+      bot.processData(frame({ op: 'SPEAK$' }));
+      assert.equal(count, 0);
+    });
+
+    it('matches ops by wildcard and RegExp', () => {
+      var wildcard = [];
+      var regexp = [];
+      bot.on('*$', (b, msg) => wildcard.push(msg.op));
+      bot.on(/^(GET|PUT)\$$/, (b, msg) => regexp.push(msg.op));
+      bot.processData(frame({ op: 'GET$' }) + frame({ op: 'SPEAK' }) + frame({ op: 'WALK$' }));
+      assert.deepEqual(wildcard, ['GET$', 'WALK$']);
+      assert.deepEqual(regexp, ['GET$']);
+      bot.off('*$');
+      bot.processData(frame({ op: 'PUT$' }));
+      assert.deepEqual(wildcard, ['GET$', 'WALK$']);
+      assert.deepEqual(regexp, ['GET$', 'PUT$']);
+    });
+
+    it('isolates callbacks from each other\'s errors', () => {
+      var delivered = [];
+      bot.on('SPEAK$', () => {
+        throw new Error('boom');
+      });
+      bot.on('SPEAK$', (b, msg) => delivered.push(msg.text));
+      bot.processData(frame({ op: 'SPEAK$', text: 'a' }) + frame({ op: 'SPEAK$', text: 'b' }));
+      assert.deepEqual(delivered, ['a', 'b']);
+      assert.equal(errors.length, 2);
+      assert.equal(errors[0].eventType, 'SPEAK$');
+      assert.equal(errors[0].error.message, 'boom');
+    });
+
+    it('reports rejected Promises returned by callbacks', () => {
+      bot.on('SPEAK$', () => Promise.reject('nope'));
+      bot.processData(frame({ op: 'SPEAK$' }));
+      return new Promise((resolve) => setImmediate(resolve)).then(() => {
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].error, 'nope');
+      });
+    });
+
+    it('waits for events with waitFor()', () => {
+      var waited = bot.waitFor('SPEAK$', (msg) => msg.text === 'b', 1000);
+      bot.processData(frame({ op: 'SPEAK$', text: 'a' }) + frame({ op: 'SPEAK$', text: 'b' }));
+      return waited
+        .then((msg) => {
+          assert.equal(msg.text, 'b');
+          assert.equal(bot.callbacks['SPEAK$'].length, 0);
+          return bot.waitFor('SPEAK$', null, 10);
+        })
+        .then(() => assert.fail('waitFor should have timed out'), (reason) => {
+          assert.ok(/Timed out/.test(reason));
+        });
+    });
+  });
+
+  describe('scanForRefs', () => {
+    var bot;
+
+    beforeEach(() => {
+      bot = new HabiBot('127.0.0.1', 1337, 'phil');
+    });
+
+    it('tracks the HabiBot\'s own Avatar from a make with you set', () => {
+      bot.scanForRefs(JSON.stringify({
+        to: 'context-Downtown_5f',
+        op: 'make',
+        you: true,
+        obj: { ref: 'user-phil-1001', name: 'phil', mods: [{ type: 'Avatar', noid: 7, x: 20 }] },
+      }));
+      assert.equal(bot.names.ME, 'user-phil-1001');
+      assert.equal(bot.names.USER, 'user-phil');
+      assert.equal(bot.names.phil, 'user-phil-1001');
+      assert.equal(bot.getAvatarNoid(), 7);
+      assert.equal(bot.avatars.phil.ref, 'user-phil-1001');
+      assert.equal(bot.getNoid(7).name, 'phil');
+    });
+
+    it('tracks objects arriving via HEREIS_$', () => {
+      bot.scanForRefs(JSON.stringify({
+        to: 'context-Downtown_5f',
+        op: 'HEREIS_$',
+        object: { ref: 'user-randy-1002', name: 'randy', mods: [{ type: 'Avatar', noid: 9 }] },
+      }));
+      assert.equal(bot.avatars.randy.ref, 'user-randy-1002');
+      assert.equal(bot.getMod(9).type, 'Avatar');
+    });
+
+    it('names the HabiBot\'s Ghost', () => {
+      bot.scanForRefs(JSON.stringify({
+        to: 'context-Downtown_5f',
+        op: 'make',
+        obj: { ref: 'item-Ghost-1003', name: 'Ghost', mods: [{ type: 'Ghost', noid: 255 }] },
+      }));
+      assert.equal(bot.names.GHOST, 'item-Ghost-1003');
+    });
+
+    it('forgets deleted Avatars', () => {
+      bot.processData(frame({
+        to: 'context-Downtown_5f',
+        op: 'make',
+        obj: { ref: 'user-randy-1002', name: 'randy', mods: [{ type: 'Avatar', noid: 9 }] },
+      }) + frame({ to: 'user-randy-1002', op: 'delete' }));
+      assert.equal(bot.avatars.randy, undefined);
+      assert.equal(bot.history['user-randy-1002'], undefined);
+      assert.equal(bot.names.randy, undefined);
+    });
+  });
+
+  describe('substituteState', () => {
+    var bot;
+
+    beforeEach(() => {
+      bot = new HabiBot('127.0.0.1', 1337, 'phil');
+      bot.scanForRefs(JSON.stringify({
+        to: 'context-Downtown_5f',
+        op: 'make',
+        obj: { ref: 'user-randy-1002', name: 'randy', mods: [{ type: 'Avatar', noid: 9, x: 40 }] },
+      }));
+    });
+
+    it('fills in a whole field, preserving its type', () => {
+      var msg = { x: bot.template('{{randy.mods[0].x}}'), noid: bot.template('{{ randy.mods[0].noid }}') };
+      bot.substituteState(msg);
+      assert.strictEqual(msg.x, 40);
+      assert.strictEqual(msg.noid, 9);
+    });
+
+    it('fills in templates within text and nested fields', () => {
+      var msg = { text: bot.template('Randy is at {{randy.mods[0].x}}'), args: [bot.template('{{randy.ref}}')] };
+      bot.substituteState(msg);
+      assert.equal(msg.text, 'Randy is at 40');
+      assert.deepEqual(msg.args, ['user-randy-1002']);
+    });
+
+    it('leaves fields which are not templates alone', () => {
+      var msg = { text: 'Vendos cost $50, $randy.x', to: '$randy' };
+      bot.substituteState(msg);
+      assert.deepEqual(msg, { text: 'Vendos cost $50, $randy.x', to: '$randy' });
+    });
+
+    it('rejects unresolved references', () => {
+      assert.throws(() => bot.substituteState({ x: bot.template('{{sue.mods[0].x}}') }),
+          /^Error: Unresolved reference \{\{sue\.mods\[0\]\.x\}\}: sue is not known$/);
+      assert.throws(() => bot.substituteState({ x: bot.template('{{randy.mods[1].x}}') }),
+          /no 1 in randy\.mods$/);
+    });
+  });
+
+  describe('with a server', () => {
+    var server;
+    var bot;
+
+    beforeEach(() => {
+      server = new MockElkoServer();
+      return server.listen();
+    });
+
+    afterEach(() => {
+      bot.disconnect();
+      return server.close();
+    });
+
+    it('enters a context', () => {
+      bot = support.newBot(server);
+      return support.enterRegion(bot, server).then((me) => {
+        assert.equal(me.obj.name, 'phil');
+        assert.equal(bot.lastContext, server.config.context);
+        assert.equal(server.receivedOps('entercontext')[0].user, 'user-phil');
+      });
+    });
+
+    it('resolves requests with their reply', () => {
+      bot = support.newBot(server);
+      return support.enterRegion(bot, server)
+        .then(() => bot.request({ op: 'WALK', to: 'ME', x: 84, y: 131, how: 1 }))
+        .then((reply) => {
+          assert.equal(reply.op, 'WALK');
+          assert.equal(reply.noid, bot.getAvatarNoid());
+          assert.equal(reply.x, 84);
+        });
+    });
+
+    it('sends dollar signs as they are and templates filled in', () => {
+      bot = support.newBot(server);
+      return support.enterRegion(bot, server)
+        .then(() => bot.say('Vendos cost $50'))
+        .then(() => server.waitForMessage('SPEAK'))
+        .then((msg) => {
+          assert.equal(msg.esp, 0);
+          assert.equal(msg.text, 'Vendos cost $50');
+          return bot.send({ op: 'WALK', to: 'ME', x: bot.template('{{ME.mods[0].x}}'), y: 131, how: 1 });
+        })
+        .then(() => server.waitForMessage('WALK'))
+        .then((msg) => {
+          assert.strictEqual(msg.x, server.config.startX);
+          return bot.send({ op: 'WALK', to: 'ME', x: bot.template('{{sue.mods[0].x}}'), y: 131, how: 1 });
+        })
+        .then(() => assert.fail('WALK should have failed'), (reason) => {
+          assert.equal(reason, 'Could not send WALK: Unresolved reference {{sue.mods[0].x}}: sue is not known');
+        });
+    });
+
+    it('splits, cleans up and paces speech', () => {
+      bot = support.newBot(server, 'phil', {
+        maxSpeechLength: 24,
+        speechRate: { maxEvents: 2, perMillis: 200, maxQueue: 3 },
+      });
+      var started = null;
+      var speeches = (count) => {
+        var waits = [];
+        for (var i = 0; i < count; i++) {
+          waits.push(server.waitForMessage('SPEAK'));
+        }
+        return Promise.all(waits);
+      };
+      return support.enterRegion(bot, server)
+        .then(() => {
+          started = Date.now();
+          return bot.say('Welcome to Habitat \u{1f642} – the first online world!');
+        })
+        .then(() => speeches(2))
+        .then((lines) => {
+          assert.deepEqual(lines.map((msg) => msg.text), ['Welcome to Habitat :) -', 'the first online world!']);
+          return bot.sayPrivately('randy', 'Psst, over here by the old fountain');
+        })
+        .then(() => speeches(3))
+        .then((lines) => {
+          assert.ok(Date.now() - started >= 190, 'speech should wait for the rate limit');
+          lines = lines.map((msg) => [msg.esp, msg.text]);
+          assert.deepEqual(lines, [
+            [1, 'TO:randy Psst, over here'], [1, 'TO:randy by the old'], [1, 'TO:randy fountain'],
+          ]);
+          return bot.say(new Array(6).fill('word').join(' ').repeat(6));
+        })
+        .then(() => assert.fail('speech should have overflowed'), (reason) => {
+          assert.ok(/Rate limit queue is full/.test(reason), reason);
+          return bot.wait(300);
+        })
+        .then(() => {
+          // None of the message was spoken, rather than its start.
+          assert.equal(server.receivedOps('SPEAK').filter((msg) => /word/.test(msg.text)).length, 0);
+        });
+    });
+
+    it('rejects requests on an error reply or timeout', () => {
+      server.handle('GET', (msg, client, s) => {
+        s.sendTo(client, { type: 'reply', op: 'GET', noid: client.avatar.mods[0].noid, err: 1 });
+      });
+      bot = support.newBot(server);
+      return support.enterRegion(bot, server)
+        .then(() => bot.request({ op: 'GET', to: 'ME' }))
+        .then(() => assert.fail('GET should have failed'), (reason) => {
+          assert.ok(/Error reply to GET/.test(reason));
+        })
+        .then(() => bot.request({ op: 'ASK', to: 'ME' }, { timeout: 50 }))
+        .then(() => assert.fail('ASK should have timed out'), (reason) => {
+          assert.ok(/Timed out/.test(reason));
+        });
+    });
+
+    it('fails speech still queued on disconnect without unhandled rejections', () => {
+      var unhandled = [];
+      var onUnhandled = (reason) => unhandled.push(reason);
+      bot = support.newBot(server, 'phil', { sendDelay: 100 });
+      return support.enterRegion(bot, server)
+        .then(() => {
+          process.on('unhandledRejection', onUnhandled);
+          bot.say('Hello?');
+          bot.sayPrivately('randy', 'Anyone there?');
+          server.dropClients();
+          return bot.waitFor('disconnected');
+        })
+        .then(() => bot.wait(250))
+        .then(() => {
+          process.removeListener('unhandledRejection', onUnhandled);
+          assert.deepEqual(unhandled, []);
+          assert.equal(server.receivedOps('SPEAK').length, 0);
+        }, (err) => {
+          process.removeListener('unhandledRejection', onUnhandled);
+          throw err;
+        });
+    });
+
+    it('re-enters its last context after reconnecting', () => {
+      bot = support.newBot(server, 'phil', {
+        shouldReconnect: true,
+        reconnectBaseDelay: 10,
+      });
+      var reconnects = 0;
+      bot.on('reconnecting', () => reconnects++);
+      return support.enterRegion(bot, server)
+        .then(() => server.waitForMessage('entercontext'))
+        .then(() => {
+          server.dropClients();
+          return server.waitForMessage('entercontext');
+        })
+        .then((msg) => {
+          assert.equal(msg.context, server.config.context);
+          assert.equal(reconnects, 1);
+        });
+    });
+
+    it('keeps region state current from broadcasts', () => {
+      bot = support.newBot(server);
+      var randy;
+      return support.enterRegion(bot, server)
+        .then(() => {
+          randy = server.addAvatar('randy', { x: 100 });
+          return new Promise((resolve) => bot.on('avatarArrived', resolve));
+        })
+        .then(() => {
+          assert.equal(bot.getDirection(bot.getNoid(randy.mods[0].noid)), 'RIGHT');
+          server.walkAvatar(randy.mods[0].noid, 10, 140);
+          return new Promise((resolve) => bot.on('avatarMoved', (b, event) => resolve(event)));
+        })
+        .then((event) => {
+          assert.equal(event.obj.name, 'randy');
+          assert.deepEqual(event.changes, { x: 10 });
+          assert.equal(bot.getDirection(event.obj), 'LEFT');
+          server.deleteObject(randy.ref);
+          return new Promise((resolve) => bot.on('avatarLeft', (b, e) => resolve(e)));
+        })
+        .then((event) => {
+          assert.equal(event.obj.name, 'randy');
+          assert.equal(bot.region.findAvatar('randy'), null);
+        });
+    });
+
+    it('sends and receives ESP', () => {
+      bot = support.newBot(server);
+      var randy = support.newBot(server, 'randy');
+      var publicSpeech = [];
+      // Randy enters first, so that Phil finds him in the region.
+      return support.enterRegion(randy, server)
+        .then(() => support.enterRegion(bot, server))
+        .then(() => {
+          randy.on('SPEAK$', (b, msg) => {
+            if (!msg.esp) {
+              publicSpeech.push(msg.text);
+            }
+          });
+          return Promise.all([
+            randy.waitFor('privateMessage'),
+            bot.sayPrivately('Randy', 'Psst, over here.'),
+          ]);
+        })
+        .then((results) => {
+          var message = results[0];
+          assert.equal(message.name, 'phil');
+          assert.equal(message.noid, bot.getAvatarNoid());
+          assert.equal(message.text, 'Psst, over here.');
+          assert.equal(server.receivedOps('SPEAK')[0].text, 'TO:Randy Psst, over here.');
+          return Promise.all([
+            bot.waitFor('privateMessage'),
+            randy.sayPrivately(bot.getAvatarNoid(), 'Hi Phil'),
+          ]);
+        })
+        .then((results) => {
+          assert.equal(results[0].name, 'randy');
+          assert.deepEqual(publicSpeech, []);
+          return bot.sayPrivately(9999, 'Anyone?');
+        })
+        .then(() => assert.fail('should reject'), (reason) => {
+          randy.disconnect();
+          assert.ok(/No avatar found/.test(reason), reason);
+        });
+    });
+
+    describe('objects', () => {
+      it('picks up, puts down and throws objects', () => {
+        bot = support.newBot(server);
+        var flashlight = server.addObject('Flashlight', { x: 100, y: 140 });
+        server.addObject('Flashlight', { x: 150, y: 140 });
+        var noid = flashlight.mods[0].noid;
+        return support.enterRegion(bot, server)
+          .then(() => bot.getObject('Flashlight'))
+          .then((reply) => {
+            assert.equal(reply.noid, noid);
+            var walk = server.receivedOps('WALK')[0];
+            assert.deepEqual([walk.x, walk.y], [100, 140]);
+            assert.equal(bot.getHeldObject().ref, flashlight.ref);
+            assert.deepEqual(bot.getInventory().map((obj) => obj.ref), [flashlight.ref]);
+            return bot.getObject('Flashlight');
+          })
+          .then(() => assert.fail('should reject'), (reason) => {
+            assert.ok(/full hands/.test(reason));
+            return bot.putObject({ x: 60, y: 130 });
+          })
+          .then(() => {
+            assert.equal(bot.getHeldObject(), null);
+            assert.ok(bot.region.isInRegion(noid));
+            assert.deepEqual(bot.region.getPosition(noid), { x: 60, y: 130 });
+            return bot.getObject(noid);
+          })
+          .then(() => bot.throwObject(40, 150))
+          .then((reply) => {
+            assert.equal(reply.op, 'THROW');
+            assert.equal(bot.getHeldObject(), null);
+            assert.deepEqual(bot.region.getPosition(noid), { x: 40, y: 150 });
+            return bot.throwObject(10, 10);
+          })
+          .then(() => assert.fail('should reject'), (reason) => {
+            assert.ok(/Not holding/.test(reason));
+          });
+      });
+
+      it('rejects right away when the server refuses a GET, PUT or THROW', () => {
+        bot = support.newBot(server);
+        var randy = server.addAvatar('randy', { x: 30 });
+        var compass = server.addObject('Compass', { y: 5 }, 'Compass', randy.ref);
+        var flashlight = server.addObject('Flashlight', { x: 60, y: 140 });
+        var started;
+        var refused = (op) => (reason) => {
+          assert.ok(new RegExp(`Error reply to ${op}`).test(reason), reason);
+          assert.ok(Date.now() - started < 500, `${op} should not wait for a timeout`);
+        };
+        return support.enterRegion(bot, server)
+          .then(() => {
+            started = Date.now();
+            return bot.getObject(compass.mods[0].noid);
+          })
+          .then(() => assert.fail('GET should have been refused'), refused('GET'))
+          .then(() => bot.getObject('Flashlight'))
+          .then(() => {
+            // As if randy had snatched it away without the bot noticing.
+            server.containers[flashlight.ref] = randy.ref;
+            started = Date.now();
+            return bot.putObject();
+          })
+          .then(() => assert.fail('PUT should have been refused'), refused('PUT'))
+          .then(() => {
+            started = Date.now();
+            return bot.throwObject(40, 150);
+          })
+          .then(() => assert.fail('THROW should have been refused'), refused('THROW'));
+      });
+
+      it('hands objects to other Avatars', () => {
+        bot = support.newBot(server);
+        var randy = server.addAvatar('randy', { x: 30 });
+        return support.enterRegion(bot, server)
+          .then(() => {
+            // Handed to the bot by the server, straight into its hands.
+            server.addObject('Compass', { y: 5 }, 'Compass', server.findObject('phil').ref);
+            return bot.waitFor('objectAdded');
+          })
+          .then(() => {
+            assert.equal(bot.getHeldObject().name, 'Compass');
+            return bot.giveObject('Randy');
+          })
+          .then(() => {
+            var put = server.receivedOps('PUT')[0];
+            assert.equal(put.containerNoid, randy.mods[0].noid);
+            assert.deepEqual(bot.getInventory(), []);
+            assert.equal(bot.region.getContents(randy.mods[0].noid)[0].name, 'Compass');
+          });
+      });
+
+      it('uses objects', () => {
+        server.handle('READ', (msg, client, s) => {
+          var book = s.objects[msg.to];
+          s.sendTo(client, { type: 'reply', op: 'READ', noid: book.mods[0].noid, text: 'Once upon a time' });
+        });
+        bot = support.newBot(server);
+        server.addObject('Book', { x: 25, y: 140 });
+        return support.enterRegion(bot, server)
+          .then(() => bot.useObject('Book', 'READ', { page: 1 }))
+          .then((reply) => {
+            assert.equal(reply.text, 'Once upon a time');
+            assert.equal(server.receivedOps('READ')[0].page, 1);
+            // Close enough already, so no need to walk.
+            assert.equal(server.receivedOps('WALK').length, 0);
+            return bot.useObject('Piano');
+          })
+          .then(() => assert.fail('should reject'), (reason) => {
+            assert.ok(/No object to use/.test(reason));
+          });
+      });
+    });
+
+    describe('travel', () => {
+      beforeEach(() => {
+        server.config.neighbors = ['', 'context-Downtown_5g', '', ''];
+        server.config.regions = {
+          'context-Downtown_5g': {
+            name: 'Downtown 5g',
+            neighbors: ['context-Downtown_4g', '', '', 'context-Downtown_5f'],
+            orientation: 1,
+          },
+          'context-Downtown_4g': { name: 'Downtown 4g' },
+          'context-Library': { name: 'Library' },
+        };
+      });
+
+      it('leaves regions by their edges and doors', () => {
+        bot = support.newBot(server);
+        var door = server.addObject('Door', { x: 60, y: 150, connection: 'context-Library' });
+        return support.enterRegion(bot, server)
+          .then(() => {
+            assert.deepEqual(bot.getExits(), [
+              { context: 'context-Downtown_5g', direction: 'EAST', side: 'RIGHT', noid: null },
+              { context: 'context-Library', direction: null, side: null, noid: door.mods[0].noid },
+            ]);
+            return bot.exitRegion(constants.EAST);
+          })
+          .then((context) => {
+            assert.equal(context, 'context-Downtown_5g');
+            assert.equal(bot.lastContext, 'context-Downtown_5g');
+            var walk = server.receivedOps('WALK')[0];
+            assert.deepEqual([walk.x, walk.y], [156, 140]);
+            assert.equal(server.receivedOps('NEWREGION')[0].direction, 1);
+            // Region 5g is turned a quarter turn, so north lies to the left.
+            assert.equal(bot.getExits()[0].side, 'LEFT');
+            return bot.exitRegion('context-Downtown_5f');
+          })
+          .then(() => bot.exitRegion(door.mods[0].noid))
+          .then((context) => {
+            assert.equal(context, 'context-Library');
+            assert.equal(server.receivedOps('NEWREGION')[2].passage_id, door.mods[0].noid);
+            assert.deepEqual(Object.keys(bot.regionMap.regions).sort(), [
+              'context-Downtown_5f', 'context-Downtown_5g', 'context-Library',
+            ]);
+            return bot.exitRegion(constants.NORTH);
+          })
+          .then(() => assert.fail('should reject'), (reason) => {
+            assert.ok(/No exit NORTH/.test(reason));
+          });
+      });
+
+      it('rejects right away when the server refuses an exit', () => {
+        server.handle('NEWREGION', (msg, client, s) => {
+          s.sendTo(client, { type: 'reply', op: 'NEWREGION', noid: client.avatar.mods[0].noid, err: 1 });
+        });
+        bot = support.newBot(server, 'phil', { regionChangeTimeout: 5000 });
+        var started;
+        return support.enterRegion(bot, server)
+          .then(() => {
+            started = Date.now();
+            return bot.exitRegion(constants.EAST);
+          })
+          .then(() => assert.fail('should reject'), (reason) => {
+            assert.ok(/Error reply to NEWREGION/.test(reason), reason);
+            assert.ok(Date.now() - started < 1000, 'should not wait for regionChangeTimeout');
+            assert.equal(bot.region.context, server.config.context);
+          });
+      });
+
+      it('travels across several regions', () => {
+        bot = support.newBot(server);
+        bot.regionMap = new RegionMap({
+          'context-Downtown_5g': {
+            context: 'context-Downtown_5g',
+            name: 'Downtown 5g',
+            exits: [{ context: 'context-Downtown_4g', direction: 'NORTH', side: 'RIGHT', noid: null }],
+          },
+        });
+        var progress = [];
+        var arrived = null;
+        bot.on('travelProgress', (b, event) => progress.push([event.context, event.remaining]));
+        bot.on('travelArrived', (b, event) => { arrived = event; });
+        return support.enterRegion(bot, server)
+          .then(() => bot.travelTo('context-Downtown_4g'))
+          .then((context) => {
+            assert.equal(context, 'context-Downtown_4g');
+            assert.equal(bot.region.name, 'Downtown 4g');
+            assert.deepEqual(progress, [['context-Downtown_5g', 1], ['context-Downtown_4g', 0]]);
+            assert.deepEqual(arrived, { context: 'context-Downtown_4g', hops: 2 });
+            return bot.travelTo('Downtown 5f');
+          })
+          .then(() => assert.fail('should reject'), (reason) => {
+            assert.ok(/No known route/.test(reason), reason);
+          });
+      });
+    });
+
+    describe('ensureCorporated', () => {
+      it('does nothing for a corporated Avatar', () => {
+        bot = support.newBot(server);
+        return support.enterRegion(bot, server)
+          .then(() => bot.ensureCorporated())
+          .then(() => assert.equal(server.receivedOps('CORPORATE').length, 0));
+      });
+
+      it('corporates a Ghost', () => {
+        server.config.startGhosted = true;
+        bot = support.newBot(server);
+        var corporated = new Promise((resolve) => {
+          bot.on('objectChanged', (b, event) => {
+            if (event.changes.amAGhost === false) {
+              resolve();
+            }
+          });
+        });
+        return support.enterRegion(bot, server)
+          .then(() => {
+            assert.ok(bot.isGhosted());
+            return bot.ensureCorporated();
+          })
+          .then(() => corporated)
+          .then(() => {
+            assert.equal(server.receivedOps('CORPORATE')[0].to, bot.names.GHOST);
+            assert.ok(!bot.isGhosted());
+          });
+      });
+
+      it('gives up if the Ghost never arrives', () => {
+        server.config.startGhosted = true;
+        server.handle('entercontext', (msg, client, s) => {
+          client.avatar = s.createAvatar('phil', { amAGhost: true });
+          s.sendTo(client, { to: s.config.context, op: 'make', you: true, obj: client.avatar });
+        });
+        bot = support.newBot(server, 'phil', { corporateRetryDelay: 1 });
+        return support.enterRegion(bot, server)
+          .then(() => bot.ensureCorporated())
+          .then(() => assert.fail('ensureCorporated should have failed'), (reason) => {
+            assert.ok(/after 5 tries/.test(reason));
+          });
+      });
+    });
+  });
+
+});
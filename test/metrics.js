@@ -0,0 +1,103 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const metrics = require('../metrics');
+const MockElkoServer = require('../mockserver');
+const support = require('./support/bots');
+const util = require('../util');
+
+const Metrics = metrics.Metrics;
+
+
+function fetchMetrics(port) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: port, path: '/metrics' }, (res) => {
+      var text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve(text));
+    }).on('error', reject);
+  });
+}
+
+
+describe('metrics', () => {
+
+  describe('Registry', () => {
+    it('renders the Prometheus text format', () => {
+      var registry = new metrics.Registry();
+      var sent = registry.counter('test_sent_total', 'Things sent.');
+      var depth = registry.gauge('test_depth', 'Queue depth.');
+      var wait = registry.histogram('test_wait_seconds', 'Wait time.', [0.1, 1]);
+      sent.inc({ bot: 'phil', op: 'SPEAK' });
+      sent.inc({ op: 'SPEAK', bot: 'phil' }, 2);
+      sent.inc({ bot: 'say "hi"\n' });
+      depth.set({ bot: 'phil' }, 3);
+      wait.observe({ bot: 'phil' }, 0.5);
+      assert.equal(registry.render(), [
+        '# HELP test_depth Queue depth.',
+        '# TYPE test_depth gauge',
+        'test_depth{bot="phil"} 3',
+        '# HELP test_sent_total Things sent.',
+        '# TYPE test_sent_total counter',
+        'test_sent_total{bot="phil",op="SPEAK"} 3',
+        'test_sent_total{bot="say \\"hi\\"\\n"} 1',
+        '# HELP test_wait_seconds Wait time.',
+        '# TYPE test_wait_seconds histogram',
+        'test_wait_seconds_bucket{bot="phil",le="0.1"} 0',
+        'test_wait_seconds_bucket{bot="phil",le="1"} 1',
+        'test_wait_seconds_bucket{bot="phil",le="+Inf"} 1',
+        'test_wait_seconds_sum{bot="phil"} 0.5',
+        'test_wait_seconds_count{bot="phil"} 1',
+        '',
+      ].join('\n'));
+      assert.throws(() => registry.gauge('test_depth', 'Again.'), /already registered/);
+    });
+
+    it('counts parse failures', () => {
+      var before = Metrics.parseFailures.get();
+      util.parseElko('{"op":');
+      assert.equal(Metrics.parseFailures.get(), before + 1);
+    });
+  });
+
+  describe('with a server', () => {
+    var server;
+    var bot;
+
+    beforeEach(() => {
+      metrics.registry.reset();
+      server = new MockElkoServer();
+      return server.listen().then(() => {
+        bot = support.newBot(server, 'phil', { metricsPort: 0 });
+      });
+    });
+
+    afterEach(() => {
+      bot.disconnect();
+      return server.close();
+    });
+
+    it('collects and serves HabiBot metrics', () => {
+      return support.enterRegion(bot, server)
+        .then(() => Promise.all([bot.say('One'), bot.say('Two')]))
+        .then(() => {
+          var labels = { bot: 'phil', op: 'SPEAK' };
+          assert.equal(Metrics.messagesSent.get(labels), 2);
+          assert.equal(Metrics.messagesSent.get({ bot: 'phil', op: 'entercontext' }), 1);
+          assert.equal(Metrics.messagesReceived.get({ bot: 'phil', op: 'make' }), 2);
+          assert.equal(Metrics.actionQueueWait.get({ bot: 'phil' }).count, 3);
+          assert.equal(Metrics.actionQueueDepth.get({ bot: 'phil' }), 0);
+          return fetchMetrics(metrics.registry.servers[0].server.address().port);
+        })
+        .then((text) => {
+          assert.ok(text.indexOf('habibot_messages_sent_total{bot="phil",op="SPEAK"} 2') !== -1);
+          assert.ok(text.indexOf('# TYPE habibot_action_queue_wait_seconds histogram') !== -1);
+        });
+    });
+  });
+
+});
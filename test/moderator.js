@@ -0,0 +1,167 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MockElkoServer = require('../mockserver');
+const moderator = require('../moderator');
+const support = require('./support/bots');
+
+
+/**
+ * Stands in for the chat channel reports are posted to.
+ */
+class FakeAdapter {
+  constructor() {
+    this.sent = [];
+  }
+
+  start() {
+    return Promise.resolve();
+  }
+
+  send(text) {
+    this.sent.push(text);
+    return Promise.resolve();
+  }
+
+  stop() {}
+}
+
+
+describe('Moderator', () => {
+  var server;
+  var bot;
+  var adapter;
+  var watch;
+  var randy;
+  var sue;
+
+  beforeEach(() => {
+    server = new MockElkoServer();
+    return server.listen()
+      .then(() => {
+        bot = support.newBot(server);
+        adapter = new FakeAdapter();
+        watch = new moderator.Moderator(bot, adapter, {
+          bannedWords: ['darn', 'heck'],
+          floodMessages: 3,
+          harassMessages: 2,
+        });
+        return support.enterRegion(bot, server);
+      })
+      .then(() => watch.start())
+      .then(() => {
+        randy = server.addAvatar('randy');
+        sue = server.addAvatar('sue');
+        return bot.waitFor('APPEARING_$', (msg) => msg.appearing === sue.mods[0].noid);
+      });
+  });
+
+  afterEach(() => {
+    watch.stop();
+    bot.disconnect();
+    return server.close();
+  });
+
+  function hear(avatar, text) {
+    server.speak(avatar.mods[0].noid, text);
+    return bot.waitFor('SPEAK$', (msg) => msg.text === text);
+  }
+
+  it('warns flooders over ESP and reports them once', () => {
+    return ['one', 'two', 'three', 'four', 'five'].reduce((chain, text) => {
+      return chain.then(() => hear(randy, text));
+    }, Promise.resolve())
+      .then(() => server.waitForMessage('SPEAK'))
+      .then((warning) => {
+        assert.equal(warning.esp, 1);
+        assert.equal(warning.text, 'TO:randy Please slow down, randy, so everyone gets a word in.');
+        assert.deepEqual(watch.incidents.map((incident) => incident.kind), ['flood']);
+        assert.equal(adapter.sent.length, 1);
+        var report = adapter.sent[0].split('\n');
+        assert.equal(report[0], '[moderation] flood by randy in Downtown 5f (context-Downtown_5f):' +
+            ' 4 lines in 10s');
+        assert.ok(/^> \d\d:\d\d:\d\d randy arrived$/.test(report[1]), report[1]);
+        assert.ok(/ randy: four$/.test(report[report.length - 1]));
+      });
+  });
+
+  it('catches banned words, but not within other words', () => {
+    return hear(sue, 'Check out my darning needle')
+      .then(() => hear(sue, 'Oh HECK, I dropped it'))
+      .then(() => server.waitForMessage('SPEAK'))
+      .then((warning) => {
+        assert.equal(warning.text, 'TO:sue Please watch your language, sue.');
+        var incident = watch.incidents[0];
+        assert.deepEqual([incident.kind, incident.avatar, incident.detail], ['language', 'sue', 'said "HECK"']);
+        assert.equal(incident.transcript[incident.transcript.length - 1].text, 'Oh HECK, I dropped it');
+      });
+  });
+
+  it('notices one Avatar repeatedly naming another', () => {
+    watch.config.warnPrivately = false;
+    return hear(randy, 'hey sue')
+      .then(() => hear(randy, 'sue, look at me'))
+      .then(() => hear(sue, 'randy, stop it'))
+      .then(() => hear(randy, 'SUE!'))
+      .then(() => server.waitForMessage('SPEAK'))
+      .then((warning) => {
+        assert.equal(warning.esp, 0);
+        assert.equal(warning.text, 'Please give sue some space, randy.');
+        assert.deepEqual(watch.incidents.map((incident) => [incident.kind, incident.avatar, incident.target]),
+            [['harassment', 'randy', 'sue']]);
+      });
+  });
+
+  it('logs incidents to a file', () => {
+    var file = path.join(os.tmpdir(), `habibots-incidents-${process.pid}.jsonl`);
+    watch.config.incidentFile = file;
+    return hear(randy, 'darn it')
+      .then(() => server.waitForMessage('SPEAK'))
+      .then(() => {
+        var logged = fs.readFileSync(file).toString().trim().split('\n').map((line) => JSON.parse(line));
+        fs.unlinkSync(file);
+        assert.equal(logged.length, 1);
+        assert.deepEqual([logged[0].kind, logged[0].avatar, logged[0].context],
+            ['language', 'randy', 'context-Downtown_5f']);
+      });
+  });
+
+  it('applies banned words from a reloaded config file, staying connected', () => {
+    var file = path.join(os.tmpdir(), `habibots-moderator-${process.pid}.yml`);
+    fs.writeFileSync(file, 'bannedWords: [darn]\n');
+    watch.stop();
+    bot.disconnect();
+    bot = moderator.createModerator({
+      configFile: file,
+      port: server.port(),
+      username: 'phil',
+      context: server.config.context,
+      watchInterval: 20,
+      botConfig: support.FastConfig,
+    });
+    var cleanUp = () => fs.unlinkSync(file);
+    bot.connect();
+    return bot.waitFor('enteredRegion')
+      .then(() => {
+        fs.writeFileSync(file, 'bannedWords: [darn, gosh]\n');
+        return bot.wait(150);
+      })
+      .then(() => hear(sue, 'Oh gosh'))
+      .then(() => server.waitForMessage('SPEAK'))
+      .then((warning) => {
+        assert.equal(warning.text, 'TO:sue Please watch your language, sue.');
+        // One for the moderator set up before the test.
+        assert.equal(server.receivedOps('entercontext').length, 2);
+        cleanUp();
+      }, (err) => {
+        cleanUp();
+        throw err;
+      });
+  });
+});
@@ -0,0 +1,118 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MockElkoServer = require('../mockserver');
+const Orchestrator = require('../orchestrator');
+const support = require('./support/bots');
+
+
+describe('Orchestrator', () => {
+
+  describe('parseBotSettings', () => {
+    it('applies shared settings and resolves paths', () => {
+      var settings = Orchestrator.parseBotSettings({
+        host: 'example.com',
+        port: 1337,
+        bots: [
+          { username: 'pcollins', greetingFile: 'assets/greeting.txt' },
+          { name: 'vendo', username: 'vbot', port: 1338, behavior: './bots/vendo' },
+        ],
+      }, '/srv/habibots');
+      assert.deepEqual(Object.keys(settings), ['pcollins', 'vendo']);
+      assert.equal(settings.pcollins.host, 'example.com');
+      assert.equal(settings.pcollins.behavior, 'greeter');
+      assert.equal(settings.pcollins.greetingFile, '/srv/habibots/assets/greeting.txt');
+      assert.equal(settings.vendo.port, 1338);
+      assert.equal(settings.vendo.behavior, '/srv/habibots/bots/vendo');
+    });
+
+    it('rejects invalid configs', () => {
+      assert.throws(() => Orchestrator.parseBotSettings({}, '/'), /"bots" list/);
+      assert.throws(() => Orchestrator.parseBotSettings({ bots: [{}] }, '/'), /no username/);
+      assert.throws(() => Orchestrator.parseBotSettings({
+        bots: [{ username: 'a' }, { username: 'a' }],
+      }, '/'), /more than once/);
+    });
+  });
+
+  describe('with a server', () => {
+    var server;
+    var orchestrator;
+    var configPath;
+
+    beforeEach(() => {
+      server = new MockElkoServer();
+      return server.listen().then((port) => {
+        configPath = path.join(os.tmpdir(), `habibots-${process.pid}.json`);
+        fs.writeFileSync(configPath, JSON.stringify({
+          host: '127.0.0.1',
+          port: port,
+          context: server.config.context,
+          loglevel: 'error',
+          botConfig: support.FastConfig,
+          bots: [
+            { username: 'phil', greetingFile: path.join(__dirname, '..', 'assets', 'greeting.txt') },
+            { username: 'crashy', behavior: path.join(__dirname, 'support', 'crashbot.js') },
+          ],
+        }));
+        orchestrator = new Orchestrator(configPath, { restartBaseDelay: 50 });
+      });
+    });
+
+    afterEach(() => {
+      fs.unlinkSync(configPath);
+      return orchestrator.stopAll().then(() => server.close());
+    });
+
+    function waitForState(name, predicate) {
+      return new Promise((resolve) => {
+        var poll = setInterval(() => {
+          var bot = orchestrator.status().filter((b) => b.name === name)[0];
+          if (predicate(bot)) {
+            clearInterval(poll);
+            resolve(bot);
+          }
+        }, 20);
+      });
+    }
+
+    it('refuses to start or restart bots it does not know', () => {
+      assert.throws(() => orchestrator.start('nobody'), /No bot named nobody/);
+      return orchestrator.restart('nobody')
+        .then(() => assert.fail('restart should have failed'), (reason) => {
+          assert.equal(reason, 'No bot named nobody');
+          return orchestrator.restart(undefined);
+        })
+        .then(() => assert.fail('restart should have failed'), (reason) => {
+          assert.equal(reason, 'No bot named undefined');
+        });
+    });
+
+    it('keeps running bots when another crashes, and restarts the crashed bot', function() {
+      this.timeout(20000);
+      orchestrator.startAll();
+      return server.waitForMessage((msg) => msg.user === 'user-phil', 10000)
+        .then(() => waitForState('crashy', (bot) => bot.crashes >= 2))
+        .then(() => {
+          var phil = orchestrator.status().filter((b) => b.name === 'phil')[0];
+          assert.equal(phil.state, 'running');
+          assert.equal(phil.crashes, 0);
+          return orchestrator.stop('crashy');
+        })
+        .then(() => {
+          var crashy = orchestrator.status().filter((b) => b.name === 'crashy')[0];
+          assert.equal(crashy.state, 'stopped');
+          return orchestrator.restart('phil');
+        })
+        .then(() => server.waitForMessage((msg) => msg.user === 'user-phil', 10000))
+        .then(() => waitForState('phil', (bot) => bot.connected));
+    });
+  });
+
+});
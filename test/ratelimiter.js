@@ -0,0 +1,63 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const RateLimiter = require('../ratelimiter');
+
+
+describe('RateLimiter', () => {
+
+  it('runs tasks no faster than the configured rate', () => {
+    var limiter = new RateLimiter({ maxEvents: 2, perMillis: 100 });
+    var started = Date.now();
+    var times = [];
+    var task = () => times.push(Date.now() - started);
+    return Promise.all([1, 2, 3].map(() => limiter.schedule(task)))
+      .then(() => {
+        assert.ok(times[1] < 50);
+        assert.ok(times[2] >= 95, `third task ran after ${times[2]}ms`);
+      });
+  });
+
+  it('resolves with the result of each task', () => {
+    var limiter = new RateLimiter();
+    return limiter.schedule(() => Promise.resolve(42))
+      .then((result) => {
+        assert.equal(result, 42);
+        return limiter.schedule(() => { throw new Error('boom'); });
+      })
+      .then(() => assert.fail('should reject'), (err) => {
+        assert.equal(err.message, 'boom');
+      });
+  });
+
+  it('rejects tasks once the queue is full, and when cleared', () => {
+    var limiter = new RateLimiter({ maxEvents: 1, perMillis: 60000, maxQueue: 1 });
+    limiter.schedule(() => 1);
+    var queued = limiter.schedule(() => 2);
+    return limiter.schedule(() => 3)
+      .then(() => assert.fail('should reject'), (reason) => {
+        assert.ok(/queue is full/.test(reason));
+        limiter.clear('Stopping');
+        return queued;
+      })
+      .then(() => assert.fail('should reject'), (reason) => {
+        assert.equal(reason, 'Stopping');
+      });
+  });
+
+  it('tells whether several tasks would all fit', () => {
+    var limiter = new RateLimiter({ maxEvents: 2, perMillis: 60000, maxQueue: 3 });
+    assert.ok(limiter.hasRoom(5));
+    assert.ok(!limiter.hasRoom(6));
+    limiter.schedule(() => 1);
+    limiter.schedule(() => 2);
+    limiter.schedule(() => 3);
+    assert.ok(limiter.hasRoom(2));
+    assert.ok(!limiter.hasRoom(3));
+    limiter.clear();
+  });
+
+});
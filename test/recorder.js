@@ -0,0 +1,97 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HabiBot = require('../habibot');
+const MockElkoServer = require('../mockserver');
+const recorder = require('../recorder');
+const support = require('./support/bots');
+
+
+describe('recorder', () => {
+  var server;
+  var bot;
+  var file;
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), `habibots-session-${process.pid}.jsonl`);
+    server = new MockElkoServer();
+    return server.listen();
+  });
+
+  afterEach(() => {
+    if (bot) {
+      bot.disconnect();
+    }
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+    return server.close();
+  });
+
+  // Records a session in which the HabiBot enters the region and says hello.
+  function recordSession() {
+    bot = support.newBot(server, 'phil', { recordFile: file });
+    return support.enterRegion(bot, server)
+      .then(() => bot.say('Hello!'))
+      .then(() => server.waitForMessage('SPEAK'))
+      .then(() => {
+        bot.disconnect();
+        bot = null;
+        return recorder.load(file);
+      });
+  }
+
+  it('records messages sent and received', () => {
+    return recordSession().then((entries) => {
+      assert.equal(entries[0].direction, 'out');
+      assert.equal(entries[0].msg.op, 'entercontext');
+      assert.ok(entries.every((entry) => typeof entry.time === 'number'));
+      var made = entries.filter((entry) => entry.direction === 'in' && entry.msg.op === 'make');
+      assert.ok(made.length > 0);
+      var spoken = entries.filter((entry) => entry.direction === 'out' && entry.msg.op === 'SPEAK');
+      assert.deepEqual(spoken.map((entry) => entry.msg.text), ['Hello!']);
+    });
+  });
+
+  it('replays a session through a HabiBot', () => {
+    return recordSession().then((entries) => {
+      bot = new HabiBot('127.0.0.1', server.port(), 'phil');
+      var entered = 0;
+      bot.on('enteredRegion', () => entered++);
+      return recorder.replay(bot, entries, { speed: 0 })
+        .then(() => {
+          assert.equal(entered, 1);
+          assert.equal(bot.region.context, server.config.context);
+          assert.equal(bot.region.name, server.config.regionName);
+        });
+    });
+  });
+
+  it('drives a mock server from a recording', () => {
+    return recordSession().then((entries) => {
+      return server.close()
+        .then(() => {
+          server = new MockElkoServer({ respond: false });
+          return server.listen();
+        })
+        .then(() => {
+          bot = support.newBot(server);
+          var entered = new Promise((resolve) => bot.on('enteredRegion', resolve));
+          bot.on('connected', (b) => b.gotoContext(server.config.context));
+          bot.on('enteredRegion', (b) => b.say('Hello!'));
+          bot.connect();
+          return Promise.all([server.replay(entries, { speed: 10, awaitOutbound: true }), entered]);
+        })
+        .then(() => {
+          assert.equal(server.receivedOps('SPEAK').length, 1);
+          assert.equal(bot.region.context, server.config.context);
+        });
+    });
+  });
+});
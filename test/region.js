@@ -0,0 +1,144 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const constants = require('../constants');
+const Region = require('../region');
+
+
+function avatar(name, noid, mod) {
+  return {
+    ref: `user-${name}-${1000 + noid}`,
+    name: name,
+    mods: [Object.assign({ type: 'Avatar', noid: noid, x: 20, y: 140, amAGhost: false }, mod)],
+  };
+}
+
+
+describe('Region', () => {
+  var region;
+  var events;
+
+  beforeEach(() => {
+    events = [];
+    region = new Region((eventType, event) => events.push([eventType, event]));
+    region.add({
+      op: 'make',
+      obj: { type: 'context', ref: 'context-Downtown_5f', name: 'Downtown 5f', mods: [] },
+    });
+    region.add({ op: 'make', you: true, obj: avatar('phil', 1) });
+    region.add({ op: 'HEREIS_$', obj: avatar('randy', 2) });
+    region.add({
+      op: 'make',
+      obj: { ref: 'item-Vendo-1003', name: 'Vendo', mods: [{ type: 'Vendo_front', noid: 3 }] },
+    });
+    events = [];
+  });
+
+  it('tracks the context and its objects', () => {
+    assert.equal(region.context, 'context-Downtown_5f');
+    assert.equal(region.name, 'Downtown 5f');
+    assert.equal(region.myNoid, 1);
+    assert.equal(region.getAvatars().length, 2);
+    assert.equal(region.findAvatar('Randy').mods[0].noid, 2);
+    assert.equal(region.getObjectsOfType('Vendo_front')[0].name, 'Vendo');
+    assert.equal(region.getByRef('user-randy-1002').name, 'randy');
+  });
+
+  it('tracks what contains each object', () => {
+    region.add({
+      op: 'make',
+      to: 'user-randy-1002',
+      obj: { ref: 'item-Compass-1004', name: 'Compass', mods: [{ type: 'Compass', noid: 4, y: 5 }] },
+    });
+    assert.equal(region.getContainer(3), 0);
+    assert.ok(region.isInRegion(3));
+    assert.equal(region.getContainer(4), 2);
+    assert.deepEqual(region.getContents(2).map((obj) => obj.name), ['Compass']);
+
+    events = [];
+    region.move(4, 1, { y: 5 });
+    assert.deepEqual(region.getContents(2), []);
+    assert.deepEqual(region.getContents(1).map((obj) => obj.name), ['Compass']);
+    assert.deepEqual(events[0][1].changes, { container: 1 });
+    assert.deepEqual(events[0][1].previous, { container: 2 });
+
+    region.move(4, 0, { x: 30, y: 140 });
+    assert.ok(region.isInRegion(4));
+    assert.deepEqual(region.getPosition(4), { x: 30, y: 140 });
+  });
+
+  it('moves objects other Avatars get, put and throw', () => {
+    region.add({
+      op: 'HEREIS_$',
+      obj: { ref: 'item-Compass-1004', name: 'Compass', mods: [{ type: 'Compass', noid: 4, x: 60, y: 140 }] },
+    });
+    events = [];
+    region.apply({ type: 'broadcast', op: 'GET$', noid: 2, target: 4 });
+    assert.deepEqual(region.getContents(2).map((obj) => obj.name), ['Compass']);
+    assert.equal(region.getMod(4).y, constants.HANDS);
+    assert.deepEqual(events[0][1].changes, { container: 2 });
+    assert.deepEqual(events[0][1].previous, { container: 0 });
+
+    region.apply({ type: 'broadcast', op: 'PUT$', noid: 2, target: 4, cont: 0, x: 84, y: 131 });
+    assert.ok(region.isInRegion(4));
+    assert.deepEqual(region.getPosition(4), { x: 84, y: 131 });
+
+    region.apply({ type: 'broadcast', op: 'GET$', noid: 2, target: 4 });
+    region.apply({ type: 'broadcast', op: 'THROW$', noid: 2, target: 4, x: 100, y: 150 });
+    assert.deepEqual(region.getContents(2), []);
+    assert.ok(region.isInRegion(4));
+    assert.deepEqual(region.getPosition(4), { x: 100, y: 150 });
+
+    events = [];
+    region.apply({ type: 'broadcast', op: 'GET$', noid: 2, target: 99 });
+    assert.deepEqual(events, []);
+  });
+
+  it('moves Avatars on WALK$', () => {
+    region.apply({ type: 'broadcast', op: 'WALK$', noid: 2, x: 84, y: 131, how: 1 });
+    assert.deepEqual(region.getPosition(2), { x: 84, y: 131 });
+    assert.deepEqual(events.map((e) => e[0]), ['objectChanged', 'avatarMoved']);
+    assert.deepEqual(events[1][1].previous, { x: 20, y: 140 });
+    assert.deepEqual(events[1][1].changes, { x: 84, y: 131 });
+  });
+
+  it('tracks postures and facing on POSTURE$', () => {
+    region.apply({ type: 'broadcast', op: 'POSTURE$', noid: 2, new_posture: 254 });
+    assert.equal(region.getFacing(2), constants.LEFT);
+    assert.equal(region.getFacing(3), constants.UNKNOWN);
+    assert.deepEqual(events.map((e) => e[0]), ['objectChanged']);
+  });
+
+  it('tracks Ghost status', () => {
+    region.apply({ type: 'broadcast', op: 'DISCORPORATE$', noid: 2 });
+    assert.ok(region.isGhosted(2));
+    region.apply({ type: 'reply', op: 'CORPORATE', noid: 2 });
+    assert.ok(!region.isGhosted(2));
+  });
+
+  it('does not report unchanged state', () => {
+    region.apply({ type: 'broadcast', op: 'WALK$', noid: 2, x: 20, y: 140, how: 1 });
+    assert.deepEqual(events, []);
+  });
+
+  it('reports departing Avatars', () => {
+    region.remove('user-randy-1002');
+    assert.equal(region.get(2), null);
+    assert.deepEqual(events.map((e) => e[0]), ['objectRemoved', 'avatarLeft']);
+    assert.equal(events[1][1].obj.name, 'randy');
+  });
+
+  it('starts over upon entering a new context', () => {
+    region.add({
+      op: 'make',
+      obj: { type: 'context', ref: 'context-Downtown_5g', name: 'Downtown 5g', mods: [] },
+    });
+    assert.equal(region.context, 'context-Downtown_5g');
+    assert.equal(region.myNoid, -1);
+    assert.deepEqual(region.getAvatars(), []);
+  });
+
+});
@@ -0,0 +1,57 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const RegionMap = require('../regionmap');
+
+
+function edge(context, direction) {
+  return { context: context, direction: direction, side: null, noid: null };
+}
+
+
+describe('RegionMap', () => {
+  var map;
+
+  beforeEach(() => {
+    // A ring of four regions, plus a library reached through a door of region A.
+    map = new RegionMap({
+      'context-A': {
+        context: 'context-A',
+        name: 'Downtown A',
+        exits: [edge('context-B', 'EAST'), { context: 'context-Library', noid: 7 }],
+      },
+      'context-B': { context: 'context-B', name: 'Downtown B', exits: [edge('context-C', 'SOUTH')] },
+      'context-C': { context: 'context-C', name: 'Downtown C', exits: [edge('context-D', 'WEST')] },
+      'context-D': { context: 'context-D', name: 'Downtown D', exits: [edge('context-A', 'NORTH')] },
+    });
+  });
+
+  it('plans the shortest route across known exits', () => {
+    var route = map.route('context-A', 'context-C');
+    assert.deepEqual(route.map((hop) => [hop.from, hop.to, hop.exit.direction]), [
+      ['context-A', 'context-B', 'EAST'],
+      ['context-B', 'context-C', 'SOUTH'],
+    ]);
+    assert.deepEqual(map.route('context-D', 'context-Library').map((hop) => hop.to),
+        ['context-A', 'context-Library']);
+    assert.deepEqual(map.route('context-C', 'context-C'), []);
+    // Nothing is known of the way out of the library.
+    assert.equal(map.route('context-Library', 'context-A'), null);
+  });
+
+  it('resolves regions by name', () => {
+    assert.equal(map.resolve('downtown c'), 'context-C');
+    assert.equal(map.resolve('context-D'), 'context-D');
+    assert.equal(map.resolve('context-Unknown'), 'context-Unknown');
+  });
+
+  it('learns regions', () => {
+    map.learn({ context: 'context-Library', name: 'Library', getExits: () => [edge('context-A')] });
+    assert.equal(map.get('context-Library').name, 'Library');
+    assert.equal(map.route('context-Library', 'context-B').length, 2);
+    assert.ok('context-Library' in map.toJSON());
+  });
+});
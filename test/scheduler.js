@@ -0,0 +1,125 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MockElkoServer = require('../mockserver');
+const Scheduler = require('../scheduler');
+const support = require('./support/bots');
+
+
+describe('Scheduler', () => {
+  var server;
+  var bot;
+  var scheduler;
+
+  beforeEach(() => {
+    server = new MockElkoServer();
+    scheduler = null;
+    return server.listen().then(() => {
+      bot = support.newBot(server);
+    });
+  });
+
+  afterEach(() => {
+    if (scheduler !== null) {
+      scheduler.stop();
+    }
+    bot.disconnect();
+    return server.close();
+  });
+
+  function soon(millis) {
+    return new Date(Date.now() + millis);
+  }
+
+  it('says messages and runs scripts when they fall due', () => {
+    scheduler = new Scheduler(bot, [
+      { name: 'party', at: soon(20), say: ['The {event.name} in {region.name} starts now!', 'Come along!'] },
+      { name: 'wave', at: soon(40), script: 'walk 84 131\nposture wave' },
+    ], { lineDelay: 0 });
+    return support.enterRegion(bot, server)
+      .then(() => {
+        scheduler.start();
+        assert.deepEqual(scheduler.upcoming().map((event) => event.name), ['party', 'wave']);
+        return server.waitForMessage('POSTURE');
+      })
+      .then(() => {
+        var lines = server.receivedOps('SPEAK').map((msg) => msg.text);
+        assert.deepEqual(lines, ['The party in Downtown 5f starts now!', 'Come along!']);
+        assert.equal(server.receivedOps('WALK').length, 1);
+        assert.deepEqual(scheduler.upcoming(), []);
+      });
+  });
+
+  it('defers or skips events falling due while away', () => {
+    scheduler = new Scheduler(bot, [
+      { name: 'deferred', at: soon(10), say: 'Sorry I am late!' },
+      { name: 'skipped', at: soon(10), say: 'Nobody hears this.', whenAway: 'skip' },
+      { name: 'stale', at: soon(10), say: 'Too late for this.' },
+    ], { lineDelay: 0 });
+    scheduler.start();
+    return bot.wait(30)
+      .then(() => {
+        // As if the stale event had fallen due long ago.
+        scheduler.deferred.filter((item) => item.event.name === 'stale')[0].dueAt = new Date(0);
+        return support.enterRegion(bot, server);
+      })
+      .then(() => server.waitForMessage('SPEAK'))
+      .then((msg) => {
+        assert.equal(msg.text, 'Sorry I am late!');
+        return bot.wait(30);
+      })
+      .then(() => {
+        assert.equal(server.receivedOps('SPEAK').length, 1);
+      });
+  });
+
+  it('schedules cron events in their timezone', () => {
+    scheduler = new Scheduler(bot, [
+      { name: 'utc', cron: '0 20 * * *', say: 'Evening!', timezone: 'UTC' },
+      { name: 'tokyo', cron: '0 20 * * *', say: 'Konbanwa!' },
+    ], { timezone: 'Asia/Tokyo' });
+    scheduler.start();
+    var upcoming = scheduler.upcoming();
+    var at = {};
+    upcoming.forEach((event) => {
+      at[event.name] = event.at;
+    });
+    assert.equal(at.utc.getUTCHours(), 20);
+    assert.equal(at.tokyo.getUTCHours(), 11);
+    assert.ok(at.utc > Date.now() && at.utc - Date.now() <= 24 * 3600000);
+  });
+
+  it('loads schedules and reports invalid events', () => {
+    var file = path.join(os.tmpdir(), `habibots-schedule-${process.pid}.yml`);
+    fs.writeFileSync(file, [
+      'timezone: America/New_York',
+      'events:',
+      '  - name: new-year',
+      "    at: '2017-12-31 23:59'",
+      '    say: Happy New Year!',
+    ].join('\n'));
+    var schedule = Scheduler.loadFile(file);
+    fs.unlinkSync(file);
+    assert.equal(schedule.timezone, 'America/New_York');
+    scheduler = new Scheduler(bot, schedule.events, { timezone: schedule.timezone });
+    assert.equal(scheduler.events[0].at.toISOString(), '2018-01-01T04:59:00.000Z');
+
+    var invalid = (spec, pattern) => {
+      assert.throws(() => new Scheduler(bot, [Object.assign({ name: 'bad' }, spec)]), pattern);
+    };
+    invalid({ say: 'hi' }, /^Error: Scheduled bad: needs either a cron expression or an at time$/);
+    invalid({ cron: '* * *', say: 'hi' }, /Scheduled bad: Cron expression "\* \* \*" needs 5 fields/);
+    invalid({ at: 'tomorrow', say: 'hi' }, /"tomorrow" is not a time/);
+    invalid({ at: soon(10), say: 'hi', script: 'say hi' }, /needs one of say, script or scriptFile/);
+    invalid({ at: soon(10), script: 'jump' }, /Scheduled bad: bad:1: Unknown command "jump"/);
+    invalid({ at: soon(10), say: 'hi', timezone: 'Nowhere' }, /Unknown timezone "Nowhere"/);
+    invalid({ at: soon(10), say: 'hi', whenAway: 'later' }, /whenAway must be defer or skip/);
+    assert.throws(() => Scheduler.loadFile('/nonexistent/schedule.yml'), /Could not load schedule/);
+  });
+});
@@ -0,0 +1,33 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const speech = require('../speech');
+
+
+describe('speech', () => {
+
+  describe('sanitize', () => {
+    it('transliterates what the C64 client cannot show', () => {
+      assert.equal(speech.sanitize('“Café” – it’s naïve… {really}'), '"Cafe" - it\'s naive... (really)');
+      assert.equal(speech.sanitize('Straße costs €5'), 'Strasse costs EUR5');
+      assert.equal(speech.sanitize('Nice \u{1f642} \u{1f44d}'), 'Nice :) +1');
+    });
+
+    it('leaves out anything else', () => {
+      assert.equal(speech.sanitize('Party \u{1f389} time\t日本!'), 'Party time !');
+      assert.equal(speech.sanitize('\u{1f389}\u{1f389}'), '');
+      assert.equal(speech.sanitize('Vendos cost $50'), 'Vendos cost $50');
+    });
+  });
+
+  describe('utterances', () => {
+    it('word wraps sanitized text to fit speech balloons', () => {
+      assert.deepEqual(speech.utterances('Welcome \u{1f389} to the Populopolis – enjoy!', 16),
+          ['Welcome to the', 'Populopolis -', 'enjoy!']);
+      assert.deepEqual(speech.utterances('\u{1f389}', 16), []);
+    });
+  });
+});
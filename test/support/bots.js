@@ -0,0 +1,57 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const log = require('winston');
+
+const HabiBot = require('../../habibot');
+
+// Keeps expected connection errors and callback failures out of test output.
+log.remove(log.transports.Console);
+
+
+// Removes the pacing meant for C64 clients so tests run quickly.
+const FastConfig = Object.freeze({
+  corporateRetryDelay: 10,
+  corporateWait: 0,
+  postureWait: 0,
+  replyTimeout: 1000,
+  sendDelay: 0,
+  shouldReconnect: false,
+  speechRate: null,
+  utteranceDelay: 0,
+  walkDelay: 0,
+});
+
+
+/**
+ * Constructs a HabiBot pointed at a listening MockElkoServer.
+ */
+function newBot(server, username, config) {
+  return HabiBot.newWithConfig('127.0.0.1', server.port(), username || 'phil',
+      Object.assign({}, FastConfig, config));
+}
+
+
+/**
+ * Connects a HabiBot and enters the mock server's region.
+ * @returns {Promise} resolved with the bot's own make message once it is in the region
+ */
+function enterRegion(bot, server) {
+  return new Promise((resolve) => {
+    bot.on('enteredRegion', (b, me) => resolve(me));
+    bot.on('connected', (b) => {
+      if (b.lastContext === null) {
+        b.gotoContext(server.config.context);
+      }
+    });
+    bot.connect();
+  });
+}
+
+
+module.exports = Object.freeze({
+  FastConfig: FastConfig,
+  enterRegion: enterRegion,
+  newBot: newBot,
+});
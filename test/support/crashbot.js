@@ -0,0 +1,24 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+// Behavior which crashes its worker as soon as it connects.
+
+const HabiBot = require('../../habibot');
+
+
+function create(settings) {
+  var bot = HabiBot.newWithConfig(settings.host, settings.port, settings.username,
+      { shouldReconnect: false });
+  bot.on('connected', () => {
+    setImmediate(() => {
+      throw new Error('crashbot crashed');
+    });
+  });
+  return bot;
+}
+
+
+module.exports = Object.freeze({
+  create: create,
+});
@@ -0,0 +1,50 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const Template = require('../template');
+
+
+describe('Template', () => {
+  var state = {
+    randy: { name: 'randy', mods: [{ x: 40, y: 130 }], tags: ['admin'] },
+    'user-phil': 'user-phil-1001',
+  };
+  var lookup = (name) => state[name];
+
+  it('keeps the type of a lone expression', () => {
+    assert.strictEqual(new Template('{{randy.mods[0].x}}').render(lookup), 40);
+    assert.deepEqual(new Template('{{ randy.tags }}').render(lookup), ['admin']);
+  });
+
+  it('fills in text, leaving dollar signs alone', () => {
+    var template = new Template('$5 says {{randy.name}} is at ({{randy.mods[0].x}}, {{randy.mods[0].y}})');
+    assert.equal(template.render(lookup), '$5 says randy is at (40, 130)');
+    assert.deepEqual(template.references(), ['randy.name', 'randy.mods[0].x', 'randy.mods[0].y']);
+    assert.equal(new Template('{{user-phil}}').render(lookup), 'user-phil-1001');
+    assert.equal(new Template('no expressions').render(lookup), 'no expressions');
+  });
+
+  it('escapes delimiters', () => {
+    assert.equal(new Template('\\{{randy.name}} is {{randy.name}}').render(lookup), '{{randy.name}} is randy');
+  });
+
+  it('rejects invalid templates', () => {
+    assert.throws(() => new Template('{{randy.name'), /^Error: Unclosed \{\{ at 0/);
+    assert.throws(() => new Template('{{}}'), /^Error: Empty expression/);
+    ['{{randy..name}}', '{{[0]}}', '{{randy.mods[x]}}', '{{randy name}}', '{{.randy}}'].forEach((source) => {
+      assert.throws(() => new Template(source), /^Error: Invalid expression/, source);
+    });
+  });
+
+  it('rejects unresolved references', () => {
+    assert.throws(() => new Template('{{sue.name}}').render(lookup),
+        /^Error: Unresolved reference \{\{sue\.name\}\}: sue is not known$/);
+    assert.throws(() => new Template('{{randy.mods[0].z}}').render(lookup),
+        /^Error: Unresolved reference \{\{randy\.mods\[0\]\.z\}\}: no z in randy\.mods\[0\]$/);
+    assert.throws(() => new Template('at {{randy.mods}}').render(lookup),
+        /^Error: Cannot put \{\{randy\.mods\}\} in text/);
+  });
+});
@@ -0,0 +1,105 @@
+/* jshint esversion: 6 */
+
+'use strict';
+
+const assert = require('assert');
+
+const constants = require('../constants');
+const MockElkoServer = require('../mockserver');
+const support = require('./support/bots');
+const vendoguide = require('../vendoguide');
+
+
+describe('vendoguide', () => {
+  var server;
+  var bot;
+  var vendo;
+
+  beforeEach(() => {
+    server = new MockElkoServer();
+    vendo = server.addObject('Vendo_front', { x: 100, y: 140 }, 'Vendo');
+    server.handle('VSELECT', (msg, client, s) => {
+      s.sendTo(client, { type: 'reply', op: 'VSELECT', noid: vendo.mods[0].noid });
+    });
+    return server.listen().then(() => {
+      bot = vendoguide.createVendoGuide({
+        port: server.port(),
+        username: 'phil',
+        context: server.config.context,
+        lineDelay: 0,
+        showItems: 2,
+        botConfig: support.FastConfig,
+      });
+    });
+  });
+
+  afterEach(() => {
+    bot.disconnect();
+    return server.close();
+  });
+
+  function guideRandy() {
+    var randy;
+    bot.connect();
+    return server.waitForMessage('WALK')
+      .then((walk) => {
+        assert.deepEqual([walk.x, walk.y], [112, 140]);
+        randy = server.addAvatar('randy', { x: 300 });
+        server.walkAvatar(randy.mods[0].noid, 120, 140);
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /Now you try/.test(msg.text));
+      })
+      .then(() => randy);
+  }
+
+  it('gives Avatars coming near the Vendo its tutorial and shows items', () => {
+    return guideRandy()
+      .then(() => {
+        var lines = server.receivedOps('SPEAK').map((msg) => msg.text);
+        assert.equal(lines[0], "You've made it this far, keep it up!");
+        assert.equal(lines.length, 10);
+        assert.equal(lines[9], 'Now you try, randy!');
+        var selects = server.receivedOps('VSELECT');
+        assert.equal(selects.length, 2);
+        assert.equal(selects[0].to, vendo.ref);
+      });
+  });
+
+  it('gives the tutorial only once to each Avatar', () => {
+    return guideRandy()
+      .then((randy) => {
+        server.walkAvatar(randy.mods[0].noid, 300, 140);
+        server.walkAvatar(randy.mods[0].noid, 110, 140);
+        server.speak(randy.mods[0].noid, 'Hi!');
+        return bot.waitFor('SPEAK$');
+      })
+      .then(() => {
+        assert.equal(server.receivedOps('VSELECT').length, 2);
+      });
+  });
+
+  it('congratulates Avatars buying from the Vendo', () => {
+    return guideRandy()
+      .then(() => {
+        server.sendAll({ type: 'broadcast', noid: vendo.mods[0].noid, op: 'VEND$' });
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /Enjoy/.test(msg.text));
+      })
+      .then((msg) => {
+        assert.equal(msg.text, 'Enjoy your new item, randy!');
+      });
+  });
+
+  it('congratulates buyers without turning when it cannot tell where they are', () => {
+    var postures = 0;
+    return guideRandy()
+      .then(() => {
+        postures = server.receivedOps('POSTURE').length;
+        bot.getDirection = () => constants.UNKNOWN;
+        server.sendAll({ type: 'broadcast', noid: vendo.mods[0].noid, op: 'VEND$' });
+        return server.waitForMessage((msg) => msg.op === 'SPEAK' && /Enjoy/.test(msg.text));
+      })
+      .then(() => {
+        // Only the jump for joy.
+        assert.equal(server.receivedOps('POSTURE').length, postures + 1);
+      });
+  });
+});
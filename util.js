@@ -5,6 +5,8 @@
 
 const log = require('winston');
 
+const Metrics = require('./metrics').Metrics;
+
 
 /**
  * Clones a JavaScript Object, borrowed from:
@@ -59,12 +61,40 @@ function parseElko(s) {
     o = JSON.parse(s);
   } catch (e) {
     log.warn("Unable to parse: " + s + "\n\n" + JSON.stringify(e, null, 2));
+    Metrics.parseFailures.inc();
   }
   return o;
 }
 
 
+/**
+ * Splits text into chunks no longer than maxLength, breaking between words where
+ * possible.
+ * @param {string} text text to split
+ * @param {int} maxLength maximum length of each chunk
+ * @returns {string[]} chunks of text, without surrounding whitespace
+ */
+function splitText(text, maxLength) {
+  var chunks = [];
+  var remaining = text.trim();
+  while (remaining.length > maxLength) {
+    var cut = remaining.lastIndexOf(' ', maxLength);
+    if (cut <= 0) {
+      // A single word longer than maxLength has to be broken up.
+      cut = maxLength;
+    }
+    chunks.push(remaining.substring(0, cut).trim());
+    remaining = remaining.substring(cut).trim();
+  }
+  if (remaining.length > 0) {
+    chunks.push(remaining);
+  }
+  return chunks;
+}
+
+
 module.exports = Object.freeze({
   clone: clone,
   parseElko: parseElko,
+  splitText: splitText,
 });
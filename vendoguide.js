@@ -0,0 +1,224 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+// Settings of the Vendo tour guide, besides those of every bot; see config.js.
+const Settings = {
+  guideDistance: {
+    type: 'number',
+    default: 40,
+    describe: 'How near the Vendo Avatars must come to be given the tutorial.',
+  },
+  lineDelay: {
+    type: 'number',
+    default: 2000,
+    describe: 'Milliseconds before each line of the tutorial.',
+  },
+  reguideAfter: {
+    type: 'number',
+    default: 600000,
+    describe: 'Milliseconds before an Avatar is given the tutorial again.',
+  },
+  showItems: {
+    type: 'number',
+    default: 3,
+    describe: 'How many items to show off by DOing the Vendo after the tutorial.',
+  },
+  // Kept within reach of the Vendo, so the guide can DO it.
+  standOffset: {
+    type: 'number',
+    default: 12,
+    describe: 'How far to the right of the Vendo the guide stands.',
+  },
+  tutorialFile: {
+    type: 'string',
+    default: null,
+    alias: 'g',
+    describe: 'Greeting script, or plain-text .txt file, with the Vendo tutorial; ' +
+        'the one in assets/ if unset.',
+  },
+  vendoNoid: {
+    type: 'number',
+    default: null,
+    describe: 'Noid of the Vendo to guide at; the nearest one if unset.',
+  },
+};
+
+const path = require('path');
+
+var log = require('winston');
+
+const config = require('./config');
+const constants = require('./constants');
+const greetscript = require('./greetscript');
+const HabiBot = require('./habibot');
+
+const TutorialFile = path.join(__dirname, 'assets', 'vendoGreeting.txt');
+
+// Habitat class of the part of a Vendo Avatars use.
+const VendoClass = 'Vendo_front';
+
+// Op the Habitat client sends for DO on a Vendo, which shows its next item for sale.
+const SelectOp = 'VSELECT';
+
+// Broadcast by a Vendo when an Avatar buys its item.
+const PurchaseOp = 'VEND$';
+
+
+/**
+ * Constructs the Vendo tour guide HabiBot, which stands beside a Vendo and, when an
+ * Avatar comes near, faces them, recites the Vendo tutorial and then shows off a few
+ * items for sale by DOing the Vendo. Avatars buying from the Vendo are congratulated.
+ *
+ * Options override the guide's config file and environment; see config.js.
+ * @param {Object} options guide options, as accepted on the command line, plus an
+ *   optional <tt>botConfig</tt> merged into the HabiBot's config
+ * @returns {HabiBot} the guide, ready to connect()
+ * @throws {Error} if any setting is invalid or the tutorial cannot be loaded
+ */
+function createVendoGuide(options) {
+  const Argv = config.load(Settings, { options: options });
+  log.debug('Vendo guide settings: %j', config.redact(Argv, Settings));
+
+  const GuideBot = HabiBot.newWithConfig(Argv.host, Argv.port, Argv.username,
+    Object.assign({ shouldReconnect: Argv.reconnect, metricsPort: Argv.metricsPort },
+        Argv.botConfig));
+  const Tutorial = greetscript.load(Argv.tutorialFile || TutorialFile);
+
+  // When each Avatar was last given the tutorial, keyed by name.
+  const Guided = {};
+  var VendoNoid = null;
+  var Guiding = false;
+
+  function findVendo(bot) {
+    var vendo = bot.findObject((Argv.vendoNoid !== null) ? Argv.vendoNoid : VendoClass);
+    return (vendo !== null) ? vendo.mods[0].noid : null;
+  }
+
+  function distanceToVendo(bot, avatar) {
+    var vendo = bot.region.getPosition(VendoNoid);
+    var mod = avatar.mods[0];
+    if (vendo === null || mod.x === undefined) {
+      return Infinity;
+    }
+    return Math.sqrt(Math.pow(mod.x - vendo.x, 2) + Math.pow(mod.y - vendo.y, 2));
+  }
+
+  function nearestToVendo(bot) {
+    var avatars = bot.region.getAvatars()
+      .filter((avatar) => avatar.mods[0].noid !== bot.getAvatarNoid())
+      .sort((a, b) => distanceToVendo(bot, a) - distanceToVendo(bot, b));
+    return (avatars.length > 0 && distanceToVendo(bot, avatars[0]) <= Argv.guideDistance) ?
+        avatars[0] : null;
+  }
+
+  function shouldGuide(bot, avatar) {
+    var mod = avatar.mods[0];
+    if (mod.noid === bot.getAvatarNoid() || mod.amAGhost ||
+        distanceToVendo(bot, avatar) > Argv.guideDistance) {
+      return false;
+    }
+    var lastGuided = Guided[avatar.name.toLowerCase()];
+    return lastGuided === undefined || Date.now() - lastGuided >= Argv.reguideAfter;
+  }
+
+  // Gives the tutorial to the next Avatar near the Vendo who has not had it lately.
+  function guideNearby(bot) {
+    if (Guiding || VendoNoid === null || !bot.connected) {
+      return Promise.resolve();
+    }
+    var avatar = bot.region.getAvatars().filter((a) => shouldGuide(bot, a))[0];
+    if (avatar === undefined) {
+      return Promise.resolve();
+    }
+    Guiding = true;
+    Guided[avatar.name.toLowerCase()] = Date.now();
+    log.info('Giving the Vendo tutorial to %s', avatar.name);
+    return greetscript.run(bot, Tutorial, { avatar: avatar, firstVisit: true },
+        { lineDelay: Argv.lineDelay })
+      .then(() => showItems(bot))
+      .then(() => bot.say(`Now you try, ${avatar.name}!`))
+      .then(() => {
+        Guiding = false;
+        return guideNearby(bot);
+      }, (reason) => {
+        Guiding = false;
+        return Promise.reject(reason);
+      });
+  }
+
+  function showItems(bot) {
+    var shown = bot.say("Watch, I'll DO the vendo to show what's for sale.");
+    for (var i = 0; i < Argv.showItems; i++) {
+      shown = shown
+        .then(() => bot.useObject(VendoNoid, SelectOp))
+        .then(() => bot.wait(Argv.lineDelay));
+    }
+    return shown;
+  }
+
+  GuideBot.on('connected', (bot) => {
+    log.debug('VendoGuideBot connected.');
+    if (!bot.isReentering()) {
+      bot.gotoContext(bot.lastContext || Argv.context);
+    }
+  });
+
+  GuideBot.on('enteredRegion', (bot, me) => {
+    Guiding = false;
+    VendoNoid = findVendo(bot);
+    if (VendoNoid === null) {
+      log.error('No Vendo found in %s, not guiding', bot.region.context);
+      return;
+    }
+    var vendo = bot.region.getPosition(VendoNoid);
+    return bot.ensureCorporated()
+      .then(() => {
+        return bot.walkTo(vendo.x + Argv.standOffset, vendo.y);
+      })
+      .then(() => {
+        return bot.faceDirection(constants.FORWARD);
+      })
+      .then(() => {
+        return guideNearby(bot);
+      });
+  });
+
+  GuideBot.on('avatarArrived', (bot) => guideNearby(bot));
+  GuideBot.on('avatarMoved', (bot) => guideNearby(bot));
+
+  GuideBot.on(PurchaseOp, (bot, msg) => {
+    if (VendoNoid === null || msg.noid !== VendoNoid) {
+      return;
+    }
+    var buyer = nearestToVendo(bot);
+    if (buyer === null) {
+      return;
+    }
+    // Where the buyer stands may not be known yet, in which case the guide does not turn.
+    var direction = bot.getDirection(buyer);
+    var faced = (direction === constants.UNKNOWN) ? Promise.resolve() : bot.faceDirection(direction);
+    return faced
+      .then(() => {
+        return bot.doPosture(constants.JUMP);
+      })
+      .then(() => {
+        return bot.say(`Enjoy your new item, ${buyer.name}!`);
+      });
+  });
+
+  return GuideBot;
+}
+
+
+if (require.main === module) {
+  config.runBehavior(Settings, createVendoGuide);
+}
+
+
+module.exports = Object.freeze({
+  // Behavior entry point used by the orchestrator.
+  create: createVendoGuide,
+  createVendoGuide: createVendoGuide,
+});
@@ -0,0 +1,180 @@
+/* jslint bitwise: true */
+/* jshint esversion: 6 */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const url = require('url');
+
+var log = require('winston');
+
+const util = require('./util');
+
+
+const DefaultWebhookConfig = {
+  // Outgoing messages are POSTed here; null disables sending.
+  url: null,
+  // Incoming messages are accepted on this port; null disables receiving, 0 picks a port.
+  port: null,
+  host: '127.0.0.1',
+  path: '/messages',
+  // When set, incoming requests must carry it in an X-Bridge-Token header.
+  token: null,
+  // Identifies this bridge in outgoing messages, so they can be recognized if echoed back.
+  source: 'habibots',
+  maxBodyBytes: 65536,
+};
+
+
+/**
+ * ChatBridge adapter speaking plain JSON over HTTP, for pointing a bridge at in-house
+ * tooling or a local stand-in for a chat service.
+ *
+ * Outgoing messages are POSTed to <tt>url</tt> as <tt>{"source": ..., "text": ...}</tt>.
+ * Incoming messages are POSTed to <tt>http://host:port/messages</tt> as
+ * <tt>{"user": ..., "text": ...}</tt>; any carrying this adapter's <tt>source</tt> are
+ * treated as its own.
+ */
+class WebhookAdapter {
+
+  /**
+   * @param {Object} config optional settings overriding DefaultWebhookConfig
+   */
+  constructor(config) {
+    this.config = Object.assign(util.clone(DefaultWebhookConfig), config);
+    this.server = null;
+  }
+
+  /**
+   * Starts accepting incoming messages, if a port is configured.
+   * @param {function} receive <tt>function({user, text, self})</tt> called for each
+   *   incoming message
+   * @returns {Promise} resolved with the port listened on, or null
+   */
+  start(receive) {
+    var scope = this;
+    if (this.config.port === null) {
+      return Promise.resolve(null);
+    }
+    this.server = http.createServer((req, res) => {
+      scope.onRequest(req, res, receive);
+    });
+    return new Promise((resolve, reject) => {
+      scope.server.once('error', reject);
+      scope.server.listen(scope.config.port, scope.config.host, () => {
+        log.info('Accepting bridged messages at http://%s:%d%s', scope.config.host,
+            scope.port(), scope.config.path);
+        resolve(scope.port());
+      });
+    });
+  }
+
+  /**
+   * Returns the port incoming messages are accepted on, null if not listening.
+   * @returns {int}
+   */
+  port() {
+    return (this.server !== null && this.server.address() !== null) ?
+        this.server.address().port : null;
+  }
+
+  /**
+   * POSTs text to the configured URL.
+   * @param {string} text text to post
+   * @returns {Promise} rejected if the request fails or is not answered with a 2xx status
+   */
+  send(text) {
+    var scope = this;
+    if (this.config.url === null) {
+      return Promise.resolve();
+    }
+    var target = url.parse(this.config.url);
+    var body = JSON.stringify({ source: this.config.source, text: text });
+    return new Promise((resolve, reject) => {
+      var req = (target.protocol === 'https:' ? https : http).request({
+        method: 'POST',
+        protocol: target.protocol,
+        hostname: target.hostname,
+        port: target.port,
+        path: target.path,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+        },
+      }, (res) => {
+        res.resume();
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve();
+        } else {
+          reject(`Webhook ${scope.config.url} answered ${res.statusCode}`);
+        }
+      });
+      req.on('error', (err) => reject(`Webhook ${scope.config.url} failed: ${err.message}`));
+      req.end(body);
+    });
+  }
+
+  /**
+   * Stops accepting incoming messages.
+   */
+  stop() {
+    if (this.server !== null) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  // Private methods:
+
+  onRequest(req, res, receive) {
+    var scope = this;
+    var respond = (status, message) => {
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(message);
+    };
+    if (req.url !== this.config.path) {
+      return respond(404, 'Not found');
+    }
+    if (req.method !== 'POST') {
+      return respond(405, 'Use POST');
+    }
+    if (this.config.token !== null && req.headers['x-bridge-token'] !== this.config.token) {
+      return respond(401, 'Bad token');
+    }
+
+    var chunks = [];
+    var size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > scope.config.maxBodyBytes) {
+        respond(413, 'Message too large');
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      var message;
+      try {
+        message = JSON.parse(Buffer.concat(chunks).toString());
+      } catch (e) {
+        return respond(400, 'Body must be JSON');
+      }
+      if (message === null || typeof message.user !== 'string' ||
+          typeof message.text !== 'string') {
+        return respond(400, 'Messages need a user and text');
+      }
+      receive({
+        user: message.user,
+        text: message.text,
+        self: message.source === scope.config.source,
+      });
+      respond(204, '');
+    });
+  }
+
+}
+
+
+module.exports = WebhookAdapter;